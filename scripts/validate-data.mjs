@@ -0,0 +1,75 @@
+// Checks public/data and supabase/seed with the same rules the DM's Data Health panel uses.
+// Run with `npm run validate-data`; exits with code 1 when either set of files has errors.
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { createServer } from 'vite';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+const read = (path) => readFile(new URL(`../${path}`, import.meta.url), 'utf8');
+const readJson = async (path) => JSON.parse(await read(path));
+
+// Vite loads the app's modules, so the script needs no build step of its own.
+const server = await createServer({
+  root,
+  logLevel: 'error',
+  appType: 'custom',
+  server: { middlewareMode: true }
+});
+
+try {
+  const { parseCsv } = await server.ssrLoadModule('/src/utils/csv.js');
+  const { normalizeDisciplineRow } = await server.ssrLoadModule('/src/utils/disciplines.js');
+  const { normalizeIngredientRow, normalizeRecipeRow } = await server.ssrLoadModule(
+    '/src/utils/normalize.js'
+  );
+  const { countIssues, validateCampaignData } = await server.ssrLoadModule(
+    '/src/utils/validation.js'
+  );
+
+  const toInventoryRow = (row) => ({
+    name: (row.name || '').trim(),
+    quantity: Number(row.quantity ?? 0)
+  });
+  const disciplines = (await readJson('public/data/disciplines.json')).map(normalizeDisciplineRow);
+  const recipeFiles = await Promise.all(
+    disciplines.map((discipline) => readJson(`public/data/${discipline.recipeFile}`))
+  );
+
+  const sources = {
+    'public/data': {
+      disciplines,
+      ingredients: (await readJson('public/data/ingredients.json')).map(normalizeIngredientRow),
+      recipes: recipeFiles.flatMap((rows, index) =>
+        rows.map((row) => normalizeRecipeRow(row, disciplines[index].name))
+      ),
+      inventory: (await readJson('public/data/inventory.json')).map(toInventoryRow)
+    },
+    // The seed has no disciplines file. A fresh database gets its disciplines from the
+    // create_campaign template, which New → Starter data fills from public/data.
+    'supabase/seed': {
+      disciplines,
+      ingredients: parseCsv(await read('supabase/seed/ingredients.csv')).map(
+        normalizeIngredientRow
+      ),
+      recipes: parseCsv(await read('supabase/seed/recipes.csv')).map((row) =>
+        normalizeRecipeRow(row)
+      ),
+      inventory: parseCsv(await read('supabase/seed/inventory.csv')).map(toInventoryRow)
+    }
+  };
+
+  let failed = false;
+  Object.entries(sources).forEach(([name, data]) => {
+    const issues = validateCampaignData(data);
+    const counts = countIssues(issues);
+    console.log(`${name}: ${counts.error} errors, ${counts.warning} warnings`);
+    issues.forEach((issue) => {
+      console.log(`  ${issue.level.padEnd(7)} ${issue.label}: ${issue.message}`);
+    });
+    failed = failed || counts.error > 0;
+  });
+  process.exitCode = failed ? 1 : 0;
+} finally {
+  await server.close();
+}
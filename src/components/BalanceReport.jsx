@@ -0,0 +1,140 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { startCombinationJob } from '../lib/combinationWorker';
+import { downloadFile } from '../lib/download';
+import { BALANCE_CSV_COLUMNS, balanceReportRows } from '../utils/balance';
+import { ATTRIBUTE_KEYS, ATTRIBUTE_LABELS } from '../utils/content';
+import { toCsv } from '../utils/csv';
+
+const formatShare = (value) => `${(value * 100).toFixed(1)}%`;
+
+function BalanceReport({ ingredients, recipes, disciplines }) {
+  const [reports, setReports] = useState(null);
+  const [discipline, setDiscipline] = useState(disciplines[0].name);
+  const [progress, setProgress] = useState(null);
+  const [reportError, setReportError] = useState('');
+  const jobRef = useRef(null);
+
+  useEffect(() => () => jobRef.current?.cancel(), []);
+
+  const runReport = () => {
+    jobRef.current?.cancel();
+    setReportError('');
+    setProgress({ done: 0, total: disciplines.length });
+    const job = startCombinationJob(
+      'balance',
+      { ingredients, recipes, disciplines },
+      { onProgress: (done, total) => setProgress({ done, total }) }
+    );
+    jobRef.current = job;
+    job.promise
+      .then((results) => setReports(results))
+      .catch(() => setReportError('Balance analysis failed.'))
+      .finally(() => setProgress(null));
+  };
+
+  const exportCsv = () => {
+    if (!reports) return;
+    const rows = balanceReportRows(
+      disciplines.map(({ name }) => reports[name]).filter(Boolean)
+    );
+    downloadFile('recipe-balance.csv', toCsv(rows, BALANCE_CSV_COLUMNS), 'text/csv');
+  };
+
+  const report = reports?.[discipline];
+  const flagged = report?.recipes.filter((row) => row.unreachable || row.tieDriven) || [];
+
+  return (
+    <section className="panel balance-panel">
+      <div className="panel-header">
+        <div>
+          <h2>Recipe Balance</h2>
+          <p className="panel-subtitle">
+            Every craft from {ingredients.length} ingredients, per discipline: each ingredient count
+            it allows, with and without each catalyst.
+          </p>
+        </div>
+        <div className="panel-badges">
+          <button className="ghost" type="button" onClick={exportCsv} disabled={!reports}>
+            Export CSV
+          </button>
+          <button className="primary" type="button" onClick={runReport} disabled={!!progress}>
+            {progress ? `Analyzing ${progress.done}/${progress.total}` : 'Run analysis'}
+          </button>
+        </div>
+      </div>
+
+      {reportError && <div className="panel-callout error">{reportError}</div>}
+
+      {report && (
+        <>
+          <div className="discipline-grid">
+            {disciplines.map(({ name }) => (
+              <label className="radio-card" key={name}>
+                <input
+                  type="radio"
+                  name="balance-discipline"
+                  value={name}
+                  checked={discipline === name}
+                  onChange={(event) => setDiscipline(event.target.value)}
+                />
+                <span>{name}</span>
+              </label>
+            ))}
+          </div>
+          <p className="hint">
+            {report.total} crafts | {report.tieTotal} needed the tie-breaker |{' '}
+            {report.fallbackTotal} used a fallback recipe
+          </p>
+
+          <div className="heatmap" style={{ '--slots': report.slotsPerTier }}>
+            <span />
+            {Array.from({ length: report.slotsPerTier }, (_, index) => (
+              <span className="heatmap-axis" key={`slot-${index + 1}`}>
+                {index + 1}
+              </span>
+            ))}
+            {ATTRIBUTE_KEYS.map((attribute) => (
+              <React.Fragment key={attribute}>
+                <span className="heatmap-axis heatmap-label">{ATTRIBUTE_LABELS[attribute]}</span>
+                {report.grid[attribute].map((count, index) => {
+                  const intensity = report.maxCell ? count / report.maxCell : 0;
+                  return (
+                    <span
+                      className={`heatmap-cell ${count ? '' : 'zero'}`}
+                      key={`${attribute}-${index + 1}`}
+                      style={{ '--heat': intensity }}
+                      title={`${ATTRIBUTE_LABELS[attribute]} ${index + 1}: ${count} crafts`}
+                    >
+                      {count}
+                    </span>
+                  );
+                })}
+              </React.Fragment>
+            ))}
+          </div>
+
+          <div className="balance-flags">
+            <h3>Flagged recipes</h3>
+            {!flagged.length && (
+              <p className="hint">Every recipe is reachable without relying on ties.</p>
+            )}
+            {flagged.map((row) => (
+              <div className="balance-row" key={row.key}>
+                <span className="grant-name">
+                  {row.qualityCategory} {row.recipeNo}: {row.name}
+                </span>
+                <span className="inventory-meta">
+                  {row.unreachable
+                    ? 'Unreachable'
+                    : `Tie-breaker driven (${row.tieHits}/${row.hits}, ${formatShare(row.share)})`}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </section>
+  );
+}
+
+export default BalanceReport;
@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { CAMPAIGN_TEMPLATES } from '../utils/campaigns';
+
+function CampaignSwitcher({ memberships, campaignId, canCopy, busy, onSelect, onCreate }) {
+  const [creating, setCreating] = useState(false);
+  const [nameDraft, setNameDraft] = useState('');
+  const [template, setTemplate] = useState('starter');
+
+  const create = async (event) => {
+    event.preventDefault();
+    const name = nameDraft.trim();
+    if (!name) return;
+    const created = await onCreate(name, template);
+    if (created) {
+      setNameDraft('');
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="campaign-switcher">
+      <div className="campaign-switcher-row">
+        <select
+          value={campaignId ?? ''}
+          aria-label="Campaign"
+          onChange={(event) => onSelect(event.target.value)}
+          disabled={busy || !memberships.length}
+        >
+          {!memberships.length && <option value="">No campaigns yet</option>}
+          {memberships.map((membership) => (
+            <option key={membership.campaignId} value={membership.campaignId}>
+              {membership.name}
+            </option>
+          ))}
+        </select>
+        <button
+          className="ghost tiny"
+          type="button"
+          onClick={() => setCreating((prev) => !prev)}
+          disabled={busy}
+        >
+          {creating ? 'Cancel' : 'New'}
+        </button>
+      </div>
+      {creating && (
+        <form className="campaign-switcher-row" onSubmit={create}>
+          <input
+            type="text"
+            value={nameDraft}
+            placeholder="Campaign name"
+            aria-label="Campaign name"
+            onChange={(event) => setNameDraft(event.target.value)}
+          />
+          <select
+            value={template}
+            aria-label="Template"
+            onChange={(event) => setTemplate(event.target.value)}
+          >
+            {Object.entries(CAMPAIGN_TEMPLATES)
+              .filter(([value]) => canCopy || value !== 'current')
+              .map(([value, label]) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+          </select>
+          <button className="primary tiny" type="submit" disabled={busy || !nameDraft.trim()}>
+            Create
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default CampaignSwitcher;
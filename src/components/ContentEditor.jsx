@@ -0,0 +1,453 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { CATALYST_EFFECTS } from '../utils/catalysts';
+import { getRarityClass } from '../utils/rarity';
+import { normalizeTraits } from '../utils/traits';
+import TraitEditor from './TraitEditor';
+import {
+  ATTRIBUTE_KEYS,
+  MAX_ATTRIBUTE,
+  MIN_ATTRIBUTE,
+  QUALITY_CATEGORIES,
+  RARITIES,
+  SLOTS_PER_TIER,
+  buildSlotMap,
+  clampAttribute,
+  findSlotConflict,
+  recipeKey
+} from '../utils/content';
+import { DISCOVERY_HINTS, DISCOVERY_LABELS, DISCOVERY_TIERS } from '../utils/discovery';
+import { findDiscipline } from '../utils/disciplines';
+
+const EMPTY_INGREDIENT = {
+  name: '',
+  potency: 0,
+  resonance: 0,
+  entropy: 0,
+  rarity: 'Common',
+  source: '',
+  catalyst: '',
+  traits: []
+};
+
+const emptyRecipe = (discipline, qualityCategory = 'Potency', recipeNo = 1) => ({
+  name: '',
+  discipline,
+  category: discipline,
+  qualityCategory,
+  recipeNo,
+  rarity: 'Common',
+  effect: '',
+  description: '',
+  source: '',
+  discovery: 'unknown'
+});
+
+function ContentEditor({
+  ingredients,
+  recipes,
+  disciplines,
+  busy,
+  focus,
+  onSaveIngredient,
+  onDeleteIngredient,
+  onSaveRecipe,
+  onDeleteRecipe
+}) {
+  const [ingredientOriginal, setIngredientOriginal] = useState('');
+  const [ingredientDraft, setIngredientDraft] = useState(EMPTY_INGREDIENT);
+  const [recipeDiscipline, setRecipeDiscipline] = useState(disciplines[0].name);
+  const [recipeOriginal, setRecipeOriginal] = useState(null);
+  const [recipeDraft, setRecipeDraft] = useState(() => emptyRecipe(disciplines[0].name));
+  const [formError, setFormError] = useState('');
+  const ingredientFormRef = useRef(null);
+  const recipeFormRef = useRef(null);
+
+  const allRecipes = useMemo(() => Object.values(recipes).flat(), [recipes]);
+  const slotsPerTier =
+    findDiscipline(disciplines, recipeDiscipline)?.slotsPerTier || SLOTS_PER_TIER;
+  const slotMap = useMemo(
+    () => buildSlotMap(allRecipes, recipeDiscipline, slotsPerTier),
+    [allRecipes, recipeDiscipline, slotsPerTier]
+  );
+  const slotConflict = findSlotConflict(
+    allRecipes,
+    recipeDraft,
+    recipeOriginal ? recipeKey(recipeOriginal) : ''
+  );
+
+  // Opens the record a Data Health issue points at. A stash row for an unknown ingredient opens
+  // a new ingredient under that name.
+  useEffect(() => {
+    if (!focus) return;
+    setFormError('');
+    if (focus.type === 'ingredient') {
+      const ingredient = ingredients.find((item) => item.name === focus.name);
+      setIngredientOriginal(ingredient ? ingredient.name : '');
+      setIngredientDraft(
+        ingredient ? { ...ingredient } : { ...EMPTY_INGREDIENT, name: focus.name || '' }
+      );
+      ingredientFormRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      return;
+    }
+    const recipe = allRecipes.find((item) =>
+      focus.rowId ? item.rowId === focus.rowId : recipeKey(item) === recipeKey(focus)
+    );
+    if (findDiscipline(disciplines, focus.discipline)) setRecipeDiscipline(focus.discipline);
+    setRecipeOriginal(recipe || null);
+    setRecipeDraft(
+      recipe ? { ...recipe } : emptyRecipe(focus.discipline, focus.qualityCategory, focus.recipeNo)
+    );
+    recipeFormRef.current?.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }, [focus]);
+
+  const selectIngredient = (name) => {
+    setFormError('');
+    const ingredient = ingredients.find((item) => item.name === name);
+    setIngredientOriginal(ingredient ? ingredient.name : '');
+    setIngredientDraft(ingredient ? { ...ingredient } : EMPTY_INGREDIENT);
+  };
+
+  const updateIngredient = (field, value) => {
+    setIngredientDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const submitIngredient = async (event) => {
+    event.preventDefault();
+    setFormError('');
+    const name = ingredientDraft.name.trim();
+    if (!name) {
+      setFormError('Give the ingredient a name.');
+      return;
+    }
+    const duplicate = ingredients.some(
+      (item) => item.name.toLowerCase() === name.toLowerCase() && item.name !== ingredientOriginal
+    );
+    if (duplicate) {
+      setFormError('That ingredient name already exists.');
+      return;
+    }
+    const saved = await onSaveIngredient(
+      { ...ingredientDraft, name, traits: normalizeTraits(ingredientDraft.traits) },
+      ingredientOriginal
+    );
+    if (saved) selectIngredient(name);
+  };
+
+  const deleteIngredient = async () => {
+    if (!ingredientOriginal) return;
+    const deleted = await onDeleteIngredient(ingredientOriginal);
+    if (deleted) selectIngredient('');
+  };
+
+  const changeRecipeDiscipline = (value) => {
+    setRecipeDiscipline(value);
+    setRecipeOriginal(null);
+    setRecipeDraft(emptyRecipe(value));
+    setFormError('');
+  };
+
+  const selectSlot = (qualityCategory, recipeNo) => {
+    setFormError('');
+    const recipe = slotMap[qualityCategory]?.[recipeNo - 1];
+    if (recipe) {
+      setRecipeOriginal(recipe);
+      setRecipeDraft({ ...recipe });
+    } else {
+      setRecipeOriginal(null);
+      setRecipeDraft(emptyRecipe(recipeDiscipline, qualityCategory, recipeNo));
+    }
+  };
+
+  const updateRecipe = (field, value) => {
+    setRecipeDraft((prev) => ({ ...prev, [field]: value }));
+  };
+
+  const submitRecipe = async (event) => {
+    event.preventDefault();
+    setFormError('');
+    if (!recipeDraft.name.trim()) {
+      setFormError('Give the recipe a name.');
+      return;
+    }
+    const recipeNo = Number(recipeDraft.recipeNo);
+    if (!Number.isInteger(recipeNo) || recipeNo < 1 || recipeNo > slotsPerTier) {
+      setFormError(`Recipe slot must be between 1 and ${slotsPerTier}.`);
+      return;
+    }
+    if (slotConflict) {
+      setFormError(
+        `${recipeDraft.qualityCategory} slot ${recipeNo} already holds ${slotConflict.name}.`
+      );
+      return;
+    }
+    const draft = { ...recipeDraft, name: recipeDraft.name.trim(), recipeNo };
+    const saved = await onSaveRecipe(draft, recipeOriginal);
+    if (saved) {
+      setRecipeOriginal(draft);
+      setRecipeDraft(draft);
+    }
+  };
+
+  const deleteRecipe = async () => {
+    if (!recipeOriginal) return;
+    const deleted = await onDeleteRecipe(recipeOriginal);
+    if (deleted) selectSlot(recipeOriginal.qualityCategory, recipeOriginal.recipeNo);
+  };
+
+  return (
+    <>
+      <form className="dm-card content-form" onSubmit={submitIngredient} ref={ingredientFormRef}>
+        <h3>Ingredients</h3>
+        <label className="select-field">
+          <span>Ingredient</span>
+          <select
+            value={ingredientOriginal}
+            onChange={(event) => selectIngredient(event.target.value)}
+          >
+            <option value="">New ingredient</option>
+            {ingredients.map((item) => (
+              <option key={item.name} value={item.name}>
+                {item.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="select-field">
+          <span>Name</span>
+          <input
+            type="text"
+            value={ingredientDraft.name}
+            onChange={(event) => updateIngredient('name', event.target.value)}
+            required
+          />
+        </label>
+        <div className="content-stats">
+          {ATTRIBUTE_KEYS.map((key) => (
+            <label className="select-field" key={key}>
+              <span>{key}</span>
+              <input
+                type="number"
+                min={MIN_ATTRIBUTE}
+                max={MAX_ATTRIBUTE}
+                value={ingredientDraft[key]}
+                onChange={(event) => updateIngredient(key, event.target.value)}
+                onBlur={(event) => updateIngredient(key, clampAttribute(event.target.value))}
+              />
+            </label>
+          ))}
+        </div>
+        <div className="content-row">
+          <label className="select-field">
+            <span>Rarity</span>
+            <select
+              value={ingredientDraft.rarity}
+              onChange={(event) => updateIngredient('rarity', event.target.value)}
+            >
+              {RARITIES.map((rarity) => (
+                <option key={rarity} value={rarity}>
+                  {rarity}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="select-field">
+            <span>Source</span>
+            <input
+              type="text"
+              value={ingredientDraft.source}
+              placeholder="Forest, Underdark"
+              onChange={(event) => updateIngredient('source', event.target.value)}
+            />
+          </label>
+        </div>
+        <label className="select-field">
+          <span>Catalyst effect</span>
+          <select
+            value={ingredientDraft.catalyst || ''}
+            onChange={(event) => updateIngredient('catalyst', event.target.value)}
+          >
+            <option value="">None (regular ingredient)</option>
+            {Object.entries(CATALYST_EFFECTS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <TraitEditor
+          traits={ingredientDraft.traits || []}
+          onChange={(traits) => updateIngredient('traits', traits)}
+        />
+        <div className="button-row">
+          <button className="primary" type="submit" disabled={busy}>
+            {ingredientOriginal ? 'Save ingredient' : 'Add ingredient'}
+          </button>
+          {ingredientOriginal && (
+            <button className="ghost" type="button" onClick={deleteIngredient} disabled={busy}>
+              Delete
+            </button>
+          )}
+        </div>
+      </form>
+
+      <form className="dm-card content-form" onSubmit={submitRecipe} ref={recipeFormRef}>
+        <h3>Recipes</h3>
+        <div className="discipline-grid">
+          {disciplines.map(({ name }) => (
+            <label className="radio-card" key={name}>
+              <input
+                type="radio"
+                name="content-discipline"
+                value={name}
+                checked={recipeDiscipline === name}
+                onChange={(event) => changeRecipeDiscipline(event.target.value)}
+              />
+              <span>{name}</span>
+            </label>
+          ))}
+        </div>
+        <div className="slot-map">
+          {QUALITY_CATEGORIES.map((quality) => (
+            <div className="slot-map-row" key={quality}>
+              <span className="slot-map-label">{quality}</span>
+              <div className="slot-map-cells" style={{ '--slots': slotsPerTier }}>
+                {slotMap[quality].map((recipe, index) => {
+                  const slot = index + 1;
+                  const active =
+                    recipeDraft.qualityCategory === quality && Number(recipeDraft.recipeNo) === slot;
+                  return (
+                    <button
+                      className={`slot-cell ${recipe ? 'taken' : 'empty'} ${
+                        active ? 'active' : ''
+                      } ${getRarityClass(recipe?.rarity)}`}
+                      key={`${quality}-${slot}`}
+                      type="button"
+                      title={recipe ? `${slot}: ${recipe.name}` : `${slot}: empty`}
+                      onClick={() => selectSlot(quality, slot)}
+                    >
+                      {slot}
+                    </button>
+                  );
+                })}
+              </div>
+            </div>
+          ))}
+        </div>
+        <p className="hint">
+          {recipeOriginal
+            ? `Editing ${recipeOriginal.name}.`
+            : `New recipe for ${recipeDraft.qualityCategory} slot ${recipeDraft.recipeNo}.`}
+        </p>
+        <label className="select-field">
+          <span>Name</span>
+          <input
+            type="text"
+            value={recipeDraft.name}
+            onChange={(event) => updateRecipe('name', event.target.value)}
+            required
+          />
+        </label>
+        <div className="content-row">
+          <label className="select-field">
+            <span>Quality</span>
+            <select
+              value={recipeDraft.qualityCategory}
+              onChange={(event) => updateRecipe('qualityCategory', event.target.value)}
+            >
+              {!QUALITY_CATEGORIES.includes(recipeDraft.qualityCategory) && (
+                <option value={recipeDraft.qualityCategory}>
+                  {recipeDraft.qualityCategory || 'None'} (invalid)
+                </option>
+              )}
+              {QUALITY_CATEGORIES.map((quality) => (
+                <option key={quality} value={quality}>
+                  {quality}
+                </option>
+              ))}
+            </select>
+          </label>
+          <label className="select-field">
+            <span>Slot</span>
+            <input
+              type="number"
+              min="1"
+              max={slotsPerTier}
+              value={recipeDraft.recipeNo}
+              onChange={(event) => updateRecipe('recipeNo', event.target.value)}
+            />
+          </label>
+          <label className="select-field">
+            <span>Rarity</span>
+            <select
+              value={recipeDraft.rarity}
+              onChange={(event) => updateRecipe('rarity', event.target.value)}
+            >
+              {RARITIES.map((rarity) => (
+                <option key={rarity} value={rarity}>
+                  {rarity}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        {slotConflict && (
+          <div className="panel-callout error">
+            Slot taken by {slotConflict.name}. Pick an empty slot or edit that recipe.
+          </div>
+        )}
+        <label className="select-field">
+          <span>Effect</span>
+          <textarea
+            value={recipeDraft.effect}
+            onChange={(event) => updateRecipe('effect', event.target.value)}
+          />
+        </label>
+        <label className="select-field">
+          <span>Description</span>
+          <textarea
+            value={recipeDraft.description}
+            onChange={(event) => updateRecipe('description', event.target.value)}
+          />
+        </label>
+        <div className="content-row">
+          <label className="select-field">
+            <span>Source</span>
+            <input
+              type="text"
+              value={recipeDraft.source}
+              placeholder="DMG'24, Homebrew"
+              onChange={(event) => updateRecipe('source', event.target.value)}
+            />
+          </label>
+          <label className="select-field">
+            <span>Party knows</span>
+            <select
+              value={recipeDraft.discovery}
+              onChange={(event) => updateRecipe('discovery', event.target.value)}
+            >
+              {DISCOVERY_TIERS.map((tier) => (
+                <option key={tier} value={tier}>
+                  {DISCOVERY_LABELS[tier]} ({DISCOVERY_HINTS[tier].toLowerCase()})
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+        <div className="button-row">
+          <button className="primary" type="submit" disabled={busy || Boolean(slotConflict)}>
+            {recipeOriginal ? 'Save recipe' : 'Add recipe'}
+          </button>
+          {recipeOriginal && (
+            <button className="ghost" type="button" onClick={deleteRecipe} disabled={busy}>
+              Delete
+            </button>
+          )}
+        </div>
+      </form>
+
+      {formError && <div className="panel-callout error">{formError}</div>}
+    </>
+  );
+}
+
+export default ContentEditor;
@@ -0,0 +1,132 @@
+import React, { useEffect, useState } from 'react';
+import { RARITIES } from '../utils/content';
+import { PARTIAL_OUTCOMES, getMishapTable, normalizeCraftCheck } from '../utils/craftCheck';
+
+// Mishap tables are edited as one "Name: effect" line per entry.
+const mishapsToText = (table) =>
+  table
+    .map((mishap) => (mishap.effect ? `${mishap.name}: ${mishap.effect}` : mishap.name))
+    .join('\n');
+
+const textToMishaps = (value) =>
+  value
+    .split('\n')
+    .map((line) => {
+      const [name, ...effect] = line.split(':');
+      return { name, effect: effect.join(':') };
+    })
+    .filter((mishap) => mishap.name.trim());
+
+const toDraft = (check, disciplines) => ({
+  ...check,
+  mishapText: Object.fromEntries(
+    disciplines.map((discipline) => [
+      discipline.name,
+      mishapsToText(getMishapTable(check, discipline.name))
+    ])
+  )
+});
+
+function CraftCheckPanel({ check, disciplines, busy, onSave }) {
+  const [draft, setDraft] = useState(() => toDraft(check, disciplines));
+
+  useEffect(() => {
+    setDraft(toDraft(check, disciplines));
+  }, [check, disciplines]);
+
+  const update = (field, value) => setDraft((prev) => ({ ...prev, [field]: value }));
+
+  const save = () => {
+    const { mishapText, ...rest } = draft;
+    const mishaps = {
+      ...draft.mishaps,
+      ...Object.fromEntries(
+        Object.entries(mishapText).map(([discipline, value]) => [discipline, textToMishaps(value)])
+      )
+    };
+    onSave({ craftCheck: normalizeCraftCheck({ ...rest, mishaps }) }, 'Crafting checks saved.');
+  };
+
+  return (
+    <div className="dm-card">
+      <h3>Crafting checks</h3>
+      <label className="toggle">
+        <input
+          type="checkbox"
+          checked={draft.enabled}
+          onChange={(event) => update('enabled', event.target.checked)}
+        />
+        Require a d20 check with the discipline&apos;s tool for every craft
+      </label>
+      <p className="hint">
+        DC is set by the recipe&apos;s rarity, plus 1 for every step of the dominant total. A
+        natural 1 rolls on the discipline&apos;s mishap table.
+      </p>
+      <div className="check-dcs">
+        {RARITIES.map((rarity) => (
+          <label className="select-field" key={rarity}>
+            <span>{rarity} DC</span>
+            <input
+              type="number"
+              min="0"
+              value={draft.rarityDcs[rarity]}
+              onChange={(event) =>
+                update('rarityDcs', { ...draft.rarityDcs, [rarity]: event.target.value })
+              }
+            />
+          </label>
+        ))}
+        <label className="select-field">
+          <span>+1 DC per total of</span>
+          <input
+            type="number"
+            min="0"
+            value={draft.totalStep}
+            onChange={(event) => update('totalStep', event.target.value)}
+          />
+        </label>
+        <label className="select-field">
+          <span>Partial failure within</span>
+          <input
+            type="number"
+            min="0"
+            value={draft.partialMargin}
+            onChange={(event) => update('partialMargin', event.target.value)}
+          />
+        </label>
+      </div>
+      <label className="select-field">
+        <span>On a partial failure</span>
+        <select
+          value={draft.partialOutcome}
+          onChange={(event) => update('partialOutcome', event.target.value)}
+        >
+          {Object.entries(PARTIAL_OUTCOMES).map(([value, label]) => (
+            <option key={value} value={value}>
+              {label}
+            </option>
+          ))}
+        </select>
+      </label>
+      {disciplines.map((discipline) => (
+        <label className="select-field" key={discipline.name}>
+          <span>{discipline.name} mishaps (one &quot;Name: effect&quot; per line)</span>
+          <textarea
+            rows={4}
+            value={draft.mishapText[discipline.name] ?? ''}
+            onChange={(event) =>
+              update('mishapText', { ...draft.mishapText, [discipline.name]: event.target.value })
+            }
+          />
+        </label>
+      ))}
+      <div className="button-row">
+        <button className="primary" type="button" disabled={busy} onClick={save}>
+          Save checks
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default CraftCheckPanel;
@@ -0,0 +1,113 @@
+import React, { useEffect, useState } from 'react';
+import { SELECTION_MODES, replayLoggedCraft } from '../utils/calculateResult';
+import { CHECK_OUTCOMES } from '../utils/craftCheck';
+
+const RECENT_CRAFTS = 8;
+
+function CraftSettingsPanel({
+  settings,
+  busy,
+  craftLog,
+  ingredientMap,
+  recipes,
+  disciplines,
+  onSave
+}) {
+  const [mode, setMode] = useState(settings.selectionMode);
+  const [spread, setSpread] = useState(settings.selectionSpread);
+  const [verified, setVerified] = useState({});
+
+  useEffect(() => {
+    setMode(settings.selectionMode);
+    setSpread(settings.selectionSpread);
+  }, [settings]);
+
+  const dirty = mode !== settings.selectionMode || Number(spread) !== settings.selectionSpread;
+
+  const verify = (entry) => {
+    const { replayed, matches } = replayLoggedCraft(entry, ingredientMap, recipes, disciplines);
+    setVerified((prev) => ({
+      ...prev,
+      [entry.id]: matches
+        ? 'Verified'
+        : `Mismatch: replay gives slot ${replayed.roll + 1} (${replayed.recipe?.name || 'none'})`
+    }));
+  };
+
+  return (
+    <div className="dm-card">
+      <h3>Recipe selection</h3>
+      <div className="content-row">
+        <label className="select-field">
+          <span>Mode</span>
+          <select value={mode} onChange={(event) => setMode(event.target.value)}>
+            {Object.entries(SELECTION_MODES).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        {mode === 'window' && (
+          <label className="select-field">
+            <span>± slots</span>
+            <input
+              type="number"
+              min="0"
+              max="14"
+              value={spread}
+              onChange={(event) => setSpread(event.target.value)}
+            />
+          </label>
+        )}
+      </div>
+      <p className="hint">
+        Random modes use a seeded roll stored with every craft, so any result can be replayed.
+      </p>
+      <div className="button-row">
+        <button
+          className="primary"
+          type="button"
+          disabled={busy || !dirty}
+          onClick={() =>
+            onSave({ selectionMode: mode, selectionSpread: Math.max(0, Number(spread) || 0) })
+          }
+        >
+          Save mode
+        </button>
+      </div>
+
+      {craftLog.length > 0 && (
+        <div className="craft-rolls">
+          <h4>Recent crafts</h4>
+          {craftLog.slice(0, RECENT_CRAFTS).map((entry) => (
+            <div className="craft-roll-row" key={entry.id}>
+              <div>
+                <span className="grant-name">{entry.recipeName || 'Unknown'}</span>
+                <p className="inventory-meta">
+                  {entry.discipline} | {SELECTION_MODES[entry.mode] || entry.mode}
+                  {entry.catalystName ? ` | ${entry.catalystName}` : ''}
+                  {entry.grade ? ` | ${entry.grade}` : ''}
+                  {entry.seed ? ` | seed ${entry.seed}` : ''} | slot {entry.roll + 1}
+                  {entry.syncedOffline ? ' | crafted offline' : ''}
+                  {entry.check
+                    ? ` | check ${entry.check.total} vs DC ${entry.check.dc}: ${
+                        CHECK_OUTCOMES[entry.check.outcome] || entry.check.outcome
+                      }`
+                    : ''}
+                  {entry.check?.mishap ? ` (${entry.check.mishap.name})` : ''}
+                </p>
+                {verified[entry.id] && <p className="notice">{verified[entry.id]}</p>}
+              </div>
+              <button className="ghost tiny" type="button" onClick={() => verify(entry)}>
+                Replay
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default CraftSettingsPanel;
@@ -0,0 +1,183 @@
+import React, { useMemo } from 'react';
+import { ATTRIBUTE_LABELS } from '../utils/content';
+import { CHECK_OUTCOMES } from '../utils/craftCheck';
+import {
+  EMPTY_HISTORY_FILTERS,
+  describeSession,
+  formatTime,
+  groupCraftSessions
+} from '../utils/craftHistory';
+
+const describeTotals = (totals) =>
+  totals
+    ? Object.keys(ATTRIBUTE_LABELS)
+        .map((key) => `${ATTRIBUTE_LABELS[key]} ${totals[key] ?? 0}`)
+        .join(' / ')
+    : '';
+
+function CraftTimeline({
+  entries,
+  filters,
+  disciplines,
+  players,
+  characters,
+  loading,
+  limit,
+  message,
+  onFiltersChange
+}) {
+  const sessions = useMemo(() => groupCraftSessions(entries), [entries]);
+  const playerNames = useMemo(
+    () => new Map(players.map((player) => [player.userId, player.name])),
+    [players]
+  );
+  const characterNames = useMemo(
+    () => new Map(characters.map((character) => [character.id, character.name])),
+    [characters]
+  );
+
+  const update = (field, value) => onFiltersChange({ ...filters, [field]: value });
+
+  const crafter = (entry) => {
+    const player = playerNames.get(entry.craftedBy);
+    const character = characterNames.get(entry.characterId);
+    if (character && player) return `${character} (${player})`;
+    return character || player || (entry.craftedBy ? 'Unknown player' : 'Local');
+  };
+
+  return (
+    <section className="panel history-panel">
+      <div className="panel-header">
+        <div>
+          <h2>Crafting History</h2>
+          <p className="panel-subtitle">
+            Every craft from craft_log, grouped into sessions (crafts less than a few hours apart).
+          </p>
+        </div>
+        <span className="badge">DM</span>
+      </div>
+
+      <div className="history-filters">
+        {players.length > 0 && (
+          <label className="select-field">
+            <span>Player</span>
+            <select
+              value={filters.craftedBy}
+              onChange={(event) => update('craftedBy', event.target.value)}
+            >
+              <option value="">Everyone</option>
+              {players.map((player) => (
+                <option key={player.userId} value={player.userId}>
+                  {player.name}
+                </option>
+              ))}
+            </select>
+          </label>
+        )}
+        <label className="select-field">
+          <span>Discipline</span>
+          <select
+            value={filters.discipline}
+            onChange={(event) => update('discipline', event.target.value)}
+          >
+            <option value="">All</option>
+            {disciplines.map(({ name }) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="select-field">
+          <span>From</span>
+          <input
+            type="date"
+            value={filters.from}
+            onChange={(event) => update('from', event.target.value)}
+          />
+        </label>
+        <label className="select-field">
+          <span>To</span>
+          <input
+            type="date"
+            value={filters.to}
+            onChange={(event) => update('to', event.target.value)}
+          />
+        </label>
+        <label className="select-field">
+          <span>Recipe</span>
+          <input
+            type="text"
+            value={filters.recipe}
+            placeholder="Potion of Comprehension"
+            onChange={(event) => update('recipe', event.target.value)}
+          />
+        </label>
+      </div>
+      <div className="button-row">
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={filters.newestFirst}
+            onChange={(event) => update('newestFirst', event.target.checked)}
+          />
+          Newest first
+        </label>
+        <button
+          className="ghost"
+          type="button"
+          onClick={() => onFiltersChange(EMPTY_HISTORY_FILTERS)}
+        >
+          Clear filters
+        </button>
+      </div>
+
+      {message && <div className="panel-callout error">{message}</div>}
+      <p className="inventory-meta">
+        {loading
+          ? 'Loading crafts…'
+          : `${entries.length} craft${entries.length === 1 ? '' : 's'} found` +
+            (entries.length >= limit ? ` (showing the first ${limit}; narrow the filters)` : '.')}
+      </p>
+
+      {sessions.map((session) => (
+        <div className="history-session" key={session.entries[0].id}>
+          <h3>{describeSession(session)}</h3>
+          {session.entries.map((entry) => (
+            <div className="history-row" key={entry.id}>
+              <span className="history-time">{formatTime(entry.createdAt)}</span>
+              <div>
+                <h4>
+                  {entry.recipeName || 'Unknown recipe'}
+                  {entry.grade ? ` (${entry.grade})` : ''}
+                </h4>
+                <p className="inventory-meta">
+                  {crafter(entry)} | {entry.discipline} |{' '}
+                  {entry.ingredientNames.join(', ')}
+                  {entry.catalystName ? ` + ${entry.catalystName}` : ''}
+                </p>
+                <p className="inventory-meta">
+                  {describeTotals(entry.totals)}
+                  {entry.dominantAttribute
+                    ? ` | dominant ${ATTRIBUTE_LABELS[entry.dominantAttribute]}`
+                    : ''}{' '}
+                  | slot {entry.roll + 1}
+                  {entry.usedFallback ? ' | fallback recipe' : ''}
+                  {entry.check
+                    ? ` | check ${entry.check.total} vs DC ${entry.check.dc}: ${
+                        CHECK_OUTCOMES[entry.check.outcome] || entry.check.outcome
+                      }`
+                    : ''}
+                  {entry.syncedOffline ? ' | crafted offline' : ''}
+                  {entry.undoneAt ? ' | undone' : ''}
+                </p>
+              </div>
+            </div>
+          ))}
+        </div>
+      ))}
+    </section>
+  );
+}
+
+export default CraftTimeline;
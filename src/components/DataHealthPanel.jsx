@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { countIssues } from '../utils/validation';
+
+const LEVEL_LABELS = { error: 'Error', warning: 'Warning' };
+
+function DataHealthPanel({ issues, onOpen }) {
+  const [showWarnings, setShowWarnings] = useState(false);
+  const counts = countIssues(issues);
+  const visible = issues.filter((issue) => showWarnings || issue.level === 'error');
+
+  return (
+    <div className="dm-card dm-wide health-card">
+      <h3>Data health</h3>
+      <p className="inventory-meta">
+        {issues.length
+          ? `${counts.error} error${counts.error === 1 ? '' : 's'}, ${counts.warning} ` +
+            `warning${counts.warning === 1 ? '' : 's'}.`
+          : 'No problems found in this campaign’s data.'}
+      </p>
+      {counts.warning > 0 && (
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={showWarnings}
+            onChange={(event) => setShowWarnings(event.target.checked)}
+          />
+          Show warnings
+        </label>
+      )}
+      {visible.length > 0 && (
+        <div className="health-list">
+          {visible.map((issue, index) => (
+            <div className={`health-row ${issue.level}`} key={`${issue.label}-${index}`}>
+              <span className="health-level">{LEVEL_LABELS[issue.level]}</span>
+              <span>
+                <strong>{issue.label}</strong>: {issue.message}
+              </span>
+              <button className="ghost tiny" type="button" onClick={() => onOpen(issue.target)}>
+                Open
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default DataHealthPanel;
@@ -0,0 +1,164 @@
+import React, { useMemo, useState } from 'react';
+import { downloadFile } from '../lib/download';
+import {
+  DATA_SETS,
+  describeRow,
+  detectFormat,
+  diffDataSet,
+  exportDataSet,
+  parseDataFile
+} from '../utils/dataTransfer';
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+function DataTransferPanel({ ingredients, recipes, inventory, disciplines, busy, onApply }) {
+  const [dataSet, setDataSet] = useState('ingredients');
+  const [upload, setUpload] = useState(null);
+  const [removeMissing, setRemoveMissing] = useState(false);
+
+  const currentRows = useMemo(
+    () => ({ ingredients, recipes: Object.values(recipes).flat(), inventory })[dataSet],
+    [dataSet, ingredients, recipes, inventory]
+  );
+  const diff = useMemo(
+    () => (upload ? diffDataSet(dataSet, currentRows, upload.rows) : null),
+    [dataSet, currentRows, upload]
+  );
+  const pending = diff
+    ? diff.added.length + diff.changed.length + (removeMissing ? diff.removed.length : 0)
+    : 0;
+
+  const chooseDataSet = (value) => {
+    setDataSet(value);
+    setUpload(null);
+    setRemoveMissing(false);
+  };
+
+  const readFile = async (event) => {
+    const file = event.target.files?.[0];
+    event.target.value = '';
+    if (!file) return;
+    const parsed = parseDataFile(dataSet, await file.text(), detectFormat(file.name), {
+      disciplines,
+      ingredientNames: new Set(ingredients.map((ingredient) => ingredient.name))
+    });
+    setUpload({ filename: file.name, ...parsed });
+    setRemoveMissing(false);
+  };
+
+  const exportFile = (format) => {
+    downloadFile(
+      `${dataSet}.${format}`,
+      exportDataSet(dataSet, currentRows, format),
+      format === 'json' ? 'application/json' : 'text/csv'
+    );
+  };
+
+  const apply = async () => {
+    const applied = await onApply(dataSet, {
+      ...diff,
+      removed: removeMissing ? diff.removed : []
+    });
+    if (applied) setUpload(null);
+  };
+
+  return (
+    <div className="dm-card dm-wide transfer-card">
+      <h3>Import &amp; export</h3>
+      <div className="content-row">
+        <label className="select-field">
+          <span>Data</span>
+          <select value={dataSet} onChange={(event) => chooseDataSet(event.target.value)}>
+            {Object.entries(DATA_SETS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="select-field">
+          <span>Upload CSV or JSON</span>
+          <input type="file" accept=".csv,.json,text/csv,application/json" onChange={readFile} />
+        </label>
+      </div>
+      <div className="button-row">
+        <button className="ghost" type="button" onClick={() => exportFile('csv')}>
+          Export CSV
+        </button>
+        <button className="ghost" type="button" onClick={() => exportFile('json')}>
+          Export JSON
+        </button>
+      </div>
+      <p className="hint">
+        Same columns as supabase/seed. Leave out catalyst, traits or discovery to keep the
+        current values.
+      </p>
+
+      {upload && diff && (
+        <>
+          <p className="inventory-meta">
+            {upload.filename}: {pluralize(diff.added.length, 'new row')},{' '}
+            {pluralize(diff.changed.length, 'changed row')},{' '}
+            {pluralize(diff.removed.length, 'row')} missing from the file, {diff.unchanged}{' '}
+            unchanged.
+          </p>
+          {upload.errors.length > 0 && (
+            <div className="panel-callout error">
+              Fix these rows and upload again:
+              <ul className="transfer-errors">
+                {upload.errors.map((error) => (
+                  <li key={error}>{error}</li>
+                ))}
+              </ul>
+            </div>
+          )}
+          <div className="transfer-diff">
+            {diff.added.map((row) => (
+              <div className="transfer-row added" key={`added-${describeRow(dataSet, row)}`}>
+                + {describeRow(dataSet, row)}
+              </div>
+            ))}
+            {diff.changed.map(({ after, fields }) => (
+              <div className="transfer-row changed" key={`changed-${describeRow(dataSet, after)}`}>
+                ~ {describeRow(dataSet, after)}: {fields.join(', ')}
+              </div>
+            ))}
+            {diff.removed.map((row) => (
+              <div
+                className={`transfer-row removed ${removeMissing ? '' : 'kept'}`}
+                key={`removed-${describeRow(dataSet, row)}`}
+              >
+                - {describeRow(dataSet, row)}
+              </div>
+            ))}
+          </div>
+          {diff.removed.length > 0 && (
+            <label className="toggle">
+              <input
+                type="checkbox"
+                checked={removeMissing}
+                onChange={(event) => setRemoveMissing(event.target.checked)}
+              />
+              Delete rows missing from the file
+            </label>
+          )}
+          <div className="button-row">
+            <button
+              className="primary"
+              type="button"
+              onClick={apply}
+              disabled={busy || upload.errors.length > 0 || !pending}
+            >
+              Apply {pluralize(pending, 'change')}
+            </button>
+            <button className="ghost" type="button" onClick={() => setUpload(null)}>
+              Discard
+            </button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
+
+export default DataTransferPanel;
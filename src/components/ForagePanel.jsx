@@ -0,0 +1,154 @@
+import React, { useMemo, useState } from 'react';
+import { loadLocal, saveLocal } from '../lib/localStore';
+import { getRarityClass } from '../utils/rarity';
+import {
+  DEFAULT_RARITY_WEIGHTS,
+  buildForageTable,
+  buildForageTables,
+  getCheckTier,
+  getForageCount,
+  rollForage
+} from '../utils/foraging';
+
+const WEIGHTS_STORAGE_KEY = 'forage_weights';
+
+const formatChance = (chance) => `${(chance * 100).toFixed(1)}%`;
+
+function ForagePanel({ ingredients, onOfferHaul }) {
+  const [weights, setWeights] = useState(() =>
+    loadLocal(WEIGHTS_STORAGE_KEY, DEFAULT_RARITY_WEIGHTS)
+  );
+  const [biome, setBiome] = useState('');
+  const [count, setCount] = useState(3);
+  const [checkResult, setCheckResult] = useState('');
+  const [haul, setHaul] = useState(null);
+
+  const tables = useMemo(() => buildForageTables(ingredients, weights), [ingredients, weights]);
+  const biomes = Object.keys(tables);
+  const activeBiome = tables[biome] ? biome : biomes[0] || '';
+  const checkTier = getCheckTier(checkResult);
+  const table = useMemo(
+    () => buildForageTable(ingredients, activeBiome, weights, checkTier),
+    [ingredients, activeBiome, weights, checkTier]
+  );
+  const finds = getForageCount(count, checkTier);
+
+  const updateWeight = (rarity, value) => {
+    const next = { ...weights, [rarity]: Math.max(0, Number(value) || 0) };
+    setWeights(next);
+    saveLocal(WEIGHTS_STORAGE_KEY, next);
+  };
+
+  const resetWeights = () => {
+    setWeights(DEFAULT_RARITY_WEIGHTS);
+    saveLocal(WEIGHTS_STORAGE_KEY, DEFAULT_RARITY_WEIGHTS);
+  };
+
+  const handleRoll = () => {
+    setHaul(rollForage(table, finds));
+  };
+
+  const offerHaul = () => {
+    if (!haul?.length) return;
+    const check = checkTier ? ` (check ${checkResult}, ${checkTier.label.toLowerCase()})` : '';
+    onOfferHaul(
+      haul.map((item) => ({ name: item.name, quantity: item.quantity })),
+      `Foraged in ${activeBiome}${check}`
+    );
+    setHaul(null);
+  };
+
+  return (
+    <div className="dm-card forage-card">
+      <h3>Forage</h3>
+      <div className="content-row">
+        <label className="select-field">
+          <span>Biome</span>
+          <select
+            value={activeBiome}
+            onChange={(event) => {
+              setBiome(event.target.value);
+              setHaul(null);
+            }}
+          >
+            {biomes.map((name) => (
+              <option key={name} value={name}>
+                {name} ({tables[name].length})
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="select-field">
+          <span>Forages</span>
+          <input
+            type="number"
+            min="1"
+            value={count}
+            onChange={(event) => setCount(event.target.value)}
+          />
+        </label>
+        <label className="select-field">
+          <span>Check result</span>
+          <input
+            type="number"
+            value={checkResult}
+            placeholder="Optional"
+            onChange={(event) => setCheckResult(event.target.value)}
+          />
+        </label>
+      </div>
+      <div className="content-row">
+        {Object.keys(DEFAULT_RARITY_WEIGHTS).map((rarity) => (
+          <label className="select-field" key={rarity}>
+            <span>{rarity} weight</span>
+            <input
+              type="number"
+              min="0"
+              value={weights[rarity] ?? 0}
+              onChange={(event) => updateWeight(rarity, event.target.value)}
+            />
+          </label>
+        ))}
+      </div>
+      <p className="hint">
+        {checkTier
+          ? `${checkTier.label} check: ${finds} find${finds === 1 ? '' : 's'}.`
+          : `${finds} find${finds === 1 ? '' : 's'}, no check applied.`}{' '}
+        <button className="ghost tiny" type="button" onClick={resetWeights}>
+          Reset weights
+        </button>
+      </p>
+
+      <div className="forage-odds">
+        {table.map((entry) => (
+          <div className={`forage-odds-row ${getRarityClass(entry.rarity)}`} key={entry.name}>
+            <span className="grant-name">{entry.name}</span>
+            <span className="inventory-meta">{entry.rarity}</span>
+            <span className="forage-chance">{formatChance(entry.chance)}</span>
+          </div>
+        ))}
+      </div>
+
+      <div className="button-row">
+        <button className="primary" type="button" onClick={handleRoll} disabled={!table.length}>
+          Roll forage
+        </button>
+        {haul?.length > 0 && (
+          <button className="ghost" type="button" onClick={offerHaul}>
+            Add haul to grant
+          </button>
+        )}
+      </div>
+      {haul?.length > 0 && (
+        <div className="panel-callout">
+          Haul: {haul.map((item) => `${item.quantity}x ${item.name}`).join(', ')}
+        </div>
+      )}
+      {haul && !haul.length && (
+        <div className="panel-callout">The party comes back empty-handed.</div>
+      )}
+    </div>
+  );
+}
+
+export default ForagePanel;
@@ -0,0 +1,104 @@
+import React, { useState } from 'react';
+
+function GrantPanel({
+  ingredients,
+  grantName,
+  rows,
+  reason,
+  busy,
+  onGrantNameChange,
+  onAddRow,
+  onUpdateRow,
+  onRemoveRow,
+  onReasonChange,
+  onSubmit
+}) {
+  const [quantity, setQuantity] = useState(1);
+  const totalItems = rows.reduce((sum, row) => sum + row.quantity, 0);
+
+  const addRow = () => {
+    if (!grantName) return;
+    onAddRow(grantName, Math.max(1, Number(quantity) || 1));
+    setQuantity(1);
+  };
+
+  return (
+    <div className="dm-card grant-card">
+      <h3>Grant ingredients</h3>
+      <div className="grant-picker">
+        <label className="select-field">
+          <span>Ingredient</span>
+          <select value={grantName} onChange={(event) => onGrantNameChange(event.target.value)}>
+            <option value="">Choose ingredient</option>
+            {ingredients.map((item) => (
+              <option key={item.name} value={item.name}>
+                {item.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="select-field">
+          <span>Qty</span>
+          <input
+            type="number"
+            min="1"
+            value={quantity}
+            onChange={(event) => setQuantity(event.target.value)}
+            onKeyDown={(event) => {
+              if (event.key === 'Enter') {
+                event.preventDefault();
+                addRow();
+              }
+            }}
+          />
+        </label>
+        <button className="ghost" type="button" onClick={addRow} disabled={!grantName}>
+          Add
+        </button>
+      </div>
+
+      {rows.length > 0 && (
+        <div className="inventory-edit">
+          {rows.map((row) => (
+            <div className="inventory-edit-row grant-row" key={`grant-${row.name}`}>
+              <span className="grant-name">{row.name}</span>
+              <input
+                className="inventory-input"
+                type="number"
+                min="1"
+                value={row.quantity}
+                onChange={(event) => onUpdateRow(row.name, event.target.value)}
+                aria-label={`Grant quantity for ${row.name}`}
+              />
+              <button className="ghost tiny" type="button" onClick={() => onRemoveRow(row.name)}>
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <label className="select-field">
+        <span>Reason</span>
+        <input
+          type="text"
+          value={reason}
+          placeholder="Looted from the Stirge nest, session 12"
+          onChange={(event) => onReasonChange(event.target.value)}
+        />
+      </label>
+      <div className="button-row">
+        <button
+          className="primary"
+          type="button"
+          onClick={onSubmit}
+          disabled={busy || !rows.length}
+        >
+          Grant {totalItems ? `${totalItems} item${totalItems === 1 ? '' : 's'}` : 'to party'}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default GrantPanel;
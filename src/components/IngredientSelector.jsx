@@ -1,43 +1,127 @@
-import React, { useEffect, useMemo, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import {
-  calculateResult,
+  SELECTION_MODES,
   calculateTotals,
+  resolveCraft,
+  describeSelection,
   resolveDominantAttribute
 } from '../utils/calculateResult';
+import { CATALYST_EFFECTS, describeCatalystChanges, isCatalyst } from '../utils/catalysts';
+import {
+  describeCheck,
+  describeCheckConsequence,
+  normalizeCraftCheck,
+  resolveCraftCheck,
+  rollD20,
+  spentIngredients
+} from '../utils/craftCheck';
+import {
+  describeTieBreaker,
+  findDiscipline,
+  fitIngredientSlots,
+  groupRecipesByDiscipline,
+  normalizeDisciplineRow,
+  sortDisciplines
+} from '../utils/disciplines';
+import {
+  describeGrade,
+  describeGradeEffects,
+  normalizeQualityGrade,
+  normalizeQualityGrades
+} from '../utils/grades';
+import { EMPTY_HISTORY_FILTERS, filterCraftLog, historyBounds } from '../utils/craftHistory';
+import {
+  LEDGER_REASONS,
+  buildLedgerRows,
+  netLedgerChanges,
+  normalizeLedgerRow
+} from '../utils/ledger';
+import { DEFAULT_SETTINGS, settingsFromRows, settingsToRows } from '../utils/settings';
+import {
+  describeConflict,
+  describeFailedChange,
+  describeSyncReport,
+  enqueueChange
+} from '../utils/syncQueue';
+import { buildCampaignTemplate, findMembership, normalizeMembershipRow } from '../utils/campaigns';
+import { DATA_SETS } from '../utils/dataTransfer';
+import {
+  DISCOVERY_LABELS,
+  DISCOVERY_TIERS,
+  recipeDiscovery,
+  showsRecipeEffect,
+  showsRecipeName
+} from '../utils/discovery';
+import { normalizeIngredientRow, normalizeQuality, normalizeRecipeRow } from '../utils/normalize';
+import { validateCampaignData } from '../utils/validation';
+import {
+  describeModifier,
+  describeTrait,
+  normalizeModifiers,
+  sumTraitBonuses,
+  traitItemEffects
+} from '../utils/traits';
+import {
+  buildPouchMap,
+  normalizeCharacterRow,
+  normalizePouchRow,
+  planConsumption,
+  pouchKey
+} from '../utils/pouches';
+import { getRarityClass } from '../utils/rarity';
+import { generateSeed } from '../utils/rng';
 import { supabase } from '../lib/supabaseClient';
+import { loadLocal, removeLocal, saveLocal } from '../lib/localStore';
+import { loadOffline, removeOffline, saveOffline } from '../lib/offlineStore';
+import { isNetworkError, replayQueue } from '../lib/offlineSync';
+import { mergeRow, removeRow, subscribeToWorkbench } from '../lib/realtime';
+import {
+  ATTRIBUTE_LABELS,
+  SLOTS_PER_TIER,
+  recipeKey,
+  toIngredientPayload,
+  toRecipePayload
+} from '../utils/content';
+import BalanceReport from './BalanceReport';
+import CampaignSwitcher from './CampaignSwitcher';
+import ContentEditor from './ContentEditor';
+import CraftCheckPanel from './CraftCheckPanel';
+import CraftSettingsPanel from './CraftSettingsPanel';
+import CraftTimeline from './CraftTimeline';
+import DataHealthPanel from './DataHealthPanel';
+import DataTransferPanel from './DataTransferPanel';
+import ForagePanel from './ForagePanel';
+import GrantPanel from './GrantPanel';
+import LedgerPanel from './LedgerPanel';
+import OfflineRevealsPanel from './OfflineRevealsPanel';
+import OutcomeExplorer from './OutcomeExplorer';
+import PlannerPanel from './PlannerPanel';
+import PlayersPanel from './PlayersPanel';
+import PouchPanel from './PouchPanel';
+import QualityGradesPanel from './QualityGradesPanel';
+import SatchelPanel from './SatchelPanel';
 
-const DISCIPLINES = ['Herbalism', 'Alchemy', 'Poison'];
-const ATTRIBUTE_LABELS = {
-  potency: 'Potency',
-  resonance: 'Resonance',
-  entropy: 'Entropy'
-};
-const TIE_RULES = {
-  Herbalism: 'Resonance > Entropy > Potency',
-  Alchemy: 'Potency > Resonance > Entropy',
-  Poison: 'Entropy > Potency > Resonance'
-};
 const QUALITY_ORDER = { Potency: 0, Resonance: 1, Entropy: 2 };
 const LOCAL_LOGIN_DOMAIN = 'bajosoto.local';
-
-const getRarityClass = (rarity) => {
-  const normalized = (rarity || '').toLowerCase();
-  if (normalized.includes('uncommon')) return 'rarity-uncommon';
-  if (normalized.includes('common')) return 'rarity-common';
-  if (normalized.includes('legendary') || normalized.includes('rare')) return 'rarity-rare';
-  return '';
-};
-
-const normalizeQuality = (value) => {
-  const normalized = (value || '').trim();
-  const lower = normalized.toLowerCase();
-  if (lower === 'clarity') return 'Resonance';
-  if (lower === 'chaos') return 'Entropy';
-  if (lower === 'potency') return 'Potency';
-  if (lower === 'resonance') return 'Resonance';
-  if (lower === 'entropy') return 'Entropy';
-  return normalized;
-};
+const SATCHEL_STORAGE_KEY = 'crafted_items';
+const GRANTS_STORAGE_KEY = 'grants';
+const GRANTS_SEEN_STORAGE_KEY = 'grants_seen_at';
+const GRANT_NOTICE_LIMIT = 10;
+const SETTINGS_STORAGE_KEY = 'settings';
+const CRAFT_LOG_STORAGE_KEY = 'craft_log';
+const CRAFT_LOG_LIMIT = 50;
+const CRAFT_HISTORY_LIMIT = 500;
+const LEDGER_LIMIT = 300;
+const CHARACTERS_STORAGE_KEY = 'characters';
+const POUCHES_STORAGE_KEY = 'character_inventory';
+const ACTIVE_CHARACTER_STORAGE_KEY = 'active_character';
+const CAMPAIGN_STORAGE_KEY = 'campaign';
+const MEMBERSHIPS_STORAGE_KEY = 'memberships';
+const LOCAL_SNAPSHOT_STORAGE_KEY = 'local';
+const CAMPAIGN_SNAPSHOT_STORAGE_KEY = 'campaign_snapshot';
+const SYNC_QUEUE_STORAGE_KEY = 'sync_queue';
+const CHECK_MODIFIER_STORAGE_KEY = 'check_modifier';
+const DEFAULT_HOLDER = 'Party';
 
 const qualityToAttribute = (quality) => {
   const normalized = normalizeQuality(quality);
@@ -46,32 +130,70 @@ const qualityToAttribute = (quality) => {
   return 'potency';
 };
 
-const normalizeIngredientRow = (row) => ({
-  name: (row.name || '').trim(),
-  potency: Number(row.potency ?? 0),
-  resonance: Number(row.resonance ?? 0),
-  entropy: Number(row.entropy ?? 0),
+const normalizeCraftedItemRow = (row) => ({
+  id: row.id,
+  name: row.name || '',
+  discipline: row.discipline || '',
+  qualityCategory: normalizeQuality(row.quality_category || row.qualityCategory || ''),
+  recipeNo: Number(row.recipe_no ?? row.recipeNo ?? 0),
   rarity: row.rarity || '',
-  source: row.source || ''
+  effect: row.effect || '',
+  holder: (row.holder || DEFAULT_HOLDER).trim(),
+  grade: row.grade || '',
+  durationMultiplier: Number(row.duration_multiplier ?? row.durationMultiplier ?? 1),
+  sideEffects: row.side_effects ?? row.sideEffects ?? '',
+  quantity: Number(row.quantity ?? 0)
 });
 
-const normalizeRecipeRow = (row, disciplineFallback = '') => {
-  const discipline = row.discipline || row.category || disciplineFallback;
-  const recipeNo = Number(row.recipe_no ?? row.recipeNo ?? row.id ?? 0);
-  return {
-    id: recipeNo || row.id || 0,
-    recipeNo,
-    name: row.name || '',
-    category: row.category || discipline,
-    qualityCategory: normalizeQuality(row.quality_category || row.qualityCategory || ''),
-    rarity: row.rarity || '',
-    effect: row.effect || '',
-    description: row.description || '',
-    source: row.source || '',
-    discipline,
-    discovered: Boolean(row.discovered)
-  };
-};
+const normalizeGrantRow = (row) => ({
+  id: row.id,
+  reason: row.reason || '',
+  items: (row.items || []).map((item) => ({
+    name: item.name,
+    quantity: Number(item.quantity ?? 0)
+  })),
+  createdAt: row.created_at || row.createdAt || ''
+});
+
+const normalizeCraftLogRow = (row) => ({
+  id: row.id,
+  craftedBy: row.crafted_by ?? row.craftedBy ?? null,
+  characterId: row.character_id ?? row.characterId ?? null,
+  discipline: row.discipline || '',
+  ingredientNames: row.ingredient_names || row.ingredientNames || [],
+  catalystName: row.catalyst_name || row.catalystName || '',
+  modifiers: normalizeModifiers(row.modifiers),
+  grade: row.grade || '',
+  totals: row.totals || null,
+  dominantAttribute: row.dominant_attribute || row.dominantAttribute || '',
+  mode: row.selection_mode || row.mode || 'deterministic',
+  seed: row.seed || null,
+  spread: Number(row.spread ?? 0),
+  baseRoll: Number(row.base_roll ?? row.baseRoll ?? row.roll ?? 0),
+  roll: Number(row.roll ?? 0),
+  recipeName: row.recipe_name || row.recipeName || '',
+  qualityCategory: normalizeQuality(row.quality_category || row.qualityCategory || ''),
+  recipeNo: Number(row.recipe_no ?? row.recipeNo ?? 0),
+  usedFallback: Boolean(row.used_fallback ?? row.usedFallback),
+  syncedOffline: Boolean(row.synced_offline ?? row.syncedOffline),
+  madeItem: row.made_item ?? row.madeItem ?? true,
+  revealedRecipe: Boolean(row.revealed_recipe ?? row.revealedRecipe),
+  previousDiscovery: row.previous_discovery ?? row.previousDiscovery ?? null,
+  revealStatus: row.reveal_status ?? row.revealStatus ?? null,
+  ledgerBatch: row.ledger_batch ?? row.ledgerBatch ?? null,
+  undoneAt: row.undone_at || row.undoneAt || '',
+  check: row.check_outcome
+    ? {
+        roll: Number(row.check_roll ?? 0),
+        modifier: Number(row.check_modifier ?? 0),
+        total: Number(row.check_roll ?? 0) + Number(row.check_modifier ?? 0),
+        dc: Number(row.check_dc ?? 0),
+        outcome: row.check_outcome,
+        mishap: row.mishap || null
+      }
+    : row.check || null,
+  createdAt: row.created_at || row.createdAt || ''
+});
 
 const sortRecipes = (list) => {
   return [...list].sort((a, b) => {
@@ -82,6 +204,166 @@ const sortRecipes = (list) => {
   });
 };
 
+// The JSON under public/data: the whole dataset in local mode, and the starter template a
+// new Supabase campaign can be seeded from.
+const fetchStarterData = async () => {
+  const baseUrl = import.meta.env.BASE_URL || '/';
+  const disciplineRows = sortDisciplines(
+    (await fetch(`${baseUrl}data/disciplines.json`).then((res) => res.json()))
+      .map(normalizeDisciplineRow)
+      .filter((row) => row.name)
+  );
+  // A discipline without a recipe file yet (e.g. a new one) starts with an empty list.
+  const [ingredientData, inventoryData, craftedData, ...recipeFiles] = await Promise.all([
+    fetch(`${baseUrl}data/ingredients.json`).then((res) => res.json()),
+    fetch(`${baseUrl}data/inventory.json`).then((res) => res.json()),
+    fetch(`${baseUrl}data/crafted_items.json`).then((res) => res.json()),
+    ...disciplineRows.map((row) =>
+      fetch(`${baseUrl}data/${row.recipeFile}`)
+        .then((res) => (res.ok ? res.json() : []))
+        .catch(() => [])
+    )
+  ]);
+
+  return {
+    disciplines: disciplineRows,
+    ingredients: ingredientData.map(normalizeIngredientRow),
+    inventory: inventoryData,
+    craftedItems: craftedData,
+    recipes: Object.fromEntries(
+      disciplineRows.map((row, index) => [
+        row.name,
+        sortRecipes(
+          (Array.isArray(recipeFiles[index]) ? recipeFiles[index] : []).map((item) =>
+            normalizeRecipeRow(item, row.name)
+          )
+        )
+      ])
+    )
+  };
+};
+
+// Sorts the stash and fills the first slots with ingredients the party has.
+const pickInitialSelection = (inventoryRows) => {
+  const initial = [...inventoryRows]
+    .sort((a, b) => a.name.localeCompare(b.name))
+    .filter((item) => item.quantity > 0)
+    .slice(0, 3)
+    .map((item) => item.name);
+  return [initial[0] || '', initial[1] || '', initial[2] || ''];
+};
+
+const offlineSnapshotKey = (campaignId) =>
+  campaignId ? `${CAMPAIGN_SNAPSHOT_STORAGE_KEY}:${campaignId}` : LOCAL_SNAPSHOT_STORAGE_KEY;
+
+// Queued changes are replayed as whoever is signed in, so each user keeps their own queue and
+// one player's offline work is never uploaded under another's account on a shared browser.
+const syncQueueKey = (userId, campaignId) => `${SYNC_QUEUE_STORAGE_KEY}:${userId}:${campaignId}`;
+
+// One campaign's data from Supabase, shaped like the offline snapshot.
+const fetchCampaignData = async (campaignId) => {
+  const [
+    disciplineResult,
+    ingredientResult,
+    inventoryResult,
+    recipesResult,
+    craftedResult,
+    settingsResult,
+    craftLogResult,
+    charactersResult,
+    pouchResult
+  ] = await Promise.all([
+    supabase.from('disciplines').select('*').eq('campaign_id', campaignId),
+    supabase
+      .from('ingredients')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('name', { ascending: true }),
+    supabase
+      .from('inventory')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('name', { ascending: true }),
+    supabase.from('recipes').select('*').eq('campaign_id', campaignId),
+    supabase
+      .from('crafted_items')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('name', { ascending: true }),
+    supabase.from('campaign_settings').select('key, value').eq('campaign_id', campaignId),
+    supabase
+      .from('craft_log')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('created_at', { ascending: false })
+      .limit(CRAFT_LOG_LIMIT),
+    supabase
+      .from('characters')
+      .select('*')
+      .eq('campaign_id', campaignId)
+      .order('name', { ascending: true }),
+    supabase.from('character_inventory').select('*').eq('campaign_id', campaignId)
+  ]);
+
+  const failed = [
+    disciplineResult,
+    ingredientResult,
+    inventoryResult,
+    recipesResult,
+    craftedResult,
+    settingsResult,
+    craftLogResult,
+    charactersResult,
+    pouchResult
+  ].find((result) => result.error);
+  if (failed) throw failed.error;
+
+  const disciplineRows = sortDisciplines(
+    (disciplineResult.data || []).map(normalizeDisciplineRow).filter((row) => row.name)
+  );
+  const recipeRows = (recipesResult.data || []).map((row) => normalizeRecipeRow(row));
+  const grouped = groupRecipesByDiscipline(recipeRows, disciplineRows);
+
+  return {
+    disciplines: disciplineRows,
+    ingredients: (ingredientResult.data || [])
+      .map(normalizeIngredientRow)
+      .filter((item) => item.name),
+    inventory: (inventoryResult.data || []).map((row) => ({
+      name: row.name,
+      quantity: Number(row.quantity ?? 0)
+    })),
+    recipes: Object.fromEntries(
+      Object.entries(grouped).map(([name, list]) => [name, sortRecipes(list)])
+    ),
+    craftedItems: (craftedResult.data || []).map(normalizeCraftedItemRow),
+    settings: settingsFromRows(settingsResult.data || []),
+    craftLog: (craftLogResult.data || []).map(normalizeCraftLogRow),
+    characters: (charactersResult.data || []).map(normalizeCharacterRow),
+    pouchRows: (pouchResult.data || []).map(normalizePouchRow)
+  };
+};
+
+// Local mode's first run: the starter JSON plus whatever an older version kept in localStorage.
+const fetchLocalWorkbench = async () => {
+  const starter = await fetchStarterData();
+  return {
+    disciplines: starter.disciplines,
+    ingredients: starter.ingredients,
+    inventory: starter.inventory,
+    recipes: starter.recipes,
+    craftedItems: loadLocal(SATCHEL_STORAGE_KEY, starter.craftedItems).map(
+      normalizeCraftedItemRow
+    ),
+    settings: { ...DEFAULT_SETTINGS, ...loadLocal(SETTINGS_STORAGE_KEY, {}) },
+    craftLog: loadLocal(CRAFT_LOG_STORAGE_KEY, []).map(normalizeCraftLogRow),
+    characters: loadLocal(CHARACTERS_STORAGE_KEY, []).map(normalizeCharacterRow),
+    pouchRows: loadLocal(POUCHES_STORAGE_KEY, []).map(normalizePouchRow)
+  };
+};
+
+// Usernames are auth emails under a made-up domain, both at sign-in and when the DM creates
+// an account in the Players panel.
 const buildLoginEmail = (value) => {
   const trimmed = (value || '').trim();
   if (!trimmed) return '';
@@ -89,15 +371,41 @@ const buildLoginEmail = (value) => {
   return `${trimmed}@${LOCAL_LOGIN_DOMAIN}`;
 };
 
+const getDisplayName = (email) => {
+  const trimmed = (email || '').trim();
+  const suffix = `@${LOCAL_LOGIN_DOMAIN}`;
+  return trimmed.endsWith(suffix) ? trimmed.slice(0, -suffix.length) : trimmed;
+};
+
+const normalizePlayerRow = (row) => ({
+  userId: row.user_id ?? row.userId,
+  name: getDisplayName(row.email),
+  role: row.role || 'party',
+  active: row.active !== false,
+  lastSignInAt: row.last_sign_in_at || row.lastSignInAt || ''
+});
+
 function IngredientSelector() {
   const hasSupabase = Boolean(supabase);
 
   const [ingredients, setIngredients] = useState([]);
   const [inventory, setInventory] = useState([]);
-  const [recipes, setRecipes] = useState({ Herbalism: [], Alchemy: [], Poison: [] });
+  const [disciplines, setDisciplines] = useState([]);
+  const [recipes, setRecipes] = useState({});
+  const [craftedItems, setCraftedItems] = useState([]);
+  const [satchelBusy, setSatchelBusy] = useState(false);
+  const [satchelMessage, setSatchelMessage] = useState('');
+  const [crafting, setCrafting] = useState(false);
+  const [presentUsers, setPresentUsers] = useState([]);
+  const pendingInventory = useRef(new Map());
   const [selectedNames, setSelectedNames] = useState(['', '', '']);
-  const [discipline, setDiscipline] = useState('Herbalism');
+  const [catalystName, setCatalystName] = useState('');
+  const [discipline, setDiscipline] = useState('');
   const [result, setResult] = useState(null);
+  const [checkRoll, setCheckRoll] = useState('');
+  const [checkModifier, setCheckModifier] = useState(() =>
+    loadLocal(CHECK_MODIFIER_STORAGE_KEY, '')
+  );
   const [resultModalOpen, setResultModalOpen] = useState(false);
   const [error, setError] = useState('');
   const [loadError, setLoadError] = useState('');
@@ -107,14 +415,50 @@ function IngredientSelector() {
   const [editingName, setEditingName] = useState('');
   const [nameDraft, setNameDraft] = useState('');
   const [renaming, setRenaming] = useState(false);
+  const [contentBusy, setContentBusy] = useState(false);
+  const [contentFocus, setContentFocus] = useState(null);
+  const [grantName, setGrantName] = useState('');
+  const [grantRows, setGrantRows] = useState([]);
+  const [grantReason, setGrantReason] = useState('');
+  const [granting, setGranting] = useState(false);
+  const [grantNotices, setGrantNotices] = useState([]);
+  const [settings, setSettings] = useState(DEFAULT_SETTINGS);
+  const [settingsBusy, setSettingsBusy] = useState(false);
+  const [craftLog, setCraftLog] = useState([]);
+  const [characters, setCharacters] = useState([]);
+  const [pouchRows, setPouchRows] = useState([]);
+  const [activeCharacterId, setActiveCharacterId] = useState(null);
+  const [pouchBusy, setPouchBusy] = useState(false);
+  const [pouchMessage, setPouchMessage] = useState('');
+  const [offline, setOffline] = useState(false);
+  const [syncQueue, setSyncQueue] = useState([]);
+  const [syncReport, setSyncReport] = useState(null);
+  const [loadedKey, setLoadedKey] = useState('');
+  const [loadedQueueKey, setLoadedQueueKey] = useState(null);
+  const [reloadKey, setReloadKey] = useState(0);
 
   const [session, setSession] = useState(null);
-  const [userRole, setUserRole] = useState('anonymous');
+  const [memberships, setMemberships] = useState([]);
+  const [campaignId, setCampaignId] = useState(null);
+  const [campaignBusy, setCampaignBusy] = useState(false);
+  const [campaignMessage, setCampaignMessage] = useState('');
+  const [players, setPlayers] = useState([]);
+  const [playersBusy, setPlayersBusy] = useState(false);
+  const [playersMessage, setPlayersMessage] = useState('');
+  const [historyFilters, setHistoryFilters] = useState(EMPTY_HISTORY_FILTERS);
+  const [historyRows, setHistoryRows] = useState([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [historyMessage, setHistoryMessage] = useState('');
+  const [ledger, setLedger] = useState([]);
+  const [ledgerBusy, setLedgerBusy] = useState(false);
+  const [ledgerMessage, setLedgerMessage] = useState('');
+  const [ledgerReloadKey, setLedgerReloadKey] = useState(0);
   const [authUsername, setAuthUsername] = useState('');
   const [authPassword, setAuthPassword] = useState('');
   const [authMessage, setAuthMessage] = useState('');
   const [authLoading, setAuthLoading] = useState(false);
 
+  const userRole = findMembership(memberships, campaignId)?.role ?? 'anonymous';
   const canEditData = !hasSupabase || userRole === 'dm';
   const canWriteInventory = !hasSupabase || userRole === 'dm' || userRole === 'party';
   const showAuthOnly = hasSupabase && !session;
@@ -123,36 +467,49 @@ function IngredientSelector() {
     if (!hasSupabase) return;
     let active = true;
 
-    const fetchRole = async (currentSession) => {
-      if (!currentSession?.user?.id) {
-        if (active) setUserRole('anonymous');
+    // Roles are per campaign; the last campaign picked on this device is opened again.
+    const fetchMemberships = async (currentSession) => {
+      const userId = currentSession?.user?.id;
+      if (!userId) {
+        if (active) {
+          setMemberships([]);
+          setCampaignId(null);
+        }
         return;
       }
-      const { data, error: roleError } = await supabase
-        .from('user_roles')
-        .select('role')
-        .eq('user_id', currentSession.user.id)
-        .single();
+      const { data, error: membershipError } = await supabase
+        .from('campaign_members')
+        .select('campaign_id, role, campaigns(name)')
+        .eq('user_id', userId);
       if (!active) return;
-      if (roleError || !data?.role) {
-        setUserRole('anonymous');
-        return;
+      // Offline, the memberships seen last time keep the campaign and role available.
+      const cacheKey = `${MEMBERSHIPS_STORAGE_KEY}:${userId}`;
+      let rows = [];
+      if (!membershipError) {
+        rows = (data || []).map(normalizeMembershipRow);
+        saveOffline(cacheKey, rows);
+      } else if (isNetworkError(membershipError)) {
+        rows = await loadOffline(cacheKey, []);
+        if (!active) return;
       }
-      setUserRole(data.role);
+      rows.sort((a, b) => a.name.localeCompare(b.name));
+      const stored = loadLocal(`${CAMPAIGN_STORAGE_KEY}:${userId}`, null);
+      setMemberships(rows);
+      setCampaignId((findMembership(rows, stored) || rows[0])?.campaignId ?? null);
     };
 
     const init = async () => {
       const { data } = await supabase.auth.getSession();
       if (!active) return;
       setSession(data.session || null);
-      await fetchRole(data.session);
+      await fetchMemberships(data.session);
     };
 
     init();
 
     const { data: listener } = supabase.auth.onAuthStateChange((_event, nextSession) => {
       setSession(nextSession || null);
-      fetchRole(nextSession);
+      fetchMemberships(nextSession);
     });
 
     return () => {
@@ -161,6 +518,20 @@ function IngredientSelector() {
     };
   }, [hasSupabase]);
 
+  const applySnapshot = (snapshot) => {
+    setDisciplines(snapshot.disciplines || []);
+    setIngredients(snapshot.ingredients || []);
+    setInventory(snapshot.inventory || []);
+    setRecipes(snapshot.recipes || {});
+    setCraftedItems(snapshot.craftedItems || []);
+    setSettings({ ...DEFAULT_SETTINGS, ...snapshot.settings });
+    setCraftLog(snapshot.craftLog || []);
+    setCharacters(snapshot.characters || []);
+    setPouchRows(snapshot.pouchRows || []);
+    setLedger(snapshot.ledger || []);
+    setSelectedNames(pickInitialSelection(snapshot.inventory || []));
+  };
+
   useEffect(() => {
     let active = true;
     const loadData = async () => {
@@ -169,99 +540,49 @@ function IngredientSelector() {
         setLoadError('');
         setSyncError('');
 
-        if (hasSupabase && !session) {
+        if (hasSupabase && (!session || !campaignId)) {
           setLoading(false);
           return;
         }
 
         if (hasSupabase) {
-          const [ingredientResult, inventoryResult, recipesResult] = await Promise.all([
-            supabase.from('ingredients').select('*').order('name', { ascending: true }),
-            supabase.from('inventory').select('*').order('name', { ascending: true }),
-            supabase.from('recipes').select('*')
-          ]);
-
-          if (ingredientResult.error || inventoryResult.error || recipesResult.error) {
-            throw new Error('Supabase query failed');
+          const queueKey = syncQueueKey(session.user.id, campaignId);
+          let queue = await loadOffline(queueKey, []);
+          let snapshot = null;
+          let workingOffline = typeof navigator !== 'undefined' && navigator.onLine === false;
+
+          // Back online: upload what was queued offline before reading the campaign again.
+          if (!workingOffline && queue.length) {
+            const report = await replayQueue(campaignId, queue);
+            queue = report.remaining;
+            await saveOffline(queueKey, queue);
+            if (active) setSyncReport(report);
           }
-
-          const ingredientData = (ingredientResult.data || [])
-            .map(normalizeIngredientRow)
-            .filter((item) => item.name);
-          const inventoryData = (inventoryResult.data || []).map((row) => ({
-            name: row.name,
-            quantity: Number(row.quantity ?? 0)
-          }));
-          const recipeRows = (recipesResult.data || []).map((row) => normalizeRecipeRow(row));
-
-          const grouped = { Herbalism: [], Alchemy: [], Poison: [] };
-          recipeRows.forEach((recipe) => {
-            if (grouped[recipe.discipline]) {
-              grouped[recipe.discipline].push(recipe);
+          if (!workingOffline) {
+            try {
+              snapshot = await fetchCampaignData(campaignId);
+            } catch (err) {
+              if (!isNetworkError(err)) throw err;
+              workingOffline = true;
             }
-          });
-
-          const sortedRecipes = {
-            Herbalism: sortRecipes(grouped.Herbalism),
-            Alchemy: sortRecipes(grouped.Alchemy),
-            Poison: sortRecipes(grouped.Poison)
-          };
+          }
+          if (workingOffline) {
+            snapshot = await loadOffline(offlineSnapshotKey(campaignId), null);
+            if (!snapshot) throw new Error('No offline copy of this campaign');
+          }
 
           if (!active) return;
-          setIngredients(ingredientData);
-          setInventory(inventoryData);
-          setRecipes(sortedRecipes);
-
-          const sortedInventory = [...inventoryData].sort((a, b) => a.name.localeCompare(b.name));
-          const initialSelection = sortedInventory
-            .filter((item) => item.quantity > 0)
-            .slice(0, 3)
-            .map((item) => item.name);
-          setSelectedNames([
-            initialSelection[0] || '',
-            initialSelection[1] || '',
-            initialSelection[2] || ''
-          ]);
-
+          setOffline(workingOffline);
+          setSyncQueue(queue);
+          setLoadedQueueKey(queueKey);
+          applySnapshot(snapshot);
         } else {
-          const baseUrl = import.meta.env.BASE_URL || '/';
-          const [ingredientData, inventoryData, herb, alchemy, poison] = await Promise.all([
-            fetch(`${baseUrl}data/ingredients.json`).then((res) => res.json()),
-            fetch(`${baseUrl}data/inventory.json`).then((res) => res.json()),
-            fetch(`${baseUrl}data/recipes_herbalism.json`).then((res) => res.json()),
-            fetch(`${baseUrl}data/recipes_alchemy.json`).then((res) => res.json()),
-            fetch(`${baseUrl}data/recipes_poison.json`).then((res) => res.json())
-          ]);
-
+          const snapshot =
+            (await loadOffline(offlineSnapshotKey(null), null)) || (await fetchLocalWorkbench());
           if (!active) return;
-
-          const ingredientRows = ingredientData.map(normalizeIngredientRow);
-          const herbRecipes = sortRecipes(herb.map((row) => normalizeRecipeRow(row, 'Herbalism')));
-          const alchemyRecipes = sortRecipes(
-            alchemy.map((row) => normalizeRecipeRow(row, 'Alchemy'))
-          );
-          const poisonRecipes = sortRecipes(poison.map((row) => normalizeRecipeRow(row, 'Poison')));
-
-          setIngredients(ingredientRows);
-          setInventory(inventoryData);
-          setRecipes({
-            Herbalism: herbRecipes,
-            Alchemy: alchemyRecipes,
-            Poison: poisonRecipes
-          });
-
-          const sortedInventory = [...inventoryData].sort((a, b) => a.name.localeCompare(b.name));
-          const initialSelection = sortedInventory
-            .filter((item) => item.quantity > 0)
-            .slice(0, 3)
-            .map((item) => item.name);
-          setSelectedNames([
-            initialSelection[0] || '',
-            initialSelection[1] || '',
-            initialSelection[2] || ''
-          ]);
-
+          applySnapshot(snapshot);
         }
+        setLoadedKey(offlineSnapshotKey(campaignId));
 
         setLoadError('');
       } catch (err) {
@@ -280,7 +601,313 @@ function IngredientSelector() {
     return () => {
       active = false;
     };
-  }, [hasSupabase, session]);
+  }, [hasSupabase, session, campaignId, reloadKey]);
+
+  // Keeps the offline copy current: local mode's saved state, or the last state seen of this
+  // Supabase campaign for when the connection drops. Saved under the key it was loaded for, so
+  // switching campaigns never files one campaign's data under another.
+  useEffect(() => {
+    if (loading || loadError || !loadedKey) return;
+    saveOffline(loadedKey, {
+      disciplines,
+      ingredients,
+      inventory,
+      recipes,
+      craftedItems,
+      craftLog,
+      settings,
+      characters,
+      pouchRows,
+      ledger
+    });
+  }, [
+    loadedKey,
+    loading,
+    loadError,
+    disciplines,
+    ingredients,
+    inventory,
+    recipes,
+    craftedItems,
+    craftLog,
+    settings,
+    characters,
+    pouchRows,
+    ledger
+  ]);
+
+  useEffect(() => {
+    if (!hasSupabase || loading || !loadedQueueKey) return;
+    saveOffline(loadedQueueKey, syncQueue);
+  }, [hasSupabase, loading, loadedQueueKey, syncQueue]);
+
+  useEffect(() => {
+    if (!hasSupabase) return undefined;
+    const goOffline = () => setOffline(true);
+    const goOnline = () => setReloadKey((key) => key + 1);
+    window.addEventListener('offline', goOffline);
+    window.addEventListener('online', goOnline);
+    return () => {
+      window.removeEventListener('offline', goOffline);
+      window.removeEventListener('online', goOnline);
+    };
+  }, [hasSupabase]);
+
+  useEffect(() => {
+    if (!hasSupabase || !session?.user?.id || !campaignId || offline) return undefined;
+
+    const applyInventoryChange = (eventType, row, oldRow) => {
+      if (eventType === 'DELETE') {
+        pendingInventory.current.delete(oldRow.name);
+        setInventory((prev) => removeRow(prev, oldRow.name));
+        return;
+      }
+      const quantity = Number(row.quantity ?? 0);
+      // A renamed ingredient moves its stash row to the new name.
+      if (oldRow.name && oldRow.name !== row.name) {
+        setInventory((prev) => removeRow(prev, oldRow.name));
+      }
+      const pending = pendingInventory.current.get(row.name);
+      if (pending !== undefined) {
+        pendingInventory.current.delete(row.name);
+        if (pending !== quantity) {
+          setSyncError(`${row.name} was changed at another table. Showing the latest count.`);
+        }
+      }
+      setInventory((prev) => mergeRow(prev, { name: row.name, quantity }));
+    };
+
+    const applyRecipeChange = (eventType, row, oldRow) => {
+      const removedId = eventType === 'DELETE' ? oldRow.id : row.id;
+      setRecipes((prev) => {
+        const next = {};
+        Object.keys(prev).forEach((key) => {
+          next[key] = prev[key].filter((item) => item.rowId !== removedId);
+        });
+        if (eventType !== 'DELETE') {
+          const recipe = normalizeRecipeRow(row);
+          if (next[recipe.discipline]) {
+            next[recipe.discipline] = sortRecipes([...next[recipe.discipline], recipe]);
+          }
+        }
+        return next;
+      });
+    };
+
+    const handleChange = (table, eventType, row, oldRow) => {
+      if (table === 'inventory') {
+        applyInventoryChange(eventType, row, oldRow);
+      } else if (table === 'recipes') {
+        applyRecipeChange(eventType, row, oldRow);
+      } else if (table === 'ingredients') {
+        // Delete events only carry the id; an update may be a rename of the same id.
+        if (eventType === 'DELETE') {
+          setIngredients((prev) => removeRow(prev, oldRow.id, 'id'));
+        } else {
+          const ingredient = normalizeIngredientRow(row);
+          setIngredients((prev) =>
+            mergeRow(
+              prev.filter((item) => item.id !== ingredient.id || item.name === ingredient.name),
+              ingredient
+            )
+          );
+        }
+      } else if (table === 'crafted_items') {
+        if (eventType === 'DELETE') {
+          setCraftedItems((prev) => removeRow(prev, oldRow.id, 'id'));
+        } else {
+          setCraftedItems((prev) => mergeRow(prev, normalizeCraftedItemRow(row), 'id'));
+        }
+      } else if (table === 'characters') {
+        if (eventType === 'DELETE') {
+          setCharacters((prev) => removeRow(prev, oldRow.id, 'id'));
+        } else {
+          setCharacters((prev) => mergeRow(prev, normalizeCharacterRow(row), 'id'));
+        }
+      } else if (table === 'character_inventory') {
+        if (eventType === 'DELETE') {
+          setPouchRows((prev) => removeRow(prev, normalizePouchRow(oldRow).key, 'key'));
+        } else {
+          const pouch = normalizePouchRow(row);
+          const renamed = oldRow.name && oldRow.name !== row.name;
+          setPouchRows((prev) =>
+            mergeRow(
+              renamed ? removeRow(prev, normalizePouchRow(oldRow).key, 'key') : prev,
+              pouch,
+              'key'
+            )
+          );
+        }
+      } else if (table === 'disciplines') {
+        if (eventType === 'DELETE') {
+          setDisciplines((prev) => removeRow(prev, oldRow.name));
+        } else {
+          setDisciplines((prev) => sortDisciplines(mergeRow(prev, normalizeDisciplineRow(row))));
+          setRecipes((prev) => (prev[row.name] ? prev : { ...prev, [row.name]: [] }));
+        }
+      }
+    };
+
+    return subscribeToWorkbench({
+      campaignId,
+      presence: {
+        userId: session.user.id,
+        name: getDisplayName(session.user.email),
+        role: userRole
+      },
+      onChange: handleChange,
+      onPresence: setPresentUsers
+    });
+  }, [hasSupabase, session, userRole, campaignId, offline]);
+
+  const activeCharacterKey = `${ACTIVE_CHARACTER_STORAGE_KEY}:${session?.user?.id || 'local'}`;
+
+  useEffect(() => {
+    setActiveCharacterId(loadLocal(activeCharacterKey, null));
+  }, [activeCharacterKey]);
+
+  const grantsSeenKey = `${GRANTS_SEEN_STORAGE_KEY}:${session?.user?.id || 'local'}${
+    campaignId ? `:${campaignId}` : ''
+  }`;
+  const showGrantNotices = !hasSupabase || userRole !== 'dm';
+
+  useEffect(() => {
+    if (loading || loadError || !showGrantNotices) return undefined;
+    if (hasSupabase && (!session || !campaignId)) return undefined;
+    let active = true;
+
+    const loadGrantNotices = async () => {
+      const seenAt = loadLocal(grantsSeenKey, '');
+      let rows = [];
+      if (hasSupabase) {
+        let query = supabase
+          .from('grants')
+          .select('*')
+          .eq('campaign_id', campaignId)
+          .order('created_at', { ascending: false })
+          .limit(GRANT_NOTICE_LIMIT);
+        if (seenAt) query = query.gt('created_at', seenAt);
+        const { data, error: grantsError } = await query;
+        if (grantsError) return;
+        rows = (data || []).map(normalizeGrantRow);
+      } else {
+        rows = loadLocal(GRANTS_STORAGE_KEY, [])
+          .map(normalizeGrantRow)
+          .filter((grant) => !seenAt || grant.createdAt > seenAt)
+          .reverse()
+          .slice(0, GRANT_NOTICE_LIMIT);
+      }
+      if (active) setGrantNotices(rows);
+    };
+
+    loadGrantNotices();
+    return () => {
+      active = false;
+    };
+  }, [hasSupabase, session, campaignId, loading, loadError, showGrantNotices, grantsSeenKey]);
+
+  // userRole is only 'dm' while signed in to a campaign the user runs.
+  const managesPlayers = hasSupabase && userRole === 'dm';
+
+  useEffect(() => {
+    if (!managesPlayers) {
+      setPlayers([]);
+      return undefined;
+    }
+    let active = true;
+
+    const loadPlayers = async () => {
+      const { data, error: playersError } = await supabase.rpc('list_players', {
+        campaign_id: campaignId
+      });
+      if (!active) return;
+      if (playersError) {
+        setPlayersMessage('Failed to load players.');
+        return;
+      }
+      setPlayers((data || []).map(normalizePlayerRow));
+    };
+
+    loadPlayers();
+    return () => {
+      active = false;
+    };
+  }, [managesPlayers, campaignId]);
+
+  // The timeline queries the whole craft_log; local mode and offline filter the log in memory.
+  useEffect(() => {
+    if (!canEditData || loading) return undefined;
+    if (!hasSupabase || offline) {
+      setHistoryRows(filterCraftLog(craftLog, historyFilters).slice(0, CRAFT_HISTORY_LIMIT));
+      setHistoryMessage('');
+      return undefined;
+    }
+    let active = true;
+
+    const loadHistory = async () => {
+      setHistoryLoading(true);
+      const { start, end } = historyBounds(historyFilters);
+      let query = supabase.from('craft_log').select('*').eq('campaign_id', campaignId);
+      if (historyFilters.craftedBy) query = query.eq('crafted_by', historyFilters.craftedBy);
+      if (historyFilters.discipline) query = query.eq('discipline', historyFilters.discipline);
+      if (start) query = query.gte('created_at', start);
+      if (end) query = query.lt('created_at', end);
+      if (historyFilters.recipe.trim()) {
+        query = query.ilike('recipe_name', `%${historyFilters.recipe.trim()}%`);
+      }
+      const { data, error: historyError } = await query
+        .order('created_at', { ascending: !historyFilters.newestFirst })
+        .limit(CRAFT_HISTORY_LIMIT);
+      if (!active) return;
+      setHistoryLoading(false);
+      if (historyError) {
+        setHistoryMessage('Failed to load the crafting history.');
+        return;
+      }
+      setHistoryMessage('');
+      setHistoryRows((data || []).map(normalizeCraftLogRow));
+    };
+
+    loadHistory();
+    return () => {
+      active = false;
+    };
+  }, [canEditData, loading, hasSupabase, offline, campaignId, historyFilters, craftLog]);
+
+  // Supabase's ledger is written by triggers, so the DM's view is read back after each change.
+  useEffect(() => {
+    if (!canEditData || !hasSupabase || offline || loading || !campaignId) return undefined;
+    let active = true;
+
+    const loadLedger = async () => {
+      const { data, error: ledgerError } = await supabase
+        .from('inventory_ledger')
+        .select('*')
+        .eq('campaign_id', campaignId)
+        .order('created_at', { ascending: false })
+        .limit(LEDGER_LIMIT);
+      if (!active) return;
+      if (ledgerError) {
+        setLedgerMessage('Failed to load the inventory ledger.');
+        return;
+      }
+      setLedger((data || []).map(normalizeLedgerRow));
+    };
+
+    loadLedger();
+    return () => {
+      active = false;
+    };
+  }, [canEditData, hasSupabase, offline, loading, campaignId, craftLog, ledgerReloadKey]);
+
+  const dismissGrantNotices = () => {
+    const latest = grantNotices.reduce(
+      (max, grant) => (grant.createdAt > max ? grant.createdAt : max),
+      ''
+    );
+    if (latest) saveLocal(grantsSeenKey, latest);
+    setGrantNotices([]);
+  };
 
   const inventoryMap = useMemo(() => {
     const map = new Map();
@@ -288,6 +915,34 @@ function IngredientSelector() {
     return map;
   }, [inventory]);
 
+  // Players pick from their own characters; the DM (and local mode) can act for anyone.
+  const ownCharacters = useMemo(() => {
+    const list =
+      hasSupabase && userRole !== 'dm'
+        ? characters.filter((character) => character.userId === session?.user?.id)
+        : characters;
+    return [...list].sort((a, b) => a.name.localeCompare(b.name));
+  }, [hasSupabase, userRole, characters, session]);
+
+  const activeCharacter = useMemo(
+    () =>
+      ownCharacters.find((character) => String(character.id) === String(activeCharacterId)) ||
+      null,
+    [ownCharacters, activeCharacterId]
+  );
+
+  const pouchMap = useMemo(
+    () => buildPouchMap(pouchRows, activeCharacter?.id ?? null),
+    [pouchRows, activeCharacter]
+  );
+
+  // What the crafting character can reach: their pouch plus the party stash.
+  const availableMap = useMemo(() => {
+    const map = new Map(inventoryMap);
+    pouchMap.forEach((quantity, name) => map.set(name, (map.get(name) ?? 0) + quantity));
+    return map;
+  }, [inventoryMap, pouchMap]);
+
   const ingredientMap = useMemo(() => {
     return new Map(ingredients.map((item) => [item.name, item]));
   }, [ingredients]);
@@ -296,18 +951,61 @@ function IngredientSelector() {
     return selectedNames.map((name) => ingredientMap.get(name)).filter(Boolean);
   }, [selectedNames, ingredientMap]);
 
-  const totals = useMemo(() => calculateTotals(selectedIngredients), [selectedIngredients]);
-  const dominantAttribute = useMemo(() => {
-    if (selectedIngredients.length !== 3) return null;
-    return resolveDominantAttribute(totals, discipline);
-  }, [totals, discipline, selectedIngredients.length]);
+  useEffect(() => {
+    if (disciplines.length && !findDiscipline(disciplines, discipline)) {
+      setDiscipline(disciplines[0].name);
+    }
+  }, [disciplines, discipline]);
+
+  const activeDiscipline = useMemo(
+    () => findDiscipline(disciplines, discipline) || disciplines[0] || null,
+    [disciplines, discipline]
+  );
+  const slotsPerTier = activeDiscipline?.slotsPerTier || SLOTS_PER_TIER;
+  const minIngredients = activeDiscipline?.minIngredients ?? 3;
+  const maxIngredients = activeDiscipline?.maxIngredients ?? 3;
+
+  useEffect(() => {
+    if (!activeDiscipline) return;
+    setSelectedNames((prev) => fitIngredientSlots(prev, activeDiscipline));
+  }, [activeDiscipline]);
+
+  const qualityGrades = useMemo(
+    () => normalizeQualityGrades(settings.qualityGrades),
+    [settings.qualityGrades]
+  );
+  const craftCheck = useMemo(
+    () => normalizeCraftCheck(settings.craftCheck),
+    [settings.craftCheck]
+  );
+
+  const catalyst = useMemo(() => {
+    const ingredient = ingredientMap.get(catalystName);
+    return isCatalyst(ingredient) ? ingredient : null;
+  }, [catalystName, ingredientMap]);
+
+  const hasValidSelection = useMemo(() => {
+    return (
+      selectedNames.every(Boolean) &&
+      new Set(selectedNames).size === selectedNames.length &&
+      selectedNames.length >= minIngredients &&
+      selectedNames.length <= maxIngredients &&
+      !selectedNames.includes(catalystName)
+    );
+  }, [selectedNames, catalystName, minIngredients, maxIngredients]);
+
+  const totals = useMemo(
+    () =>
+      calculateTotals(selectedIngredients, catalyst, sumTraitBonuses(selectedIngredients).bonus),
+    [selectedIngredients, catalyst]
+  );
 
   const isTie = useMemo(() => {
-    if (selectedIngredients.length !== 3) return false;
+    if (!hasValidSelection) return false;
     const values = Object.values(totals);
     const maxValue = Math.max(...values);
     return values.filter((value) => value === maxValue).length > 1;
-  }, [totals, selectedIngredients.length]);
+  }, [totals, hasValidSelection]);
 
   const inventoryRows = useMemo(() => {
     return ingredients
@@ -318,10 +1016,37 @@ function IngredientSelector() {
       .sort((a, b) => a.name.localeCompare(b.name));
   }, [ingredients, inventoryMap]);
 
+  const dataIssues = useMemo(
+    () =>
+      validateCampaignData({
+        disciplines,
+        ingredients,
+        recipes: Object.values(recipes).flat(),
+        inventory
+      }),
+    [disciplines, ingredients, recipes, inventory]
+  );
+
   const inventoryDisplayRows = useMemo(() => {
     return inventoryRows.filter((ingredient) => ingredient.quantity > 0);
   }, [inventoryRows]);
 
+  const workbenchRows = useMemo(() => {
+    return inventoryRows.map((ingredient) => ({
+      ...ingredient,
+      quantity: availableMap.get(ingredient.name) ?? 0
+    }));
+  }, [inventoryRows, availableMap]);
+
+  const pouchDisplayRows = useMemo(() => {
+    if (!activeCharacter) return [];
+    return inventoryRows.map((ingredient) => ({
+      ...ingredient,
+      key: pouchKey(activeCharacter.id, ingredient.name),
+      quantity: pouchMap.get(ingredient.name) ?? 0
+    }));
+  }, [inventoryRows, pouchMap, activeCharacter]);
+
   const almanacEntries = useMemo(() => {
     const groups = { Potency: {}, Resonance: {}, Entropy: {} };
     const list = recipes[discipline] || [];
@@ -334,27 +1059,99 @@ function IngredientSelector() {
     return groups;
   }, [recipes, discipline]);
 
-  const hasValidSelection = useMemo(() => {
-    return selectedNames.every(Boolean) && new Set(selectedNames).size === 3;
-  }, [selectedNames]);
-
   const expectedResult = useMemo(() => {
     if (!hasValidSelection) return null;
     const recipeList = recipes[discipline] || [];
     if (!recipeList.length) return null;
-    return calculateResult(selectedIngredients, discipline, recipeList);
-  }, [hasValidSelection, selectedIngredients, discipline, recipes]);
+    return resolveCraft(selectedIngredients, activeDiscipline, recipeList, {
+      catalyst,
+      grades: qualityGrades,
+      preview: true
+    });
+  }, [
+    hasValidSelection,
+    selectedIngredients,
+    discipline,
+    activeDiscipline,
+    recipes,
+    catalyst,
+    qualityGrades
+  ]);
+
+  const dominantAttribute = useMemo(() => {
+    if (!hasValidSelection) return null;
+    return (
+      expectedResult?.dominantAttribute ||
+      resolveDominantAttribute(totals, activeDiscipline)
+    );
+  }, [hasValidSelection, expectedResult, totals, activeDiscipline]);
+
+  const activeTraitBonuses = (expectedResult?.modifiers || []).filter(
+    (modifier) => modifier.trait.effect === 'attribute_bonus' && modifier.applied
+  );
+
+  // Compare against the same mix without the catalyst so the preview can show what it did.
+  const catalystPreview = useMemo(() => {
+    if (!catalyst || !expectedResult) return null;
+    const plain = resolveCraft(selectedIngredients, activeDiscipline, recipes[discipline], {
+      grades: qualityGrades,
+      preview: true
+    });
+    return {
+      changes: describeCatalystChanges(plain, expectedResult),
+      plainRecipe: plain.recipe,
+      recipeChanged: plain.recipe?.name !== expectedResult.recipe?.name
+    };
+  }, [
+    catalyst,
+    expectedResult,
+    selectedIngredients,
+    activeDiscipline,
+    recipes,
+    discipline,
+    qualityGrades
+  ]);
+
+  const resultCheck = result?.check && (
+    <div className={`result-check ${result.check.outcome}`}>
+      <h4>Crafting check</h4>
+      <p>{describeCheck(result.check)}</p>
+      {describeCheckConsequence(result.check) && (
+        <p className="inventory-meta">{describeCheckConsequence(result.check)}</p>
+      )}
+      {result.check.mishap && (
+        <p>
+          <strong>{result.check.mishap.name}</strong>
+          {result.check.mishap.effect ? `: ${result.check.mishap.effect}` : ''}
+        </p>
+      )}
+    </div>
+  );
 
   const resultIsKnown = Boolean(
     result?.recipe && (result.wasDiscovered || result.recipe.discovered)
   );
+  const resultGrade = result?.grade && (
+    <div className="result-grade">
+      <h4>
+        {result.grade.name} grade{' '}
+        <span className="inventory-meta">
+          (margin {result.grade.margin}, total {result.grade.total})
+        </span>
+      </h4>
+      <p>{describeGradeEffects(result.grade).join(' | ') || 'No extra effects.'}</p>
+    </div>
+  );
   const expectedRecipe = expectedResult?.recipe || null;
   const expectedIsKnown = Boolean(expectedRecipe?.discovered);
-  const expectedLabel = expectedRecipe
-    ? expectedIsKnown
-      ? expectedRecipe.name
-      : '???'
-    : 'Select ingredients';
+  // The preview shows the deterministic slot; random modes only say how far it may drift.
+  const expectedLabel = !expectedRecipe
+    ? 'Select ingredients'
+    : settings.selectionMode === 'random'
+      ? 'Random roll'
+      : `${expectedIsKnown ? expectedRecipe.name : '???'}${
+          settings.selectionMode === 'window' ? ` ±${settings.selectionSpread}` : ''
+        }`;
   const expectedBadgeClass = expectedRecipe ? getRarityClass(expectedRecipe.rarity) : 'expected-empty';
 
   useEffect(() => {
@@ -395,8 +1192,20 @@ function IngredientSelector() {
     setInventory((prev) =>
       prev.map((item) => (item.name === oldName ? { ...item, name: newName } : item))
     );
+    setPouchRows((prev) =>
+      prev.map((row) =>
+        row.name === oldName ? normalizePouchRow({ ...row, name: newName }) : row
+      )
+    );
     setSelectedNames((prev) => prev.map((name) => (name === oldName ? newName : name)));
+    setCatalystName((prev) => (prev === oldName ? newName : prev));
     setGrantName((prev) => (prev === oldName ? newName : prev));
+    setGrantRows((prev) =>
+      prev.map((row) => (row.name === oldName ? { ...row, name: newName } : row))
+    );
+    setLedger((prev) =>
+      prev.map((row) => (row.name === oldName ? { ...row, name: newName } : row))
+    );
   };
 
   const submitRename = async (oldName) => {
@@ -421,76 +1230,339 @@ function IngredientSelector() {
       return;
     }
 
-    const ingredient = ingredientMap.get(oldName);
-    if (!ingredient) {
-      setDmMessage('Ingredient not found.');
-      return;
-    }
-
     setRenaming(true);
     setDmMessage('');
     setSyncError('');
+    const renamed = await renameIngredient(oldName, nextName);
+    setRenaming(false);
+    if (!renamed) return;
 
-    if (hasSupabase) {
-      const insertPayload = {
-        name: nextName,
-        potency: ingredient.potency,
-        resonance: ingredient.resonance,
-        entropy: ingredient.entropy,
-        rarity: ingredient.rarity,
-        source: ingredient.source
-      };
-
-      const { error: insertError } = await supabase.from('ingredients').insert(insertPayload);
-      if (insertError) {
-        setRenaming(false);
-        setDmMessage('Failed to rename ingredient.');
-        return;
-      }
+    setDmMessage(`Renamed ${oldName} to ${nextName}.`);
+    cancelRename();
+  };
 
-      const { error: inventoryError } = await supabase
-        .from('inventory')
-        .update({ name: nextName })
-        .eq('name', oldName);
-      if (inventoryError) {
-        await supabase.from('ingredients').delete().eq('name', nextName);
-        setRenaming(false);
-        setDmMessage('Failed to rename ingredient.');
-        return;
-      }
+  const renameIngredient = async (oldName, nextName) => {
+    const ingredient = ingredientMap.get(oldName);
+    if (!ingredient) {
+      setDmMessage('Ingredient not found.');
+      return false;
+    }
 
-      const { error: deleteError } = await supabase
+    // A single update by id: the stash and pouches follow through their foreign keys, so the
+    // rename lands all at once or not at all.
+    if (hasSupabase) {
+      const { error: renameError } = await supabase
         .from('ingredients')
-        .delete()
-        .eq('name', oldName);
-      if (deleteError) {
-        setSyncError('Renamed ingredient, but failed to remove the old entry.');
+        .update({ name: nextName })
+        .eq('id', ingredient.id);
+      if (renameError) {
+        setDmMessage(
+          renameError.code === '23505'
+            ? 'That ingredient name already exists.'
+            : 'Failed to rename ingredient.'
+        );
+        return false;
       }
     }
 
     applyLocalRename(oldName, nextName);
-    setRenaming(false);
-    setDmMessage(`Renamed ${oldName} to ${nextName}.`);
-    cancelRename();
+    return true;
   };
 
-  const openResultModal = (nextResult) => {
-    setResult(nextResult);
-    setResultModalOpen(true);
+  const replaceRecipe = (removeKey, recipe) => {
+    setRecipes((prev) => {
+      const next = {};
+      Object.keys(prev).forEach((key) => {
+        next[key] = prev[key].filter((item) => recipeKey(item) !== removeKey);
+      });
+      if (recipe && next[recipe.discipline]) {
+        next[recipe.discipline] = sortRecipes([...next[recipe.discipline], recipe]);
+      }
+      return next;
+    });
   };
 
-  const handleAlmanacSelect = (recipe) => {
+  const handleSaveIngredient = async (draft, originalName) => {
+    if (!canEditData) {
+      setDmMessage('Sign in as DM to edit ingredients.');
+      return false;
+    }
+    const payload = toIngredientPayload(draft);
+    setContentBusy(true);
+    setDmMessage('');
+    setSyncError('');
+
+    if (originalName && originalName !== payload.name) {
+      const renamed = await renameIngredient(originalName, payload.name);
+      if (!renamed) {
+        setContentBusy(false);
+        return false;
+      }
+    }
+
+    let id = originalName ? ingredientMap.get(originalName)?.id ?? null : null;
+    if (hasSupabase) {
+      const { data: saved, error: saveError } = originalName
+        ? await supabase.from('ingredients').update(payload).eq('id', id).select('id').single()
+        : await supabase
+            .from('ingredients')
+            .insert({ ...payload, campaign_id: campaignId })
+            .select('id')
+            .single();
+      if (saveError) {
+        setDmMessage(
+          saveError.code === '23505'
+            ? 'That ingredient name already exists.'
+            : 'Failed to save ingredient.'
+        );
+        setContentBusy(false);
+        return false;
+      }
+      id = saved.id;
+    }
+
+    setIngredients((prev) => mergeRow(prev, normalizeIngredientRow({ ...payload, id })));
+    setDmMessage(originalName ? `Saved ${payload.name}.` : `Added ${payload.name}.`);
+    setContentBusy(false);
+    return true;
+  };
+
+  const handleDeleteIngredient = async (name) => {
+    if (!canEditData) return false;
+    setContentBusy(true);
+    setDmMessage('');
+
+    if (hasSupabase) {
+      const { error: deleteError } = await supabase
+        .from('ingredients')
+        .delete()
+        .eq('campaign_id', campaignId)
+        .eq('name', name);
+      if (deleteError) {
+        setDmMessage('Failed to delete ingredient.');
+        setContentBusy(false);
+        return false;
+      }
+    }
+
+    setIngredients((prev) => removeRow(prev, name));
+    setInventory((prev) => removeRow(prev, name));
+    setPouchRows((prev) => prev.filter((row) => row.name !== name));
+    setSelectedNames((prev) => prev.map((item) => (item === name ? '' : item)));
+    setDmMessage(`Deleted ${name}.`);
+    setContentBusy(false);
+    return true;
+  };
+
+  const handleSaveRecipe = async (draft, original) => {
+    if (!canEditData) {
+      setDmMessage('Sign in as DM to edit recipes.');
+      return false;
+    }
+    const payload = toRecipePayload(draft);
+    setContentBusy(true);
+    setDmMessage('');
+
+    let saved = normalizeRecipeRow({ ...payload, id: original?.rowId });
+    if (hasSupabase) {
+      const query = original?.rowId
+        ? supabase.from('recipes').update(payload).eq('id', original.rowId)
+        : supabase.from('recipes').insert({ ...payload, campaign_id: campaignId });
+      const { data, error: saveError } = await query.select().single();
+      if (saveError || !data) {
+        setDmMessage(
+          saveError?.code === '23505'
+            ? 'That discipline, quality and slot is already taken.'
+            : 'Failed to save recipe.'
+        );
+        setContentBusy(false);
+        return false;
+      }
+      saved = normalizeRecipeRow(data);
+    }
+
+    replaceRecipe(original ? recipeKey(original) : '', saved);
+    setDmMessage(original ? `Saved ${saved.name}.` : `Added ${saved.name}.`);
+    setContentBusy(false);
+    return true;
+  };
+
+  const handleDeleteRecipe = async (recipe) => {
+    if (!canEditData) return false;
+    setContentBusy(true);
+    setDmMessage('');
+
+    if (hasSupabase) {
+      const { error: deleteError } = await supabase
+        .from('recipes')
+        .delete()
+        .eq('campaign_id', campaignId)
+        .eq('discipline', recipe.discipline)
+        .eq('quality_category', recipe.qualityCategory)
+        .eq('recipe_no', recipe.recipeNo);
+      if (deleteError) {
+        setDmMessage('Failed to delete recipe.');
+        setContentBusy(false);
+        return false;
+      }
+    }
+
+    replaceRecipe(recipeKey(recipe), null);
+    setDmMessage(`Deleted ${recipe.name}.`);
+    setContentBusy(false);
+    return true;
+  };
+
+  // A fresh object each time, so opening the same record twice still refocuses the editor.
+  const handleOpenIssue = (target) => setContentFocus({ ...target });
+
+  const writeImport = async (dataSet, rows, removed) => {
+    const check = ({ data, error: writeError }) => {
+      if (writeError) throw writeError;
+      return data;
+    };
+
+    if (dataSet === 'recipes') {
+      const saved = rows.length
+        ? check(
+            await supabase
+              .from('recipes')
+              .upsert(
+                rows.map((row) => ({ ...toRecipePayload(row), campaign_id: campaignId })),
+                { onConflict: 'campaign_id,discipline,quality_category,recipe_no' }
+              )
+              .select()
+          )
+        : [];
+      if (removed.length) {
+        check(
+          await supabase
+            .from('recipes')
+            .delete()
+            .in('id', removed.map((row) => row.rowId))
+        );
+      }
+      return saved.map((row) => normalizeRecipeRow(row));
+    }
+
+    const removedNames = removed.map((row) => row.name);
+    const payloads = rows.map((row) =>
+      dataSet === 'ingredients'
+        ? { ...toIngredientPayload(row), campaign_id: campaignId }
+        : { campaign_id: campaignId, name: row.name, quantity: row.quantity }
+    );
+    // Rows come back from the server so newly added ingredients pick up their ids.
+    const saved = payloads.length
+      ? check(
+          await supabase
+            .from(dataSet)
+            .upsert(payloads, { onConflict: 'campaign_id,name' })
+            .select()
+        )
+      : [];
+    if (removed.length) {
+      check(
+        await supabase
+          .from(dataSet)
+          .delete()
+          .eq('campaign_id', campaignId)
+          .in('name', removedNames)
+      );
+    }
+    return saved;
+  };
+
+  // Applies an import previewed in the DM Tools. Rows are written to Supabase before the
+  // workbench changes, so a failed write leaves both as they were.
+  const handleApplyImport = async (dataSet, { added, changed, removed }) => {
+    if (!canEditData) return false;
+    if (hasSupabase && offline) {
+      setDmMessage('Imports need a connection to Supabase.');
+      return false;
+    }
+    const label = DATA_SETS[dataSet].toLowerCase();
+    const rows = [...added, ...changed.map((change) => change.after)];
+    setContentBusy(true);
+    setDmMessage('');
+    setSyncError('');
+
+    let saved = rows;
+    if (hasSupabase) {
+      try {
+        saved = await writeImport(dataSet, rows, removed);
+      } catch {
+        setDmMessage(`Failed to import ${label}.`);
+        setContentBusy(false);
+        return false;
+      }
+    }
+
+    const removedNames = new Set(removed.map((row) => row.name));
+    if (dataSet === 'ingredients') {
+      setIngredients((prev) =>
+        saved.reduce(
+          (list, row) => mergeRow(list, normalizeIngredientRow(row)),
+          prev.filter((row) => !removedNames.has(row.name))
+        )
+      );
+      setInventory((prev) => prev.filter((row) => !removedNames.has(row.name)));
+      setPouchRows((prev) => prev.filter((row) => !removedNames.has(row.name)));
+      setSelectedNames((prev) => prev.map((name) => (removedNames.has(name) ? '' : name)));
+    } else if (dataSet === 'inventory') {
+      setInventory((prev) =>
+        saved.reduce(
+          (list, row) => mergeRow(list, { name: row.name, quantity: row.quantity }),
+          prev.filter((row) => !removedNames.has(row.name))
+        )
+      );
+    } else {
+      const removedKeys = new Set(removed.map(recipeKey));
+      const savedByKey = new Map(saved.map((recipe) => [recipeKey(recipe), recipe]));
+      setRecipes((prev) => {
+        const next = {};
+        // Imported recipes can bring a discipline that has no recipes loaded yet.
+        const disciplineNames = new Set([
+          ...Object.keys(prev),
+          ...saved.map((recipe) => recipe.discipline)
+        ]);
+        disciplineNames.forEach((discipline) => {
+          const kept = (prev[discipline] || []).filter((recipe) => {
+            const key = recipeKey(recipe);
+            return !removedKeys.has(key) && !savedByKey.has(key);
+          });
+          const incoming = saved.filter((recipe) => recipe.discipline === discipline);
+          next[discipline] = sortRecipes([...kept, ...incoming]);
+        });
+        return next;
+      });
+    }
+
+    setDmMessage(
+      `Imported ${label}: ${added.length} added, ${changed.length} changed, ` +
+        `${removed.length} deleted.`
+    );
+    setContentBusy(false);
+    return true;
+  };
+
+  const openResultModal = (nextResult) => {
+    setResult(nextResult);
+    setResultModalOpen(true);
+  };
+
+  const handleAlmanacSelect = (recipe) => {
     if (!recipe || !recipe.discovered) return;
     const quality = normalizeQuality(recipe.qualityCategory);
     const dominantAttr = qualityToAttribute(quality);
     const slot = Number(recipe.recipeNo || recipe.id || 1);
-    const roll = Math.max(0, Math.min(14, slot - 1));
+    const roll = Math.max(0, Math.min(slotsPerTier - 1, slot - 1));
     const tierIndex = QUALITY_ORDER[quality] ?? 0;
     openResultModal({
       recipe,
       dominantAttribute: dominantAttr,
       tierIndex,
       roll,
+      slotsPerTier,
       totals: null,
       usedFallback: false,
       mode: 'deterministic',
@@ -498,155 +1570,1167 @@ function IngredientSelector() {
     });
   };
 
-  const persistInventory = async (updates) => {
-    if (!hasSupabase) return true;
+  // Local mode writes its own ledger rows; Supabase's triggers write them on the server.
+  // Returns the batch, so a craft can be undone from its log entry.
+  const recordLedger = (changes, options) => {
+    if (hasSupabase) return null;
+    const rows = buildLedgerRows(changes, { actor: session?.user?.id ?? null, ...options });
+    setLedger((prev) => [...rows, ...prev].slice(0, LEDGER_LIMIT));
+    return rows[0]?.batch ?? null;
+  };
+
+  // Offline, changes wait in the sync queue with the count they started from.
+  const queueChange = (entry) => {
+    setSyncQueue((prev) => enqueueChange(prev, entry));
+  };
+
+  // A change the server rejected would fail on every sync; the user can give up on it.
+  const handleDropQueuedChange = (failure) => {
+    setSyncQueue((prev) => prev.filter((entry) => entry !== failure.entry));
+    setSyncReport((prev) =>
+      prev
+        ? {
+            ...prev,
+            failed: prev.failed.filter((item) => item !== failure),
+            remaining: prev.remaining.filter((entry) => entry !== failure.entry)
+          }
+        : prev
+    );
+  };
+
+  const queuePouchChanges = (updates) => {
+    updates.forEach((row) =>
+      queueChange({
+        type: 'pouch',
+        characterId: activeCharacter.id,
+        characterName: activeCharacter.name,
+        name: row.name,
+        from: pouchMap.get(row.name) ?? 0,
+        to: row.quantity
+      })
+    );
+  };
+
+  const queueCraftedItem = (item, from, to) => {
+    queueChange({
+      type: 'crafted_item',
+      name: item.name,
+      discipline: item.discipline,
+      qualityCategory: item.qualityCategory,
+      recipeNo: item.recipeNo,
+      rarity: item.rarity,
+      effect: item.effect,
+      holder: item.holder,
+      grade: item.grade || '',
+      durationMultiplier: item.durationMultiplier,
+      sideEffects: item.sideEffects,
+      from,
+      to
+    });
+  };
+
+  const persistInventory = async (updates) => {
+    if (!hasSupabase) return true;
+    if (!canWriteInventory) {
+      setError('Sign in as DM or Party to update inventory.');
+      return false;
+    }
+    if (offline) {
+      updates.forEach((row) =>
+        queueChange({
+          type: 'inventory',
+          name: row.name,
+          from: inventoryMap.get(row.name) ?? 0,
+          to: row.quantity
+        })
+      );
+      return true;
+    }
+    setSyncError('');
+    const { error: upsertError } = await supabase
+      .from('inventory')
+      .upsert(
+        updates.map((row) => ({ ...row, campaign_id: campaignId })),
+        { onConflict: 'campaign_id,name' }
+      );
+    if (upsertError) {
+      setSyncError('Failed to sync inventory updates.');
+      return false;
+    }
+    return true;
+  };
+
+  const markRecipeDiscovered = (recipe, discovery = 'known') => {
+    if (!recipe) return;
+    setRecipes((prev) => {
+      const next = { ...prev };
+      const list = prev[recipe.discipline] || [];
+      next[recipe.discipline] = list.map((item) => {
+        const sameSlot = item.recipeNo === recipe.recipeNo && item.qualityCategory === recipe.qualityCategory;
+        const sameName = item.name === recipe.name;
+        if (sameSlot && sameName) {
+          return { ...item, discovery, discovered: discovery === 'known' };
+        }
+        return item;
+      });
+      return next;
+    });
+  };
+
+  // The DM sets each slot's tier: a rumor, a study, or a recipe found in a book.
+  const handleSetDiscovery = async (recipe, discovery) => {
+    if (!canEditData || !recipe) return;
+    setSyncError('');
+    if (hasSupabase) {
+      const { error: discoveryError } = await supabase
+        .from('recipes')
+        .update({ discovery })
+        .eq('id', recipe.rowId);
+      if (discoveryError) {
+        setSyncError(`Failed to update what the party knows about ${recipe.name}.`);
+        return;
+      }
+    }
+    markRecipeDiscovered(recipe, discovery);
+  };
+
+  // The DM confirms or dismisses the recipe an offline craft found.
+  const handleReviewReveal = async (entry, confirm) => {
+    if (!canEditData || !hasSupabase) return;
+    if (offline) {
+      setDmMessage('Reviewing discoveries needs a connection to Supabase.');
+      return;
+    }
+    setContentBusy(true);
+    setDmMessage('');
+    const { data, error: reviewError } = await supabase.rpc('review_offline_reveal', {
+      craft_log_id: entry.id,
+      confirm
+    });
+    if (reviewError || !data) {
+      setDmMessage(reviewError?.message || 'Failed to review the discovery.');
+    } else {
+      setCraftLog((prev) => mergeRow(prev, normalizeCraftLogRow(data.craft), 'id'));
+      if (data.recipe) {
+        const recipe = normalizeRecipeRow(data.recipe);
+        markRecipeDiscovered(recipe, recipe.discovery);
+      }
+      setDmMessage(
+        confirm ? `${entry.recipeName} is now known.` : `Dismissed ${entry.recipeName}.`
+      );
+    }
+    setContentBusy(false);
+  };
+
+  const upsertCraftedItem = (row) => {
+    setCraftedItems((prev) => mergeRow(prev, row, 'id'));
+  };
+
+  // Items of different grades or trait effects stack separately, even for the same recipe and
+  // holder.
+  const findCraftedItem = (stack, holder) =>
+    craftedItems.find(
+      (item) =>
+        item.name === stack.name &&
+        item.discipline === stack.discipline &&
+        item.holder.toLowerCase() === holder.toLowerCase() &&
+        item.grade === (stack.grade || '') &&
+        item.durationMultiplier === (stack.durationMultiplier ?? 1) &&
+        item.sideEffects === (stack.sideEffects || '')
+    );
+
+  const adjustCraftedItem = async (item, quantity) => {
+    const nextItem = { ...item, quantity: Math.max(0, quantity) };
+    if (offline) {
+      queueCraftedItem(item, item.quantity, nextItem.quantity);
+    } else if (hasSupabase) {
+      setSyncError('');
+      const { error: updateError } = await supabase
+        .from('crafted_items')
+        .update({ quantity: nextItem.quantity, updated_at: new Date().toISOString() })
+        .eq('id', item.id);
+      if (updateError) {
+        setSyncError('Failed to sync satchel updates.');
+        return false;
+      }
+    }
+    upsertCraftedItem(nextItem);
+    return true;
+  };
+
+  const addCraftedItem = async (recipe, holder = DEFAULT_HOLDER, amount = 1) => {
+    if (!recipe) return false;
+    const existing = findCraftedItem(recipe, holder);
+    if (existing) {
+      return adjustCraftedItem(existing, existing.quantity + amount);
+    }
+
+    const payload = {
+      campaign_id: campaignId,
+      name: recipe.name,
+      discipline: recipe.discipline,
+      quality_category: recipe.qualityCategory,
+      recipe_no: recipe.recipeNo || recipe.id || 0,
+      rarity: recipe.rarity,
+      effect: recipe.effect,
+      holder,
+      grade: recipe.grade || '',
+      duration_multiplier: recipe.durationMultiplier ?? 1,
+      side_effects: recipe.sideEffects || '',
+      quantity: amount
+    };
+
+    if (!hasSupabase || offline) {
+      const item = normalizeCraftedItemRow({
+        ...payload,
+        id: `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`
+      });
+      if (offline) queueCraftedItem(item, 0, item.quantity);
+      upsertCraftedItem(item);
+      return true;
+    }
+
+    setSyncError('');
+    const { data, error: insertError } = await supabase
+      .from('crafted_items')
+      .insert(payload)
+      .select()
+      .single();
+    if (insertError || !data) {
+      setSyncError('Failed to store the crafted item in the satchel.');
+      return false;
+    }
+    upsertCraftedItem(normalizeCraftedItemRow(data));
+    return true;
+  };
+
+  const handleSatchelUse = async (item) => {
+    setSatchelBusy(true);
+    const updated = await adjustCraftedItem(item, item.quantity - 1);
+    if (updated) setSatchelMessage(`${item.holder} used ${item.name}.`);
+    setSatchelBusy(false);
+  };
+
+  const handleSatchelDiscard = async (item) => {
+    setSatchelBusy(true);
+    const updated = await adjustCraftedItem(item, 0);
+    if (updated) setSatchelMessage(`Discarded ${item.name}.`);
+    setSatchelBusy(false);
+  };
+
+  // Online, public.hand_over_crafted_item moves the item in one transaction; locally both
+  // stacks change in the same render.
+  const handOverOnServer = async (item, holder) => {
+    setSyncError('');
+    const { data, error: handOverError } = await supabase.rpc('hand_over_crafted_item', {
+      item_id: item.id,
+      holder
+    });
+    if (handOverError || !data) {
+      setSyncError(handOverError?.message || 'Failed to hand over the item.');
+      return false;
+    }
+    upsertCraftedItem(normalizeCraftedItemRow(data.source));
+    upsertCraftedItem(normalizeCraftedItemRow(data.target));
+    return true;
+  };
+
+  const handleSatchelHandOver = async (item, holder) => {
+    if (holder.toLowerCase() === item.holder.toLowerCase()) return true;
+    setSatchelBusy(true);
+    let handedOver;
+    if (hasSupabase && !offline) {
+      handedOver = await handOverOnServer(item, holder);
+    } else {
+      handedOver =
+        (await adjustCraftedItem(item, item.quantity - 1)) && (await addCraftedItem(item, holder));
+    }
+    if (handedOver) setSatchelMessage(`${item.holder} handed ${item.name} to ${holder}.`);
+    setSatchelBusy(false);
+    return handedOver;
+  };
+
+  const handleCraft = async () => {
+    setError('');
+    setDmMessage('');
+
+    if (selectedNames.some((name) => !name)) {
+      setError('Fill every ingredient slot or remove the empty ones.');
+      return;
+    }
+
+    if (new Set(selectedNames).size < selectedNames.length) {
+      setError('Choose unique ingredients.');
+      return;
+    }
+
+    if (selectedNames.length < minIngredients || selectedNames.length > maxIngredients) {
+      setError(`${discipline} takes ${minIngredients} to ${maxIngredients} ingredients.`);
+      return;
+    }
+
+    if (catalystName && selectedNames.includes(catalystName)) {
+      setError(`Use ${catalystName} as the catalyst or as an ingredient, not both.`);
+      return;
+    }
+
+    const consumedNames = catalystName ? [...selectedNames, catalystName] : selectedNames;
+    const missing = consumedNames.find((name) => (availableMap.get(name) ?? 0) <= 0);
+    if (missing) {
+      setError(`Not enough ${missing} in inventory.`);
+      return;
+    }
+
+    const recipeList = recipes[discipline] || [];
+    if (!recipeList.length) {
+      setError(`No recipes loaded for ${discipline}.`);
+      return;
+    }
+
+    const naturalRoll = Number(checkRoll);
+    const rolled = Number.isInteger(naturalRoll) && naturalRoll >= 1 && naturalRoll <= 20;
+    if (craftCheck.enabled && !rolled) {
+      setError('Roll a d20 (1 to 20) for the crafting check.');
+      return;
+    }
+    setCheckRoll('');
+
+    if (hasSupabase && !offline) {
+      await craftOnServer(craftCheck.enabled ? naturalRoll : null);
+      return;
+    }
+
+    // Local mode, or offline: resolve the craft here; offline, every change is also queued.
+
+    const resolved = resolveCraft(selectedIngredients, activeDiscipline, recipeList, {
+      mode: settings.selectionMode,
+      spread: settings.selectionSpread,
+      catalyst,
+      grades: qualityGrades,
+      // A natural 1 needs a seed for the mishap roll, as public.craft generates one.
+      seed: craftCheck.enabled && naturalRoll === 1 ? generateSeed() : undefined
+    });
+    const check = craftCheck.enabled
+      ? resolveCraftCheck(craftCheck, {
+          roll: naturalRoll,
+          modifier: checkModifier,
+          rarity: resolved.recipe?.rarity,
+          totals: resolved.totals,
+          dominantAttribute: resolved.dominantAttribute,
+          discipline,
+          seed: resolved.seed
+        })
+      : null;
+    const makesItem = !check || check.makesItem;
+    const outcome =
+      check?.outcome === 'partial' && makesItem && qualityGrades.length
+        ? {
+            ...resolved,
+            check,
+            grade: {
+              ...qualityGrades[0],
+              margin: resolved.grade?.margin ?? 0,
+              total: resolved.grade?.total ?? 0
+            }
+          }
+        : { ...resolved, check, grade: makesItem ? resolved.grade : null };
+
+    const wasDiscovered = Boolean(outcome.recipe?.discovered);
+    const revealOnCraft = Boolean(outcome.recipe && !wasDiscovered && makesItem);
+    // Offline, a new recipe is only a claim until the DM confirms it (review_offline_reveal).
+    const pendingReveal = offline && revealOnCraft;
+    setResult({ ...outcome, wasDiscovered: wasDiscovered || revealOnCraft, pendingReveal });
+    setResultModalOpen(true);
+
+    if (revealOnCraft && !pendingReveal) markRecipeDiscovered(outcome.recipe);
+
+    const consumption = planConsumption(
+      check ? spentIngredients(consumedNames, craftCheck, check.outcome) : consumedNames,
+      pouchMap,
+      inventoryMap
+    );
+    await persistInventory(consumption.stash);
+    if (offline && consumption.pouch.length) queuePouchChanges(consumption.pouch);
+    const ledgerBatch = recordLedger(
+      [
+        ...consumption.stash.map((row) => ({
+          name: row.name,
+          from: inventoryMap.get(row.name) ?? 0,
+          to: row.quantity
+        })),
+        ...consumption.pouch.map((row) => ({
+          name: row.name,
+          characterId: activeCharacter.id,
+          from: pouchMap.get(row.name) ?? 0,
+          to: row.quantity
+        }))
+      ],
+      { reason: 'craft' }
+    );
+    applyCraftDeduction(consumption.stash, consumption.pouch);
+    if (makesItem) {
+      await addCraftedItem(
+        outcome.recipe && {
+          ...outcome.recipe,
+          grade: outcome.grade?.name || '',
+          ...traitItemEffects(outcome.modifiers)
+        }
+      );
+    }
+
+    const logRow = {
+      crafted_by: session?.user?.id ?? null,
+      character_id: activeCharacter?.id ?? null,
+      discipline,
+      ingredient_names: [...selectedNames],
+      catalyst_name: outcome.catalystName,
+      modifiers: outcome.modifiers,
+      grade: outcome.grade?.name || null,
+      totals: outcome.totals,
+      dominant_attribute: outcome.dominantAttribute,
+      selection_mode: outcome.mode,
+      seed: outcome.seed,
+      spread: outcome.spread,
+      base_roll: outcome.baseRoll,
+      roll: outcome.roll,
+      recipe_name: outcome.recipe?.name ?? null,
+      quality_category: outcome.recipe?.qualityCategory ?? null,
+      recipe_no: outcome.recipe?.recipeNo ?? null,
+      used_fallback: Boolean(outcome.usedFallback),
+      synced_offline: offline,
+      check_roll: check?.roll ?? null,
+      check_modifier: check?.modifier ?? null,
+      check_dc: check?.dc ?? null,
+      check_outcome: check?.outcome ?? null,
+      mishap: check?.mishap ?? null,
+      made_item: makesItem,
+      revealed_recipe: revealOnCraft && !pendingReveal,
+      previous_discovery: revealOnCraft && !pendingReveal ? outcome.recipe.discovery : null,
+      reveal_status: pendingReveal ? 'pending' : null,
+      ledger_batch: ledgerBatch,
+      created_at: new Date().toISOString()
+    };
+    if (offline) queueChange({ type: 'craft_log', row: logRow });
+    setCraftLog((prev) => [
+      normalizeCraftLogRow({ ...logRow, id: `local-${Date.now()}` }),
+      ...prev
+    ]);
+  };
+
+  const applyCraftDeduction = (updates, pouchUpdates = []) => {
+    const updatedQuantities = new Map(updates.map((item) => [item.name, item.quantity]));
+    const updatedPouch = new Map(pouchUpdates.map((item) => [item.name, item.quantity]));
+    const remaining = (name) =>
+      (updatedQuantities.get(name) ?? inventoryMap.get(name) ?? 0) +
+      (updatedPouch.get(name) ?? pouchMap.get(name) ?? 0);
+
+    if (activeCharacter && pouchUpdates.length) {
+      setPouchRows((prev) =>
+        pouchUpdates.reduce(
+          (list, update) =>
+            mergeRow(
+              list,
+              normalizePouchRow({ ...update, characterId: activeCharacter.id }),
+              'key'
+            ),
+          prev
+        )
+      );
+    }
+
+    setInventory((prev) => {
+      const next = prev.map((item) => ({ ...item }));
+      updates.forEach((update) => {
+        const index = next.findIndex((item) => item.name === update.name);
+        if (index >= 0) {
+          next[index].quantity = update.quantity;
+        } else {
+          next.push({ ...update });
+        }
+      });
+      return next;
+    });
+
+    setSelectedNames((prev) => prev.map((name) => (name && remaining(name) > 0 ? name : '')));
+    setCatalystName((prev) => (prev && remaining(prev) > 0 ? prev : ''));
+  };
+
+  // The craft RPC checks stock, deducts, resolves the recipe and stores the item in one
+  // transaction; the client only applies what the server settled on.
+  const craftOnServer = async (naturalRoll) => {
+    setCrafting(true);
+    setSyncError('');
+    const { data, error: craftError } = await supabase.rpc('craft', {
+      campaign_id: campaignId,
+      discipline,
+      ingredient_names: selectedNames,
+      catalyst_name: catalystName || null,
+      character_id: activeCharacter?.id ?? null,
+      check_roll: naturalRoll,
+      check_modifier: Math.round(Number(checkModifier) || 0)
+    });
+    setCrafting(false);
+
+    if (craftError || !data?.recipe) {
+      setError(craftError?.message || 'Crafting failed. Try again.');
+      return;
+    }
+
+    const recipe = normalizeRecipeRow(data.recipe);
+    const check = data.check
+      ? {
+          roll: Number(data.check.roll),
+          modifier: Number(data.check.modifier ?? 0),
+          total: Number(data.check.total),
+          dc: Number(data.check.dc),
+          outcome: data.check.outcome,
+          makesItem: Boolean(data.check.makes_item),
+          mishap: data.check.mishap || null
+        }
+      : null;
+    const makesItem = !check || check.makesItem;
+    setResult({
+      recipe,
+      totals: data.totals,
+      dominantAttribute: data.dominant_attribute,
+      tierIndex: data.tier_index,
+      roll: data.roll,
+      baseRoll: data.base_roll,
+      idealIndex: data.ideal_index,
+      slotsPerTier: data.slots_per_tier,
+      usedFallback: Boolean(data.used_fallback),
+      mode: data.selection_mode || 'deterministic',
+      seed: data.seed || null,
+      spread: Number(data.spread ?? 0),
+      catalystName: data.catalyst_name || null,
+      modifiers: normalizeModifiers(data.modifiers),
+      grade: data.grade
+        ? {
+            ...normalizeQualityGrade(data.grade),
+            margin: Number(data.grade.margin ?? 0),
+            total: Number(data.grade.total ?? 0)
+          }
+        : null,
+      check,
+      wasDiscovered: Boolean(data.was_discovered) || makesItem
+    });
+    setResultModalOpen(true);
+    if (data.craft_log_id) {
+      setCraftLog((prev) => [
+        normalizeCraftLogRow({
+          id: data.craft_log_id,
+          crafted_by: session?.user?.id,
+          discipline,
+          ingredient_names: [...selectedNames],
+          catalyst_name: data.catalyst_name,
+          modifiers: data.modifiers,
+          grade: data.grade?.name,
+          totals: data.totals,
+          dominant_attribute: data.dominant_attribute,
+          selection_mode: data.selection_mode,
+          seed: data.seed,
+          spread: data.spread,
+          base_roll: data.base_roll,
+          roll: data.roll,
+          recipe_name: recipe.name,
+          quality_category: recipe.qualityCategory,
+          recipe_no: recipe.recipeNo,
+          used_fallback: data.used_fallback,
+          check_roll: check?.roll,
+          check_modifier: check?.modifier,
+          check_dc: check?.dc,
+          check_outcome: check?.outcome,
+          mishap: check?.mishap,
+          made_item: makesItem,
+          revealed_recipe: !data.was_discovered && makesItem,
+          ledger_batch: data.ledger_batch,
+          created_at: new Date().toISOString()
+        }),
+        ...prev
+      ]);
+    }
+
+    if (!data.was_discovered && makesItem) {
+      markRecipeDiscovered(recipe);
+    }
+    applyCraftDeduction(
+      (data.inventory || []).map((row) => ({
+        name: row.name,
+        quantity: Number(row.quantity ?? 0)
+      })),
+      (data.pouch || []).map((row) => ({ name: row.name, quantity: Number(row.quantity ?? 0) }))
+    );
+    if (data.crafted_item) {
+      upsertCraftedItem(normalizeCraftedItemRow(data.crafted_item));
+    }
+  };
+
+  const handleCheckModifierChange = (value) => {
+    setCheckModifier(value);
+    saveLocal(CHECK_MODIFIER_STORAGE_KEY, value);
+  };
+
+  const handleLoadCombination = (names, nextDiscipline, nextCatalyst = null) => {
+    setSelectedNames(fitIngredientSlots([...names], findDiscipline(disciplines, nextDiscipline)));
+    setCatalystName(nextCatalyst || '');
+    setDiscipline(nextDiscipline);
+    setResult(null);
+    setError('');
+  };
+
+  const handleAddSlot = () => {
+    setSelectedNames((prev) => (prev.length < maxIngredients ? [...prev, ''] : prev));
+  };
+
+  const handleRemoveSlot = (index) => {
+    setSelectedNames((prev) =>
+      prev.length > minIngredients ? prev.filter((_, position) => position !== index) : prev
+    );
+    setError('');
+  };
+
+  const handleClear = () => {
+    setSelectedNames(Array(minIngredients).fill(''));
+    setCatalystName('');
+    setResult(null);
+    setResultModalOpen(false);
+    setError('');
+  };
+
+  const handleInventoryEdit = async (name, value) => {
+    const quantity = Math.max(0, Number(value));
+    if (!canWriteInventory) {
+      setDmMessage('Sign in as DM to update inventory.');
+      return;
+    }
+
+    // Optimistic: show the new count now, and let the realtime echo (or a conflicting
+    // change from another player) settle it.
+    const previous = inventoryMap.get(name) ?? 0;
+    if (hasSupabase && !offline) pendingInventory.current.set(name, quantity);
+    setInventory((prev) => mergeRow(prev, { name, quantity }));
+
+    const persisted = await persistInventory([{ name, quantity }]);
+    if (!persisted && pendingInventory.current.get(name) === quantity) {
+      pendingInventory.current.delete(name);
+      setInventory((prev) => mergeRow(prev, { name, quantity: previous }));
+    }
+    if (persisted) recordLedger([{ name, from: previous, to: quantity }]);
+  };
+
+  const handleInventoryAdjust = (name, currentQuantity, delta) => {
+    const next = Math.max(0, Number(currentQuantity) + delta);
+    handleInventoryEdit(name, next);
+  };
+
+  const handleSaveSettings = async (nextSettings, successMessage = '') => {
+    if (!canEditData) {
+      setDmMessage('Sign in as DM to change campaign settings.');
+      return;
+    }
+    setSettingsBusy(true);
+    setDmMessage('');
+    if (hasSupabase) {
+      const { error: settingsError } = await supabase
+        .from('campaign_settings')
+        .upsert(
+          settingsToRows(nextSettings).map((row) => ({ ...row, campaign_id: campaignId })),
+          { onConflict: 'campaign_id,key' }
+        );
+      if (settingsError) {
+        setDmMessage('Failed to save campaign settings.');
+        setSettingsBusy(false);
+        return;
+      }
+    }
+    const merged = { ...settings, ...nextSettings };
+    setSettings(merged);
+    setDmMessage(
+      successMessage || `Recipe selection set to ${SELECTION_MODES[merged.selectionMode]}.`
+    );
+    setSettingsBusy(false);
+  };
+
+  const handleSelectCharacter = (value) => {
+    const character = ownCharacters.find((item) => String(item.id) === value) || null;
+    setActiveCharacterId(character?.id ?? null);
+    saveLocal(activeCharacterKey, character?.id ?? null);
+    setPouchMessage('');
+  };
+
+  const handleCreateCharacter = async (name) => {
     if (!canWriteInventory) {
-      setError('Sign in as DM or Party to update inventory.');
+      setPouchMessage('Sign in as DM or Party to create a character.');
       return false;
     }
-    setSyncError('');
-    const { error: upsertError } = await supabase
-      .from('inventory')
-      .upsert(updates, { onConflict: 'name' });
-    if (upsertError) {
-      setSyncError('Failed to sync inventory updates.');
+    if (ownCharacters.some((character) => character.name.toLowerCase() === name.toLowerCase())) {
+      setPouchMessage(`${name} already exists.`);
       return false;
     }
+    setPouchBusy(true);
+    setPouchMessage('');
+    let character = null;
+    if (hasSupabase) {
+      const { data, error: insertError } = await supabase
+        .from('characters')
+        .insert({ campaign_id: campaignId, name })
+        .select()
+        .single();
+      if (insertError || !data) {
+        setPouchMessage('Failed to create the character.');
+        setPouchBusy(false);
+        return false;
+      }
+      character = normalizeCharacterRow(data);
+    } else {
+      character = normalizeCharacterRow({ id: `local-${Date.now()}`, name });
+    }
+    setCharacters((prev) => mergeRow(prev, character, 'id'));
+    setActiveCharacterId(character.id);
+    saveLocal(activeCharacterKey, character.id);
+    setPouchBusy(false);
     return true;
   };
 
-  const markRecipeDiscovered = async (recipe) => {
-    if (!recipe) return;
-    setRecipes((prev) => {
-      const next = { ...prev };
-      const list = prev[recipe.discipline] || [];
-      next[recipe.discipline] = list.map((item) => {
-        const sameSlot = item.recipeNo === recipe.recipeNo && item.qualityCategory === recipe.qualityCategory;
-        const sameName = item.name === recipe.name;
-        if (sameSlot && sameName) {
-          return { ...item, discovered: true };
-        }
-        return item;
+  // Positive amounts move from the party stash into the pouch, negative ones back.
+  const handleTransfer = async (name, amount) => {
+    if (!activeCharacter || !amount) return false;
+    if (!canWriteInventory) {
+      setPouchMessage('Sign in as DM or Party to move ingredients.');
+      return false;
+    }
+    const stash = inventoryMap.get(name) ?? 0;
+    const pouch = pouchMap.get(name) ?? 0;
+    if (amount > stash || -amount > pouch) {
+      setPouchMessage(`Not enough ${name} to move.`);
+      return false;
+    }
+    setPouchBusy(true);
+    setPouchMessage('');
+    let nextStash = { name, quantity: stash - amount };
+    let nextPouch = normalizePouchRow({
+      characterId: activeCharacter.id,
+      name,
+      quantity: pouch + amount
+    });
+    if (offline) {
+      queueChange({ type: 'inventory', name, from: stash, to: nextStash.quantity });
+      queuePouchChanges([{ name, quantity: nextPouch.quantity }]);
+    } else if (hasSupabase) {
+      const { data, error: transferError } = await supabase.rpc('transfer_ingredients', {
+        character_id: activeCharacter.id,
+        ingredient_name: name,
+        amount
       });
-      return next;
+      if (transferError || !data?.pouch) {
+        setPouchMessage(transferError?.message || 'Failed to move ingredients.');
+        setPouchBusy(false);
+        return false;
+      }
+      nextStash = { name, quantity: Number(data.stash?.quantity ?? 0) };
+      nextPouch = normalizePouchRow(data.pouch);
+    }
+    if (!offline) {
+      recordLedger(
+        [
+          { name, from: stash, to: nextStash.quantity },
+          { name, characterId: activeCharacter.id, from: pouch, to: nextPouch.quantity }
+        ],
+        { reason: 'transfer' }
+      );
+    }
+    setInventory((prev) => mergeRow(prev, nextStash));
+    setPouchRows((prev) => mergeRow(prev, nextPouch, 'key'));
+    setPouchMessage(
+      amount > 0
+        ? `${activeCharacter.name} took ${amount}x ${name} from the party stash.`
+        : `${activeCharacter.name} returned ${-amount}x ${name} to the party stash.`
+    );
+    setPouchBusy(false);
+    return true;
+  };
+
+  const handleGrantAddRow = (name, quantity) => {
+    setGrantRows((prev) => {
+      const existing = prev.find((row) => row.name === name);
+      if (!existing) return [...prev, { name, quantity }];
+      return prev.map((row) =>
+        row.name === name ? { ...row, quantity: row.quantity + quantity } : row
+      );
     });
+    setGrantName('');
+  };
 
-    if (!hasSupabase) return;
-    setSyncError('');
-    const targetSlot = recipe.recipeNo || recipe.id || 0;
-    const { error: updateError } = await supabase
-      .from('recipes')
-      .update({ discovered: true })
-      .eq('discipline', recipe.discipline)
-      .eq('recipe_no', targetSlot)
-      .eq('quality_category', recipe.qualityCategory);
-    if (updateError) {
-      setSyncError('Failed to sync recipe discovery.');
-    }
+  const handleGrantUpdateRow = (name, value) => {
+    const quantity = Math.max(1, Number(value) || 1);
+    setGrantRows((prev) => prev.map((row) => (row.name === name ? { ...row, quantity } : row)));
   };
 
-  const handleCraft = async () => {
-    setError('');
-    setDmMessage('');
+  const handleGrantRemoveRow = (name) => {
+    setGrantRows((prev) => prev.filter((row) => row.name !== name));
+  };
 
-    if (selectedNames.some((name) => !name)) {
-      setError('Select three ingredients to craft.');
+  const handleOfferHaul = (items, reason) => {
+    items.forEach((item) => handleGrantAddRow(item.name, item.quantity));
+    setGrantReason((prev) => prev || reason);
+    setDmMessage('Haul added to the grant. Review it and grant when ready.');
+  };
+
+  const handleGrantSubmit = async () => {
+    if (!canEditData) {
+      setDmMessage('Sign in as DM to grant ingredients.');
       return;
     }
-
-    if (new Set(selectedNames).size < 3) {
-      setError('Choose three unique ingredients.');
+    if (!grantRows.length) {
+      setDmMessage('Add at least one ingredient to grant.');
       return;
     }
+    setGranting(true);
+    setDmMessage('');
+    setSyncError('');
 
-    const missing = selectedNames.find((name) => (inventoryMap.get(name) ?? 0) <= 0);
-    if (missing) {
-      setError(`Not enough ${missing} in inventory.`);
-      return;
+    const reason = grantReason.trim();
+    const totalItems = grantRows.reduce((sum, row) => sum + row.quantity, 0);
+
+    if (hasSupabase) {
+      const { data, error: grantError } = await supabase.rpc('grant_ingredients', {
+        campaign_id: campaignId,
+        items: grantRows,
+        reason
+      });
+      if (grantError || !data) {
+        setDmMessage(grantError?.message || 'Failed to grant ingredients.');
+        setGranting(false);
+        return;
+      }
+      const updates = (data.inventory || []).map((row) => ({
+        name: row.name,
+        quantity: Number(row.quantity ?? 0)
+      }));
+      setInventory((prev) => updates.reduce((list, row) => mergeRow(list, row), prev));
+    } else {
+      const updates = grantRows.map((row) => ({
+        name: row.name,
+        quantity: (inventoryMap.get(row.name) ?? 0) + row.quantity
+      }));
+      setInventory((prev) => updates.reduce((list, row) => mergeRow(list, row), prev));
+      recordLedger(
+        updates.map((row) => ({
+          name: row.name,
+          from: inventoryMap.get(row.name) ?? 0,
+          to: row.quantity
+        })),
+        { reason: 'grant', note: reason }
+      );
+      const history = loadLocal(GRANTS_STORAGE_KEY, []);
+      saveLocal(GRANTS_STORAGE_KEY, [
+        ...history,
+        {
+          id: `local-${Date.now()}`,
+          reason,
+          items: grantRows,
+          createdAt: new Date().toISOString()
+        }
+      ]);
     }
 
-    const recipeList = recipes[discipline] || [];
-    if (!recipeList.length) {
-      setError(`No recipes loaded for ${discipline}.`);
-      return;
+    setGrantRows([]);
+    setGrantReason('');
+    setGranting(false);
+    setDmMessage(
+      `Granted ${totalItems} ingredient${totalItems === 1 ? '' : 's'}${reason ? `: ${reason}` : '.'}`
+    );
+  };
+
+  // Local mode's version of public.undo_inventory_batch. Returns an error message, or ''.
+  const undoLocalBatch = async (batch) => {
+    const stockOf = ({ name, characterId }) =>
+      characterId === null || characterId === undefined
+        ? inventoryMap.get(name) ?? 0
+        : pouchRows.find((row) => row.key === pouchKey(characterId, name))?.quantity ?? 0;
+    const changes = netLedgerChanges(batch.rows);
+    const short = changes.find((change) => stockOf(change) < change.delta);
+    if (short) {
+      return `Cannot undo: only ${stockOf(short)} ${short.name} left in the ${
+        short.characterId === null ? 'party stash' : 'pouch'
+      }.`;
     }
 
-    const outcome = calculateResult(selectedIngredients, discipline, recipeList);
+    const craft = craftLog.find((entry) => entry.ledgerBatch === batch.batch);
+    const item =
+      craft?.madeItem &&
+      findCraftedItem(
+        {
+          name: craft.recipeName,
+          discipline: craft.discipline,
+          grade: craft.grade || '',
+          ...traitItemEffects(craft.modifiers)
+        },
+        DEFAULT_HOLDER
+      );
+    if (craft?.madeItem && !(item?.quantity > 0)) {
+      return `Cannot undo: ${craft.recipeName} is no longer in the party satchel.`;
+    }
 
-    const wasDiscovered = Boolean(outcome.recipe?.discovered);
-    const revealOnCraft = Boolean(outcome.recipe && !wasDiscovered);
-    setResult({ ...outcome, wasDiscovered: wasDiscovered || revealOnCraft });
-    setResultModalOpen(true);
+    const restored = changes.map((change) => ({
+      ...change,
+      quantity: stockOf(change) - change.delta
+    }));
+    setInventory((prev) =>
+      restored
+        .filter((change) => change.characterId === null)
+        .reduce((list, { name, quantity }) => mergeRow(list, { name, quantity }), prev)
+    );
+    setPouchRows((prev) =>
+      restored
+        .filter((change) => change.characterId !== null)
+        .reduce((list, change) => mergeRow(list, normalizePouchRow(change), 'key'), prev)
+    );
+    recordLedger(
+      restored.map((change) => ({
+        name: change.name,
+        characterId: change.characterId,
+        from: stockOf(change),
+        to: change.quantity
+      })),
+      { reason: 'undo', undoes: batch.batch }
+    );
 
-    if (outcome.recipe && !wasDiscovered) {
-      await markRecipeDiscovered(outcome.recipe);
+    if (craft) {
+      if (item) await adjustCraftedItem(item, item.quantity - 1);
+      const sameRecipe = (entry) =>
+        entry.discipline === craft.discipline &&
+        entry.qualityCategory === craft.qualityCategory &&
+        entry.recipeNo === craft.recipeNo;
+      const madeElsewhere = craftLog.some(
+        (entry) => entry !== craft && entry.madeItem && !entry.undoneAt && sameRecipe(entry)
+      );
+      const recipe = (recipes[craft.discipline] || []).find(sameRecipe);
+      if (craft.revealedRecipe && !madeElsewhere && recipe) {
+        markRecipeDiscovered(recipe, craft.previousDiscovery || 'unknown');
+      }
+      markCraftUndone((entry) => entry.id === craft.id);
     }
+    return '';
+  };
 
-    if (!canWriteInventory) {
-      setError('Sign in as DM or Party to deduct inventory.');
+  const markCraftUndone = (matches) => {
+    const undoneAt = new Date().toISOString();
+    setCraftLog((prev) => prev.map((entry) => (matches(entry) ? { ...entry, undoneAt } : entry)));
+  };
+
+  const handleUndoBatch = async (batch) => {
+    if (!canEditData) {
+      setLedgerMessage('Sign in as DM to undo changes.');
+      return;
+    }
+    if (offline) {
+      setLedgerMessage('Reconnect to undo changes.');
       return;
     }
+    setLedgerBusy(true);
+    setLedgerMessage('');
 
-    const updates = selectedNames.map((name) => ({
-      name,
-      quantity: Math.max(0, (inventoryMap.get(name) ?? 0) - 1)
-    }));
+    if (hasSupabase) {
+      const { data, error: undoError } = await supabase.rpc('undo_inventory_batch', {
+        campaign_id: campaignId,
+        batch: batch.batch
+      });
+      if (undoError || !data) {
+        setLedgerMessage(undoError?.message || 'Failed to undo the change.');
+        setLedgerBusy(false);
+        return;
+      }
+      const stash = (data.inventory || []).map((row) => ({
+        name: row.name,
+        quantity: Number(row.quantity ?? 0)
+      }));
+      setInventory((prev) => stash.reduce((list, row) => mergeRow(list, row), prev));
+      setPouchRows((prev) =>
+        (data.pouch || []).reduce(
+          (list, row) => mergeRow(list, normalizePouchRow(row), 'key'),
+          prev
+        )
+      );
+      if (data.crafted_item) upsertCraftedItem(normalizeCraftedItemRow(data.crafted_item));
+      if (data.hidden_recipe) {
+        const hidden = normalizeRecipeRow(data.hidden_recipe);
+        markRecipeDiscovered(hidden, hidden.discovery);
+      }
+      if (data.craft_log_id) markCraftUndone((entry) => entry.id === data.craft_log_id);
+      setLedgerReloadKey((key) => key + 1);
+    } else {
+      const problem = await undoLocalBatch(batch);
+      if (problem) {
+        setLedgerMessage(problem);
+        setLedgerBusy(false);
+        return;
+      }
+    }
 
-    const updatedQuantities = new Map(updates.map((item) => [item.name, item.quantity]));
+    setLedgerMessage(`Undid: ${LEDGER_REASONS[batch.reason] || batch.reason}.`);
+    setLedgerBusy(false);
+  };
 
-    setInventory((prev) => {
-      const next = prev.map((item) => ({ ...item }));
-      updates.forEach((update) => {
-        const index = next.findIndex((item) => item.name === update.name);
-        if (index >= 0) {
-          next[index].quantity = update.quantity;
-        }
-      });
-      return next;
+  // Local mode keeps its progress in IndexedDB; resetting starts over from public/data.
+  const handleResetLocal = async () => {
+    if (!window.confirm('Discard local progress and start over from public/data?')) return;
+    await removeOffline(offlineSnapshotKey(null));
+    [
+      SATCHEL_STORAGE_KEY,
+      SETTINGS_STORAGE_KEY,
+      CRAFT_LOG_STORAGE_KEY,
+      CHARACTERS_STORAGE_KEY,
+      POUCHES_STORAGE_KEY,
+      GRANTS_STORAGE_KEY,
+      grantsSeenKey
+    ].forEach((key) => removeLocal(key));
+    setReloadKey((key) => key + 1);
+  };
+
+  const handleSelectCampaign = (value) => {
+    const membership = findMembership(memberships, value);
+    if (!membership || !session?.user?.id) return;
+    setCampaignMessage('');
+    setCampaignId(membership.campaignId);
+    saveLocal(`${CAMPAIGN_STORAGE_KEY}:${session.user.id}`, membership.campaignId);
+  };
+
+  // The new campaign starts from the public/data JSON, or copies this campaign's content
+  // with an empty stash. The caller becomes its DM.
+  const handleCreateCampaign = async (name, templateKey) => {
+    if (!hasSupabase || !session?.user?.id) return false;
+    setCampaignBusy(true);
+    setCampaignMessage('');
+    let source = null;
+    try {
+      source =
+        templateKey === 'current'
+          ? {
+              ingredients,
+              recipes,
+              disciplines,
+              settings,
+              inventory: inventory.map((row) => ({ name: row.name, quantity: 0 }))
+            }
+          : { ...(await fetchStarterData()), settings: DEFAULT_SETTINGS };
+    } catch (err) {
+      setCampaignMessage('Failed to load the starter data from public/data.');
+      setCampaignBusy(false);
+      return false;
+    }
+
+    const { data, error: createError } = await supabase.rpc('create_campaign', {
+      campaign_name: name,
+      template: buildCampaignTemplate(source)
     });
+    if (createError || !data?.id) {
+      setCampaignMessage(createError?.message || 'Failed to create the campaign.');
+      setCampaignBusy(false);
+      return false;
+    }
 
-    await persistInventory(updates);
+    const membership = normalizeMembershipRow({
+      campaign_id: data.id,
+      name: data.name,
+      role: 'dm'
+    });
+    setMemberships((prev) => [...prev, membership].sort((a, b) => a.name.localeCompare(b.name)));
+    setCampaignId(membership.campaignId);
+    saveLocal(`${CAMPAIGN_STORAGE_KEY}:${session.user.id}`, membership.campaignId);
+    setCampaignMessage(`Created ${membership.name}.`);
+    setCampaignBusy(false);
+    return true;
+  };
 
-    setSelectedNames((prev) =>
-      prev.map((name) => {
-        if (!name) return '';
-        const nextQty = updatedQuantities.get(name);
-        return nextQty === 0 ? '' : name;
-      })
-    );
+  // Accounts are created and changed through security definer functions in schema.sql;
+  // roles are plain campaign_members rows guarded by RLS.
+  const handleCreatePlayer = async (username, password, role) => {
+    setPlayersBusy(true);
+    setPlayersMessage('');
+    const { data, error: createError } = await supabase.rpc('create_player', {
+      campaign_id: campaignId,
+      login_email: buildLoginEmail(username),
+      password: password || null,
+      role
+    });
+    if (createError || !data) {
+      setPlayersMessage(createError?.message || 'Failed to add the player.');
+      setPlayersBusy(false);
+      return false;
+    }
+    const player = normalizePlayerRow(data);
+    setPlayers((prev) => mergeRow(prev, player, 'userId'));
+    setPlayersMessage(password ? `Created ${player.name}.` : `Added ${player.name}.`);
+    setPlayersBusy(false);
+    return true;
   };
 
-  const handleClear = () => {
-    setSelectedNames(['', '', '']);
-    setResult(null);
-    setResultModalOpen(false);
-    setError('');
+  const handleSetPlayerRole = async (player, role) => {
+    setPlayersBusy(true);
+    setPlayersMessage('');
+    // RLS turns a change the caller may not make into zero rows rather than an error.
+    const { data: updated, error: roleError } = await supabase
+      .from('campaign_members')
+      .update({ role })
+      .eq('campaign_id', campaignId)
+      .eq('user_id', player.userId)
+      .select('user_id');
+    if (roleError || !updated?.length) {
+      setPlayersMessage('Failed to change the role.');
+    } else {
+      setPlayers((prev) => mergeRow(prev, { ...player, role }, 'userId'));
+      setPlayersMessage(`${player.name} is now ${role === 'dm' ? 'a DM' : 'in the party'}.`);
+    }
+    setPlayersBusy(false);
   };
 
-  const handleInventoryEdit = async (name, value) => {
-    const quantity = Math.max(0, Number(value));
-    if (!canWriteInventory) {
-      setDmMessage('Sign in as DM to update inventory.');
-      return;
+  const handleRemovePlayer = async (player) => {
+    setPlayersBusy(true);
+    setPlayersMessage('');
+    const { data: deleted, error: deleteError } = await supabase
+      .from('campaign_members')
+      .delete()
+      .eq('campaign_id', campaignId)
+      .eq('user_id', player.userId)
+      .select('user_id');
+    if (deleteError || !deleted?.length) {
+      setPlayersMessage('Failed to remove the player.');
+    } else {
+      setPlayers((prev) => removeRow(prev, player.userId, 'userId'));
+      setPlayersMessage(`Removed ${player.name} from the campaign.`);
     }
+    setPlayersBusy(false);
+  };
 
-    setInventory((prev) => {
-      const next = prev.map((item) => ({ ...item }));
-      const index = next.findIndex((item) => item.name === name);
-      if (index >= 0) {
-        next[index].quantity = quantity;
-      } else {
-        next.push({ name, quantity });
-      }
-      return next;
+  const handleResetPassword = async (player, password) => {
+    setPlayersBusy(true);
+    setPlayersMessage('');
+    const { error: resetError } = await supabase.rpc('reset_player_password', {
+      campaign_id: campaignId,
+      player_id: player.userId,
+      password
     });
-
-    await persistInventory([{ name, quantity }]);
+    setPlayersMessage(resetError ? resetError.message : `Reset the password of ${player.name}.`);
+    setPlayersBusy(false);
+    return !resetError;
   };
 
-  const handleInventoryAdjust = (name, currentQuantity, delta) => {
-    const next = Math.max(0, Number(currentQuantity) + delta);
-    handleInventoryEdit(name, next);
+  const handleSetPlayerActive = async (player, active) => {
+    setPlayersBusy(true);
+    setPlayersMessage('');
+    const { error: activeError } = await supabase.rpc('set_player_active', {
+      campaign_id: campaignId,
+      player_id: player.userId,
+      active
+    });
+    if (activeError) {
+      setPlayersMessage(activeError.message);
+    } else {
+      setPlayers((prev) => mergeRow(prev, { ...player, active }, 'userId'));
+      setPlayersMessage(active ? `Reactivated ${player.name}.` : `Deactivated ${player.name}.`);
+    }
+    setPlayersBusy(false);
   };
 
   const handleSignIn = async (event) => {
@@ -737,19 +2821,92 @@ function IngredientSelector() {
       <section className="panel auth-pill">
         <div className="auth-pill-head">
           <span className="badge">{hasSupabase ? userRole : 'Local'}</span>
+          {!hasSupabase && (
+            <button className="ghost" type="button" onClick={handleResetLocal} disabled={loading}>
+              Reset
+            </button>
+          )}
+          {hasSupabase && session && (
+            <CampaignSwitcher
+              memberships={memberships}
+              campaignId={campaignId}
+              canCopy={Boolean(campaignId) && !loading && !loadError}
+              busy={campaignBusy}
+              onSelect={handleSelectCampaign}
+              onCreate={handleCreateCampaign}
+            />
+          )}
           {hasSupabase && session && (
             <button className="ghost" type="button" onClick={handleSignOut} disabled={authLoading}>
               Log out
             </button>
           )}
         </div>
+        {campaignMessage && <div className="panel-callout">{campaignMessage}</div>}
+        {offline && (
+          <div className="panel-callout">
+            Offline. Crafts and inventory changes are kept on this device and uploaded when
+            you reconnect
+            {syncQueue.length > 0 && ` (${syncQueue.length} waiting)`}.
+          </div>
+        )}
+        {syncReport && (
+          <div className="panel-callout">
+            {describeSyncReport(syncReport)}
+            {syncReport.conflicts.length > 0 && (
+              <ul className="sync-conflicts">
+                {syncReport.conflicts.map((conflict) => (
+                  <li key={conflict.label}>{describeConflict(conflict)}</li>
+                ))}
+              </ul>
+            )}
+            {syncReport.failed?.length > 0 && (
+              <ul className="sync-conflicts">
+                {syncReport.failed.map((failure, index) => (
+                  <li key={`${failure.label}-${index}`}>
+                    {describeFailedChange(failure)}{' '}
+                    <button
+                      className="ghost tiny"
+                      type="button"
+                      onClick={() => handleDropQueuedChange(failure)}
+                    >
+                      Drop
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <button className="ghost tiny" type="button" onClick={() => setSyncReport(null)}>
+              Dismiss
+            </button>
+          </div>
+        )}
+        {hasSupabase && !offline && presentUsers.length > 0 && (
+          <div className="presence-list" aria-label="At the workbench">
+            {presentUsers.map((member) => (
+              <span
+                className={`presence-chip ${member.userId === session?.user?.id ? 'self' : ''}`}
+                key={member.userId}
+                title={`${member.name} (${member.role})`}
+              >
+                <span className="presence-dot" />
+                {member.name || 'Adventurer'}
+              </span>
+            ))}
+          </div>
+        )}
       </section>
 
       <section className="panel workbench">
         <div className="panel-header">
           <div>
             <h2>Workbench</h2>
-            <p className="panel-subtitle">Craft with three ingredients and a discipline.</p>
+            <p className="panel-subtitle">
+              Craft with {minIngredients === maxIngredients
+                ? minIngredients
+                : `${minIngredients} to ${maxIngredients}`}{' '}
+              ingredients, an optional catalyst and a discipline.
+            </p>
           </div>
           <div className="panel-badges">
             <span className="badge">{discipline}</span>
@@ -768,17 +2925,33 @@ function IngredientSelector() {
             <h3>Ingredients</h3>
             <div className="select-grid">
               {selectedNames.map((value, index) => (
-                <label className="select-field" key={`slot-${index}`}>
-                  <span>Slot {index + 1}</span>
+                <div className="select-field" key={`slot-${index}`}>
+                  <span className="slot-label">
+                    Slot {index + 1}
+                    {selectedNames.length > minIngredients && (
+                      <button
+                        className="ghost tiny"
+                        type="button"
+                        onClick={() => handleRemoveSlot(index)}
+                      >
+                        Remove
+                      </button>
+                    )}
+                  </span>
                   <select
                     value={value}
+                    aria-label={`Slot ${index + 1}`}
                     onChange={(event) => handleSelectChange(index, event.target.value)}
                   >
                     <option value="">Choose ingredient</option>
-                    {inventoryRows
-                      .filter((ingredient) => ingredient.quantity > 0)
+                    {workbenchRows
+                      .filter(
+                        (ingredient) => ingredient.quantity > 0 || ingredient.name === value
+                      )
                       .map((ingredient) => {
-                      const alreadyPicked = selectedNames.includes(ingredient.name) && value !== ingredient.name;
+                      const alreadyPicked =
+                        (selectedNames.includes(ingredient.name) && value !== ingredient.name) ||
+                        ingredient.name === catalystName;
                       return (
                         <option
                           key={ingredient.name}
@@ -790,24 +2963,58 @@ function IngredientSelector() {
                       );
                     })}
                   </select>
-                </label>
+                </div>
               ))}
+              <label className="select-field catalyst-field">
+                <span>Catalyst</span>
+                <select
+                  value={catalystName}
+                  onChange={(event) => {
+                    setCatalystName(event.target.value);
+                    setError('');
+                  }}
+                >
+                  <option value="">No catalyst</option>
+                  {workbenchRows
+                    .filter(
+                      (ingredient) =>
+                        isCatalyst(ingredient) &&
+                        (ingredient.quantity > 0 || ingredient.name === catalystName)
+                    )
+                    .map((ingredient) => (
+                      <option
+                        key={ingredient.name}
+                        value={ingredient.name}
+                        disabled={selectedNames.includes(ingredient.name)}
+                      >
+                        {ingredient.name} ({ingredient.quantity} left)
+                      </option>
+                    ))}
+                </select>
+              </label>
+            </div>
+            <div className="button-row">
+              {selectedNames.length < maxIngredients && (
+                <button className="ghost" type="button" onClick={handleAddSlot}>
+                  Add ingredient
+                </button>
+              )}
+              <button className="ghost" type="button" onClick={handleClear}>
+                Clear selection
+              </button>
             </div>
-            <button className="ghost" type="button" onClick={handleClear}>
-              Clear selection
-            </button>
           </div>
 
           <div className="form-block">
             <h3>Discipline</h3>
             <div className="discipline-grid">
-              {DISCIPLINES.map((name) => (
+              {disciplines.map(({ name }) => (
                 <label className="radio-card" key={name}>
                   <input
                     type="radio"
                     name="discipline"
                     value={name}
-                    checked={discipline === name}
+                    checked={activeDiscipline?.name === name}
                     onChange={(event) => {
                       setDiscipline(event.target.value);
                       setResult(null);
@@ -817,7 +3024,14 @@ function IngredientSelector() {
                 </label>
               ))}
             </div>
-            <p className="hint">Tie-breaker: {TIE_RULES[discipline]}</p>
+            {activeDiscipline && (
+              <p className="hint">
+                Tie-breaker: {describeTieBreaker(activeDiscipline)}
+                {activeDiscipline.toolRequirement
+                  ? ` | Requires ${activeDiscipline.toolRequirement}`
+                  : ''}
+              </p>
+            )}
           </div>
         </div>
 
@@ -830,12 +3044,43 @@ function IngredientSelector() {
           ))}
         </div>
 
+        {craftCheck.enabled && (
+          <div className="check-inputs">
+            <label className="select-field">
+              <span>d20 roll</span>
+              <input
+                type="number"
+                min="1"
+                max="20"
+                value={checkRoll}
+                onChange={(event) => setCheckRoll(event.target.value)}
+              />
+            </label>
+            <label className="select-field">
+              <span>Modifier</span>
+              <input
+                type="number"
+                value={checkModifier}
+                onChange={(event) => handleCheckModifierChange(event.target.value)}
+              />
+            </label>
+            <button className="ghost" type="button" onClick={() => setCheckRoll(String(rollD20()))}>
+              Roll d20
+            </button>
+            <p className="hint">
+              Crafting check
+              {activeDiscipline?.toolRequirement ? ` with ${activeDiscipline.toolRequirement}` : ''}
+              : enter your roll or roll here, plus your tool proficiency and ability modifier.
+            </p>
+          </div>
+        )}
+
         <div className="actions">
           <button
             className="primary"
             type="button"
             onClick={handleCraft}
-            disabled={loading || !!loadError}
+            disabled={loading || crafting || !!loadError}
           >
             Craft recipe
           </button>
@@ -849,6 +3094,27 @@ function IngredientSelector() {
             {isTie ? ' (tie-breaker applied)' : ''}
           </div>
         )}
+        {expectedResult?.grade && (
+          <div className="panel-callout">Expected grade: {describeGrade(expectedResult.grade)}</div>
+        )}
+        {activeTraitBonuses.length > 0 && (
+          <div className="panel-callout">
+            Traits: {activeTraitBonuses.map((modifier) => describeTrait(modifier.trait)).join(' | ')}
+          </div>
+        )}
+        {catalyst && catalystPreview && (
+          <div className="panel-callout">
+            {catalyst.name} ({CATALYST_EFFECTS[catalyst.catalyst]}):{' '}
+            {catalystPreview.changes.length
+              ? catalystPreview.changes.join(' | ')
+              : 'no change for this mix'}
+            {catalystPreview.recipeChanged && settings.selectionMode !== 'random'
+              ? ` | Without it: ${
+                  catalystPreview.plainRecipe?.discovered ? catalystPreview.plainRecipe.name : '???'
+                }`
+              : ''}
+          </div>
+        )}
       </section>
 
       <section className="panel inventory-panel">
@@ -858,6 +3124,20 @@ function IngredientSelector() {
             <p className="panel-subtitle">Shared ingredients and their properties.</p>
           </div>
         </div>
+        {grantNotices.length > 0 && (
+          <div className="panel-callout grant-notice">
+            <strong>New ingredients received</strong>
+            {grantNotices.map((grant) => (
+              <p key={grant.id}>
+                {grant.items.map((item) => `${item.quantity}x ${item.name}`).join(', ')}
+                {grant.reason ? ` — ${grant.reason}` : ''}
+              </p>
+            ))}
+            <button className="ghost tiny" type="button" onClick={dismissGrantNotices}>
+              Got it
+            </button>
+          </div>
+        )}
         <div className="inventory-list">
           {inventoryDisplayRows.map((ingredient) => (
             <div
@@ -879,11 +3159,38 @@ function IngredientSelector() {
         </div>
       </section>
 
+      <PouchPanel
+        characters={ownCharacters}
+        activeCharacterId={activeCharacter?.id ?? null}
+        pouchRows={pouchDisplayRows}
+        stashRows={inventoryDisplayRows}
+        canWrite={canWriteInventory}
+        busy={pouchBusy}
+        message={pouchMessage}
+        onSelectCharacter={handleSelectCharacter}
+        onCreateCharacter={handleCreateCharacter}
+        onTransfer={handleTransfer}
+      />
+
+      <SatchelPanel
+        items={craftedItems}
+        canWrite={canWriteInventory}
+        busy={satchelBusy}
+        message={satchelMessage}
+        onUse={handleSatchelUse}
+        onDiscard={handleSatchelDiscard}
+        onHandOver={handleSatchelHandOver}
+        grades={qualityGrades}
+      />
+
       <section className="panel almanac-panel">
         <div className="panel-header">
           <div>
             <h2>Almanac</h2>
-            <p className="panel-subtitle">Known {discipline} recipes by dominant attribute.</p>
+            <p className="panel-subtitle">
+              Known {discipline} recipes by dominant attribute. Rumors show a name, studies the
+              effect as well; only crafting or a full reveal shows how to make it.
+            </p>
           </div>
           <span className="badge">{discipline}</span>
         </div>
@@ -892,23 +3199,51 @@ function IngredientSelector() {
             <div className="almanac-column" key={quality}>
               <h3>{quality}</h3>
               <div className="almanac-slots">
-                {Array.from({ length: 15 }, (_, index) => {
+                {Array.from({ length: slotsPerTier }, (_, index) => {
                   const slot = index + 1;
                   const recipe = almanacEntries[quality]?.[slot];
-                  const isDiscovered = recipe?.discovered;
+                  const discovery = recipeDiscovery(recipe);
+                  const isDiscovered = discovery === 'known';
+                  const showsName = showsRecipeName(recipe);
+                  const stateClass = isDiscovered
+                    ? 'discovered'
+                    : showsName
+                      ? `partial ${discovery}`
+                      : 'unknown';
                   return (
-                    <button
-                      className={`almanac-slot ${isDiscovered ? 'discovered' : 'unknown'} ${getRarityClass(
-                        recipe?.rarity
-                      )}`}
-                      key={`${quality}-${slot}`}
-                      type="button"
-                      disabled={!isDiscovered}
-                      onClick={() => handleAlmanacSelect(recipe)}
-                    >
-                      <span className="slot-index">{slot}</span>
-                      <span className="slot-name">{isDiscovered ? recipe?.name : '???'}</span>
-                    </button>
+                    <div className="almanac-entry" key={`${quality}-${slot}`}>
+                      <button
+                        className={`almanac-slot ${stateClass} ${getRarityClass(recipe?.rarity)}`}
+                        type="button"
+                        disabled={!isDiscovered}
+                        onClick={() => handleAlmanacSelect(recipe)}
+                      >
+                        <span className="slot-index">{slot}</span>
+                        <span className="slot-name">
+                          {showsName ? recipe.name : '???'}
+                          {!isDiscovered && showsRecipeEffect(recipe) && recipe.effect && (
+                            <span className="slot-effect">{recipe.effect}</span>
+                          )}
+                        </span>
+                        {showsName && !isDiscovered && (
+                          <span className="slot-tier">{DISCOVERY_LABELS[discovery]}</span>
+                        )}
+                      </button>
+                      {canEditData && recipe && (
+                        <select
+                          className="slot-discovery"
+                          value={discovery}
+                          title={`What the party knows about ${recipe.name}`}
+                          onChange={(event) => handleSetDiscovery(recipe, event.target.value)}
+                        >
+                          {DISCOVERY_TIERS.map((tier) => (
+                            <option key={tier} value={tier}>
+                              {DISCOVERY_LABELS[tier]}
+                            </option>
+                          ))}
+                        </select>
+                      )}
+                    </div>
                   );
                 })}
               </div>
@@ -917,12 +3252,33 @@ function IngredientSelector() {
         </div>
       </section>
 
+      {disciplines.length > 0 && (
+        <PlannerPanel
+          ingredients={ingredients}
+          recipes={recipes}
+          disciplines={disciplines}
+          stock={availableMap}
+          revealAll={canEditData}
+          onLoadCombination={handleLoadCombination}
+        />
+      )}
+
+      {disciplines.length > 0 && (
+        <OutcomeExplorer
+          ingredients={ingredients}
+          stock={availableMap}
+          recipes={recipes}
+          disciplines={disciplines}
+          onLoadCombination={handleLoadCombination}
+        />
+      )}
+
       {canEditData && (
         <section className="panel dm-panel">
           <div className="panel-header">
             <div>
               <h2>DM Tools</h2>
-              <p className="panel-subtitle">Update campaign data and inventory.</p>
+              <p className="panel-subtitle">Update campaign data, recipes and inventory.</p>
             </div>
             <span className="badge">DM</span>
           </div>
@@ -1021,11 +3377,133 @@ function IngredientSelector() {
               </div>
             </div>
 
-            {dmMessage && <div className="panel-callout">{dmMessage}</div>}
+            <CraftSettingsPanel
+              settings={settings}
+              busy={settingsBusy}
+              craftLog={craftLog}
+              ingredientMap={ingredientMap}
+              recipes={recipes}
+              disciplines={disciplines}
+              onSave={handleSaveSettings}
+            />
+
+            {hasSupabase && (
+              <OfflineRevealsPanel
+                craftLog={craftLog}
+                characters={characters}
+                ingredientMap={ingredientMap}
+                recipes={recipes}
+                disciplines={disciplines}
+                busy={contentBusy}
+                onReview={handleReviewReveal}
+              />
+            )}
+
+            <QualityGradesPanel
+              grades={qualityGrades}
+              busy={settingsBusy}
+              onSave={handleSaveSettings}
+            />
+
+            <CraftCheckPanel
+              check={craftCheck}
+              disciplines={disciplines}
+              busy={settingsBusy}
+              onSave={handleSaveSettings}
+            />
+
+            <ForagePanel ingredients={ingredients} onOfferHaul={handleOfferHaul} />
+
+            <GrantPanel
+              ingredients={inventoryRows}
+              grantName={grantName}
+              rows={grantRows}
+              reason={grantReason}
+              busy={granting}
+              onGrantNameChange={setGrantName}
+              onAddRow={handleGrantAddRow}
+              onUpdateRow={handleGrantUpdateRow}
+              onRemoveRow={handleGrantRemoveRow}
+              onReasonChange={setGrantReason}
+              onSubmit={handleGrantSubmit}
+            />
+
+            <DataHealthPanel issues={dataIssues} onOpen={handleOpenIssue} />
+
+            {disciplines.length > 0 && (
+              <ContentEditor
+                ingredients={ingredients}
+                recipes={recipes}
+                disciplines={disciplines}
+                busy={contentBusy}
+                focus={contentFocus}
+                onSaveIngredient={handleSaveIngredient}
+                onDeleteIngredient={handleDeleteIngredient}
+                onSaveRecipe={handleSaveRecipe}
+                onDeleteRecipe={handleDeleteRecipe}
+              />
+            )}
+
+            <DataTransferPanel
+              ingredients={ingredients}
+              recipes={recipes}
+              inventory={inventory}
+              disciplines={disciplines}
+              busy={contentBusy}
+              onApply={handleApplyImport}
+            />
+
+            {dmMessage && <div className="panel-callout dm-wide">{dmMessage}</div>}
           </div>
         </section>
       )}
 
+      {managesPlayers && (
+        <PlayersPanel
+          players={players}
+          currentUserId={session.user.id}
+          busy={playersBusy}
+          message={playersMessage}
+          onCreatePlayer={handleCreatePlayer}
+          onSetRole={handleSetPlayerRole}
+          onRemovePlayer={handleRemovePlayer}
+          onResetPassword={handleResetPassword}
+          onSetActive={handleSetPlayerActive}
+        />
+      )}
+
+      {canEditData && (
+        <CraftTimeline
+          entries={historyRows}
+          filters={historyFilters}
+          disciplines={disciplines}
+          players={players}
+          characters={characters}
+          loading={historyLoading}
+          limit={CRAFT_HISTORY_LIMIT}
+          message={historyMessage}
+          onFiltersChange={setHistoryFilters}
+        />
+      )}
+
+      {canEditData && (
+        <LedgerPanel
+          rows={ledger}
+          craftLog={craftLog}
+          players={players}
+          characters={characters}
+          busy={ledgerBusy}
+          canUndo={!offline}
+          message={ledgerMessage}
+          onUndo={handleUndoBatch}
+          onRefresh={hasSupabase ? () => setLedgerReloadKey((key) => key + 1) : null}
+        />
+      )}
+
+      {canEditData && disciplines.length > 0 && (
+        <BalanceReport ingredients={ingredients} recipes={recipes} disciplines={disciplines} />
+      )}
+
       {resultModalOpen && result?.recipe && (
         <div className="modal-overlay" onClick={() => setResultModalOpen(false)}>
           <div className="modal-content" onClick={(event) => event.stopPropagation()}>
@@ -1046,12 +3524,41 @@ function IngredientSelector() {
                   {result.recipe.category} | {result.recipe.rarity}
                 </p>
                 <p className="result-effect">{result.recipe.effect}</p>
+                {resultCheck}
                 <div className="result-details">
                   <span>Dominant: {ATTRIBUTE_LABELS[result.dominantAttribute]}</span>
                   <span>
-                    Tier: {result.tierIndex + 1} | Roll: {result.roll + 1}/15
+                    Tier: {result.tierIndex + 1} | Roll: {result.roll + 1}/
+                    {result.slotsPerTier || slotsPerTier}
                   </span>
                 </div>
+                {result.totals && <p className="notice">{describeSelection(result)}</p>}
+                {result.catalystName && (
+                  <p className="notice">Catalyst: {result.catalystName}</p>
+                )}
+                {result.pendingReveal && (
+                  <p className="notice">
+                    A new recipe! It joins the Almanac once you are back online and the DM
+                    confirms it.
+                  </p>
+                )}
+                {resultGrade}
+                {result.modifiers?.length > 0 && (
+                  <div className="result-modifiers">
+                    <h4>Ingredient traits</h4>
+                    <ul>
+                      {result.modifiers.map((modifier, index) => (
+                        <li
+                          className={modifier.applied ? 'applied' : ''}
+                          key={`${modifier.ingredient}-${modifier.trait.name}-${index}`}
+                        >
+                          <strong>{modifier.ingredient}</strong> — {describeTrait(modifier.trait)}
+                          <span className="inventory-meta"> ({describeModifier(modifier)})</span>
+                        </li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
                 {result.usedFallback && (
                   <p className="notice">Recipe list is short, so a fallback recipe was used.</p>
                 )}
@@ -1066,10 +3573,15 @@ function IngredientSelector() {
                   This formula has not been discovered. Crafting it will reveal the recipe in the
                   Almanac.
                 </p>
+                {resultCheck}
                 <div className="result-details">
-                  <span>Slot: {result.roll + 1}/15</span>
+                  <span>
+                    Slot: {result.roll + 1}/{result.slotsPerTier || slotsPerTier}
+                  </span>
                   <span>Dominant: {ATTRIBUTE_LABELS[result.dominantAttribute]}</span>
                 </div>
+                {result.totals && <p className="notice">{describeSelection(result)}</p>}
+                {resultGrade}
               </div>
             )}
           </div>
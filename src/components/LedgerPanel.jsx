@@ -0,0 +1,96 @@
+import React, { useMemo } from 'react';
+import { formatTime } from '../utils/craftHistory';
+import { LEDGER_REASONS, describeLedgerRows, groupLedgerBatches } from '../utils/ledger';
+
+function LedgerPanel({
+  rows,
+  craftLog,
+  players,
+  characters,
+  busy,
+  canUndo,
+  message,
+  onUndo,
+  onRefresh
+}) {
+  const batches = useMemo(() => groupLedgerBatches(rows), [rows]);
+  const playerNames = useMemo(
+    () => new Map(players.map((player) => [player.userId, player.name])),
+    [players]
+  );
+  const characterNames = useMemo(
+    () => new Map(characters.map((character) => [character.id, character.name])),
+    [characters]
+  );
+  const craftsByBatch = useMemo(
+    () =>
+      new Map(
+        craftLog.filter((entry) => entry.ledgerBatch).map((entry) => [entry.ledgerBatch, entry])
+      ),
+    [craftLog]
+  );
+
+  return (
+    <section className="panel ledger-panel">
+      <div className="panel-header">
+        <div>
+          <h2>Inventory Ledger</h2>
+          <p className="panel-subtitle">
+            Every change to the party stash and the pouches. Undo reverses a whole change; for a
+            craft it also takes the item back and hides a recipe the craft revealed. Crafts made
+            offline sync as edits, so undoing one only restores the stock.
+          </p>
+        </div>
+        <div className="panel-badges">
+          {onRefresh && (
+            <button className="ghost" type="button" onClick={onRefresh} disabled={busy}>
+              Refresh
+            </button>
+          )}
+          <span className="badge">DM</span>
+        </div>
+      </div>
+
+      {message && <div className="panel-callout">{message}</div>}
+      {!batches.length && <p className="inventory-meta">No inventory changes recorded yet.</p>}
+
+      <div className="inventory-list">
+        {batches.map((batch) => {
+          const craft = craftsByBatch.get(batch.batch);
+          const actor = batch.actor && (playerNames.get(batch.actor) || 'Unknown player');
+          return (
+            <div
+              className={`inventory-row ledger-row ${batch.undone ? 'undone' : ''}`}
+              key={batch.batch}
+            >
+              <div>
+                <h4>
+                  {LEDGER_REASONS[batch.reason] || batch.reason}
+                  {craft ? ` ${craft.recipeName || 'an unknown recipe'}` : ''}
+                  {batch.note ? `: ${batch.note}` : ''}
+                  {batch.undone ? ' (undone)' : ''}
+                </h4>
+                <p className="inventory-meta">
+                  {new Date(batch.createdAt).toLocaleDateString()} {formatTime(batch.createdAt)}
+                  {actor ? ` | ${actor}` : ''} | {describeLedgerRows(batch.rows, characterNames)}
+                </p>
+              </div>
+              {batch.reason !== 'undo' && (
+                <button
+                  className="ghost tiny"
+                  type="button"
+                  onClick={() => onUndo(batch)}
+                  disabled={busy || !canUndo || batch.undone}
+                >
+                  Undo
+                </button>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </section>
+  );
+}
+
+export default LedgerPanel;
@@ -0,0 +1,73 @@
+import React from 'react';
+import { replayLoggedCraft } from '../utils/calculateResult';
+
+// Offline crafts were resolved in a player's browser, so a recipe one of them found stays
+// hidden until the DM confirms it. Replaying the craft's seed shows whether the claim holds up.
+function OfflineRevealsPanel({
+  craftLog,
+  characters,
+  ingredientMap,
+  recipes,
+  disciplines,
+  busy,
+  onReview
+}) {
+  const pending = craftLog.filter((entry) => entry.revealStatus === 'pending' && !entry.undoneAt);
+
+  const describeReplay = (entry) => {
+    const { replayed, matches } = replayLoggedCraft(entry, ingredientMap, recipes, disciplines);
+    return matches
+      ? 'Replay matches'
+      : `Replay gives slot ${replayed.roll + 1} (${replayed.recipe?.name || 'none'})`;
+  };
+
+  return (
+    <div className="dm-card">
+      <h3>Offline discoveries</h3>
+      {!pending.length && <p className="hint">No offline craft is waiting for a reveal.</p>}
+      {pending.length > 0 && (
+        <div className="craft-rolls">
+          {pending.map((entry) => {
+            const character = characters.find((item) => item.id === entry.characterId);
+            return (
+              <div className="craft-roll-row" key={entry.id}>
+                <div>
+                  <span className="grant-name">
+                    {entry.discipline} {entry.qualityCategory} {entry.recipeNo}:{' '}
+                    {entry.recipeName || 'Unknown'}
+                  </span>
+                  <p className="inventory-meta">
+                    {character ? `${character.name} | ` : ''}
+                    {entry.ingredientNames.join(' + ')}
+                    {entry.catalystName ? ` | catalyst ${entry.catalystName}` : ''}
+                  </p>
+                  <p className="notice">{describeReplay(entry)}</p>
+                </div>
+                <div className="name-actions">
+                  <button
+                    className="ghost tiny"
+                    type="button"
+                    onClick={() => onReview(entry, true)}
+                    disabled={busy}
+                  >
+                    Confirm
+                  </button>
+                  <button
+                    className="ghost tiny"
+                    type="button"
+                    onClick={() => onReview(entry, false)}
+                    disabled={busy}
+                  >
+                    Dismiss
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default OfflineRevealsPanel;
@@ -0,0 +1,92 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { startCombinationJob } from '../lib/combinationWorker';
+import { ATTRIBUTE_LABELS } from '../utils/content';
+import { getRarityClass } from '../utils/rarity';
+
+function OutcomeExplorer({ ingredients, stock, recipes, disciplines, onLoadCombination }) {
+  const [results, setResults] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  const pool = useMemo(
+    () => ingredients.filter((item) => (stock.get(item.name) ?? 0) > 0),
+    [ingredients, stock]
+  );
+  const minIngredients = Math.min(...disciplines.map((rules) => rules.minIngredients));
+
+  useEffect(() => {
+    setProgress({ done: 0, total: disciplines.length });
+    const job = startCombinationJob(
+      'outcomes',
+      { ingredients: pool, recipes, disciplines, stock: [...stock.entries()] },
+      { onProgress: (done, total) => setProgress({ done, total }) }
+    );
+    job.promise
+      .then((nextResults) => setResults(nextResults))
+      .catch(() => setResults(null))
+      .finally(() => setProgress(null));
+    return job.cancel;
+  }, [pool, recipes, disciplines, stock]);
+
+  return (
+    <section className="panel explorer-panel">
+      <div className="panel-header">
+        <div>
+          <h2>What Can We Craft?</h2>
+          <p className="panel-subtitle">
+            Every outcome reachable from the current inventory, by discipline.
+          </p>
+        </div>
+        {progress && (
+          <span className="badge">
+            Exploring {progress.done}/{progress.total}
+          </span>
+        )}
+      </div>
+      {pool.length < minIngredients && (
+        <div className="panel-callout">
+          Stock at least {minIngredients} ingredients to explore outcomes.
+        </div>
+      )}
+      {results && pool.length >= minIngredients && (
+        <div className="explorer-grid">
+          {disciplines.map(({ name }) => (
+            <div className="explorer-column" key={name}>
+              <h3>{name}</h3>
+              {(results[name] || []).map((outcome) => {
+                const { names, catalyst } = outcome.cheapest;
+                const known = outcome.recipe.discovered;
+                const rarityClass = known ? getRarityClass(outcome.recipe.rarity) : 'unknown';
+                return (
+                  <div
+                    className={`explorer-row ${rarityClass}`}
+                    key={outcome.key}
+                  >
+                    <div className="explorer-head">
+                      <strong>{known ? outcome.recipe.name : '???'}</strong>
+                      <span className="inventory-meta">
+                        {ATTRIBUTE_LABELS[outcome.dominantAttribute]}
+                        {known ? ` ${outcome.recipe.recipeNo}` : ''} | {outcome.count} craft
+                        {outcome.count === 1 ? '' : 's'}
+                      </span>
+                    </div>
+                    <button
+                      className="ghost tiny"
+                      type="button"
+                      title="Load the cheapest combination into the workbench"
+                      onClick={() => onLoadCombination(names, name, catalyst)}
+                    >
+                      {names.join(' + ')}
+                      {catalyst ? ` (catalyst ${catalyst})` : ''}
+                    </button>
+                  </div>
+                );
+              })}
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default OutcomeExplorer;
@@ -0,0 +1,154 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { startCombinationJob } from '../lib/combinationWorker';
+import { combinationKey } from '../utils/combinations';
+import { recipeKey } from '../utils/content';
+import { findDiscipline } from '../utils/disciplines';
+import { getRarityClass } from '../utils/rarity';
+
+function PlannerPanel({ ingredients, recipes, disciplines, stock, revealAll, onLoadCombination }) {
+  const [discipline, setDiscipline] = useState(disciplines[0].name);
+  const [targetKey, setTargetKey] = useState('');
+  const [includeUnowned, setIncludeUnowned] = useState(false);
+  const [plan, setPlan] = useState(null);
+  const [searching, setSearching] = useState(false);
+  const jobRef = useRef(null);
+
+  useEffect(() => () => jobRef.current?.cancel(), []);
+
+  const rules = findDiscipline(disciplines, discipline) || disciplines[0];
+  const recipeList = recipes[rules.name] || [];
+  const targets = useMemo(
+    () => recipeList.filter((recipe) => revealAll || recipe.discovered),
+    [recipeList, revealAll]
+  );
+  const target = targets.find((recipe) => recipeKey(recipe) === targetKey) || null;
+
+  const runSearch = () => {
+    if (!target) return;
+    jobRef.current?.cancel();
+    setSearching(true);
+    // Every ingredient count with every catalyst runs to millions of crafts; keep it off the UI.
+    const job = startCombinationJob('plan', {
+      ingredients,
+      recipes: { [rules.name]: recipeList },
+      disciplines: [rules],
+      stock: [...stock.entries()],
+      target,
+      includeUnowned
+    });
+    jobRef.current = job;
+    job.promise
+      .then((results) =>
+        setPlan({ target, discipline: rules.name, includeUnowned, ...results[rules.name] })
+      )
+      .catch(() => setPlan(null))
+      .finally(() => setSearching(false));
+  };
+
+  return (
+    <section className="panel planner-panel">
+      <div className="panel-header">
+        <div>
+          <h2>Recipe Planner</h2>
+          <p className="panel-subtitle">
+            Find ingredient combinations, with or without a catalyst, that brew a known recipe.
+          </p>
+        </div>
+      </div>
+      <div className="planner-controls">
+        <label className="select-field">
+          <span>Discipline</span>
+          <select
+            value={rules.name}
+            onChange={(event) => {
+              setDiscipline(event.target.value);
+              setTargetKey('');
+              setPlan(null);
+            }}
+          >
+            {disciplines.map(({ name }) => (
+              <option key={name} value={name}>
+                {name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="select-field">
+          <span>Target recipe</span>
+          <select value={targetKey} onChange={(event) => setTargetKey(event.target.value)}>
+            <option value="">{targets.length ? 'Choose recipe' : 'No recipes known yet'}</option>
+            {targets.map((recipe) => (
+              <option key={recipeKey(recipe)} value={recipeKey(recipe)}>
+                {recipe.qualityCategory} {recipe.recipeNo}: {recipe.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label className="toggle">
+          <input
+            type="checkbox"
+            checked={includeUnowned}
+            onChange={(event) => setIncludeUnowned(event.target.checked)}
+          />
+          Include ingredients we don&apos;t own
+        </label>
+        <button
+          className="primary"
+          type="button"
+          onClick={runSearch}
+          disabled={!target || searching}
+        >
+          {searching ? 'Searching...' : 'Find combinations'}
+        </button>
+      </div>
+
+      {plan && (
+        <div className="planner-results">
+          <p className="hint">
+            {plan.total
+              ? `${plan.total} of ${plan.searched} combinations brew ${plan.target.name}.`
+              : `None of the ${plan.searched} combinations brew ${plan.target.name}${
+                  plan.includeUnowned ? '.' : ' with what is in stock.'
+                }`}
+            {plan.total > plan.combinations.length
+              ? ` Showing the best ${plan.combinations.length}.`
+              : ''}
+          </p>
+          {plan.combinations.map((combo) => (
+            <div className="planner-row" key={combinationKey(combo)}>
+              <div className="planner-names">
+                {combo.names.map((name) => {
+                  const ingredient = ingredients.find((item) => item.name === name);
+                  return (
+                    <span
+                      className={`planner-chip ${getRarityClass(ingredient?.rarity)} ${
+                        combo.missing.includes(name) ? 'missing' : ''
+                      }`}
+                      key={name}
+                    >
+                      {name}
+                    </span>
+                  );
+                })}
+              </div>
+              <span className="inventory-meta">
+                {combo.catalyst ? `Catalyst ${combo.catalyst} | ` : ''}
+                {combo.totals.potency} / {combo.totals.resonance} / {combo.totals.entropy}
+                {combo.inStock ? ' | In stock' : ` | Missing ${combo.missing.length}`}
+              </span>
+              <button
+                className="ghost tiny"
+                type="button"
+                onClick={() => onLoadCombination(combo.names, plan.discipline, combo.catalyst)}
+              >
+                Load
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </section>
+  );
+}
+
+export default PlannerPanel;
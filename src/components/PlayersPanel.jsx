@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+
+const ROLE_LABELS = { dm: 'DM', party: 'Party' };
+
+function PlayersPanel({
+  players,
+  currentUserId,
+  busy,
+  message,
+  onCreatePlayer,
+  onSetRole,
+  onRemovePlayer,
+  onResetPassword,
+  onSetActive
+}) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [role, setRole] = useState('party');
+  const [resettingId, setResettingId] = useState('');
+  const [passwordDraft, setPasswordDraft] = useState('');
+
+  const createPlayer = async (event) => {
+    event.preventDefault();
+    if (!username.trim()) return;
+    const created = await onCreatePlayer(username, password, role);
+    if (created) {
+      setUsername('');
+      setPassword('');
+    }
+  };
+
+  const resetPassword = async (player) => {
+    const reset = await onResetPassword(player, passwordDraft);
+    if (reset) {
+      setResettingId('');
+      setPasswordDraft('');
+    }
+  };
+
+  return (
+    <section className="panel players-panel">
+      <div className="panel-header">
+        <div>
+          <h2>Players</h2>
+          <p className="panel-subtitle">
+            Accounts in this campaign. Leave the password empty to add back an account this
+            campaign created and later removed.
+          </p>
+        </div>
+        <span className="badge">DM</span>
+      </div>
+
+      <form className="grant-picker" onSubmit={createPlayer}>
+        <label className="select-field">
+          <span>Username</span>
+          <input
+            type="text"
+            value={username}
+            placeholder="hayleeiah"
+            onChange={(event) => setUsername(event.target.value)}
+          />
+        </label>
+        <label className="select-field">
+          <span>Password</span>
+          <input
+            type="password"
+            value={password}
+            autoComplete="new-password"
+            onChange={(event) => setPassword(event.target.value)}
+          />
+        </label>
+        <label className="select-field">
+          <span>Role</span>
+          <select value={role} onChange={(event) => setRole(event.target.value)}>
+            {Object.entries(ROLE_LABELS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+        </label>
+        <button className="primary" type="submit" disabled={busy || !username.trim()}>
+          Add player
+        </button>
+      </form>
+
+      <div className="inventory-list">
+        {players.map((player) => {
+          const isSelf = player.userId === currentUserId;
+          return (
+            <div
+              className={`inventory-row player-row ${player.active ? '' : 'inactive'}`}
+              key={player.userId}
+            >
+              <div>
+                <h4>
+                  {player.name}
+                  {isSelf && ' (you)'}
+                </h4>
+                <p className="inventory-meta">
+                  {player.active ? 'Active' : 'Deactivated'} |{' '}
+                  {player.lastSignInAt
+                    ? `Last seen ${new Date(player.lastSignInAt).toLocaleDateString()}`
+                    : 'Never signed in'}
+                </p>
+                {!isSelf && (
+                  <div className="name-actions">
+                    <button
+                      className="ghost tiny"
+                      type="button"
+                      onClick={() => {
+                        setResettingId(resettingId === player.userId ? '' : player.userId);
+                        setPasswordDraft('');
+                      }}
+                      disabled={busy}
+                    >
+                      Reset password
+                    </button>
+                    <button
+                      className="ghost tiny"
+                      type="button"
+                      onClick={() => onSetActive(player, !player.active)}
+                      disabled={busy}
+                    >
+                      {player.active ? 'Deactivate' : 'Reactivate'}
+                    </button>
+                    <button
+                      className="ghost tiny"
+                      type="button"
+                      onClick={() => onRemovePlayer(player)}
+                      disabled={busy}
+                    >
+                      Remove from campaign
+                    </button>
+                  </div>
+                )}
+                {resettingId === player.userId && (
+                  <div className="name-edit">
+                    <input
+                      type="password"
+                      value={passwordDraft}
+                      placeholder="New password"
+                      autoComplete="new-password"
+                      onChange={(event) => setPasswordDraft(event.target.value)}
+                      onKeyDown={(event) => {
+                        if (event.key === 'Enter') resetPassword(player);
+                      }}
+                    />
+                    <button
+                      className="primary tiny"
+                      type="button"
+                      onClick={() => resetPassword(player)}
+                      disabled={busy || !passwordDraft}
+                    >
+                      Save
+                    </button>
+                  </div>
+                )}
+              </div>
+              <select
+                value={player.role}
+                aria-label={`Role of ${player.name}`}
+                onChange={(event) => onSetRole(player, event.target.value)}
+                disabled={busy || isSelf}
+              >
+                {Object.entries(ROLE_LABELS).map(([value, label]) => (
+                  <option key={value} value={value}>
+                    {label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          );
+        })}
+      </div>
+
+      {message && <div className="panel-callout">{message}</div>}
+    </section>
+  );
+}
+
+export default PlayersPanel;
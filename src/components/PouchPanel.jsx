@@ -0,0 +1,175 @@
+import React, { useState } from 'react';
+import { getRarityClass } from '../utils/rarity';
+
+function PouchPanel({
+  characters,
+  activeCharacterId,
+  pouchRows,
+  stashRows,
+  canWrite,
+  busy,
+  message,
+  onSelectCharacter,
+  onCreateCharacter,
+  onTransfer
+}) {
+  const [characterDraft, setCharacterDraft] = useState('');
+  const [takeName, setTakeName] = useState('');
+  const [takeQuantity, setTakeQuantity] = useState(1);
+
+  const activeCharacter = characters.find((character) => character.id === activeCharacterId);
+  const visibleRows = pouchRows.filter((row) => row.quantity > 0);
+  const stashQuantity = stashRows.find((row) => row.name === takeName)?.quantity ?? 0;
+
+  const createCharacter = async () => {
+    const name = characterDraft.trim();
+    if (!name) return;
+    const created = await onCreateCharacter(name);
+    if (created) setCharacterDraft('');
+  };
+
+  const take = async () => {
+    const amount = Math.min(stashQuantity, Math.max(1, Number(takeQuantity) || 1));
+    if (!takeName || amount <= 0) return;
+    const moved = await onTransfer(takeName, amount);
+    if (moved) setTakeQuantity(1);
+  };
+
+  return (
+    <section className="panel pouch-panel">
+      <div className="panel-header">
+        <div>
+          <h2>Pouch</h2>
+          <p className="panel-subtitle">
+            Your character&apos;s own ingredients. Crafting uses the pouch first, then the party
+            stash.
+          </p>
+        </div>
+      </div>
+
+      <div className="grant-picker">
+        <label className="select-field">
+          <span>Character</span>
+          <select
+            value={activeCharacterId ?? ''}
+            onChange={(event) => onSelectCharacter(event.target.value)}
+          >
+            <option value="">Party stash only</option>
+            {characters.map((character) => (
+              <option key={character.id} value={character.id}>
+                {character.name}
+              </option>
+            ))}
+          </select>
+        </label>
+        {canWrite && (
+          <>
+            <label className="select-field">
+              <span>New character</span>
+              <input
+                type="text"
+                value={characterDraft}
+                placeholder="Hayleeiah"
+                onChange={(event) => setCharacterDraft(event.target.value)}
+                onKeyDown={(event) => {
+                  if (event.key === 'Enter') createCharacter();
+                }}
+              />
+            </label>
+            <button
+              className="ghost"
+              type="button"
+              onClick={createCharacter}
+              disabled={busy || !characterDraft.trim()}
+            >
+              Create
+            </button>
+          </>
+        )}
+      </div>
+
+      {!activeCharacter && (
+        <div className="panel-callout">Pick a character to carry a pouch of your own.</div>
+      )}
+
+      {activeCharacter && (
+        <>
+          {!visibleRows.length && (
+            <div className="panel-callout">{activeCharacter.name}&apos;s pouch is empty.</div>
+          )}
+          <div className="inventory-list">
+            {visibleRows.map((row) => (
+              <div className={`inventory-row ${getRarityClass(row.rarity)}`} key={row.key}>
+                <div>
+                  <h4>{row.name}</h4>
+                  <p className="inventory-meta">
+                    {row.rarity} | {row.source}
+                  </p>
+                  {canWrite && (
+                    <div className="name-actions">
+                      <button
+                        className="ghost tiny"
+                        type="button"
+                        onClick={() => onTransfer(row.name, -1)}
+                        disabled={busy}
+                      >
+                        Return one
+                      </button>
+                      <button
+                        className="ghost tiny"
+                        type="button"
+                        onClick={() => onTransfer(row.name, -row.quantity)}
+                        disabled={busy}
+                      >
+                        Return all
+                      </button>
+                    </div>
+                  )}
+                </div>
+                <div className="inventory-qty">x{row.quantity}</div>
+              </div>
+            ))}
+          </div>
+
+          {canWrite && (
+            <div className="grant-picker">
+              <label className="select-field">
+                <span>Take from stash</span>
+                <select value={takeName} onChange={(event) => setTakeName(event.target.value)}>
+                  <option value="">Choose ingredient</option>
+                  {stashRows.map((row) => (
+                    <option key={row.name} value={row.name}>
+                      {row.name} ({row.quantity} in stash)
+                    </option>
+                  ))}
+                </select>
+              </label>
+              <label className="select-field">
+                <span>Qty</span>
+                <input
+                  type="number"
+                  min="1"
+                  max={stashQuantity || undefined}
+                  value={takeQuantity}
+                  onChange={(event) => setTakeQuantity(event.target.value)}
+                />
+              </label>
+              <button
+                className="ghost"
+                type="button"
+                onClick={take}
+                disabled={busy || !takeName || stashQuantity <= 0}
+              >
+                Take
+              </button>
+            </div>
+          )}
+        </>
+      )}
+
+      {message && <div className="panel-callout">{message}</div>}
+    </section>
+  );
+}
+
+export default PouchPanel;
@@ -0,0 +1,133 @@
+import React, { useEffect, useState } from 'react';
+import {
+  describeGradeEffects,
+  normalizeQualityGrade,
+  normalizeQualityGrades
+} from '../utils/grades';
+
+const NEW_GRADE = {
+  name: '',
+  minMargin: 0,
+  minTotal: 0,
+  extraDice: '',
+  durationMultiplier: 1,
+  saveDcBonus: 0,
+  notes: ''
+};
+
+function QualityGradesPanel({ grades, busy, onSave }) {
+  const [drafts, setDrafts] = useState(grades);
+
+  useEffect(() => {
+    setDrafts(grades);
+  }, [grades]);
+
+  const updateDraft = (index, field, value) => {
+    setDrafts((prev) =>
+      prev.map((grade, position) => (position === index ? { ...grade, [field]: value } : grade))
+    );
+  };
+
+  const normalized = normalizeQualityGrades(drafts);
+
+  return (
+    <div className="dm-card">
+      <h3>Quality grades</h3>
+      <p className="hint">
+        Lowest grade first. A brew earns the last grade whose margin (dominant total minus the
+        runner-up) and total (all three summed) it meets.
+      </p>
+      <div className="grade-list">
+        {drafts.map((grade, index) => (
+          <div className="trait-row" key={`grade-${index}`}>
+            <input
+              type="text"
+              value={grade.name}
+              placeholder="Fine"
+              aria-label="Grade name"
+              onChange={(event) => updateDraft(index, 'name', event.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              value={grade.minMargin}
+              aria-label="Minimum margin"
+              title="Minimum margin"
+              onChange={(event) => updateDraft(index, 'minMargin', event.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              value={grade.minTotal}
+              aria-label="Minimum total"
+              title="Minimum total"
+              onChange={(event) => updateDraft(index, 'minTotal', event.target.value)}
+            />
+            <input
+              type="text"
+              value={grade.extraDice}
+              placeholder="Extra dice (1d4)"
+              aria-label="Extra dice"
+              onChange={(event) => updateDraft(index, 'extraDice', event.target.value)}
+            />
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={grade.durationMultiplier}
+              aria-label="Duration multiplier"
+              title="Duration multiplier"
+              onChange={(event) => updateDraft(index, 'durationMultiplier', event.target.value)}
+            />
+            <input
+              type="number"
+              value={grade.saveDcBonus}
+              aria-label="Save DC bonus"
+              title="Save DC bonus"
+              onChange={(event) => updateDraft(index, 'saveDcBonus', event.target.value)}
+            />
+            <input
+              type="text"
+              value={grade.notes}
+              placeholder="Notes"
+              aria-label="Grade notes"
+              onChange={(event) => updateDraft(index, 'notes', event.target.value)}
+            />
+            <button
+              className="ghost tiny"
+              type="button"
+              onClick={() => setDrafts((prev) => prev.filter((_, position) => position !== index))}
+            >
+              Remove
+            </button>
+            {grade.name && (
+              <p className="hint">
+                Margin {grade.minMargin}+ and total {grade.minTotal}+:{' '}
+                {describeGradeEffects(normalizeQualityGrade(grade)).join(', ') || 'no extra effects'}
+              </p>
+            )}
+          </div>
+        ))}
+      </div>
+      <div className="button-row">
+        <button
+          className="ghost"
+          type="button"
+          onClick={() => setDrafts((prev) => [...prev, { ...NEW_GRADE }])}
+        >
+          Add grade
+        </button>
+        <button
+          className="primary"
+          type="button"
+          disabled={busy || !normalized.length}
+          onClick={() => onSave({ qualityGrades: normalized }, 'Quality grades saved.')}
+        >
+          Save grades
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default QualityGradesPanel;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { describeGradeEffects, findQualityGrade } from '../utils/grades';
+import { getRarityClass } from '../utils/rarity';
+
+function SatchelPanel({ items, grades, canWrite, busy, message, onUse, onDiscard, onHandOver }) {
+  const [handOverId, setHandOverId] = useState(null);
+  const [holderDraft, setHolderDraft] = useState('');
+
+  const visibleItems = items
+    .filter((item) => item.quantity > 0)
+    .sort((a, b) => a.holder.localeCompare(b.holder) || a.name.localeCompare(b.name));
+
+  // Grade effects come from the campaign's current grade table, looked up by name.
+  const renderGradeEffects = (item) => {
+    const effects = item.grade ? describeGradeEffects(findQualityGrade(grades, item.grade)) : [];
+    return effects.length ? <p className="inventory-meta">{effects.join(' | ')}</p> : null;
+  };
+
+  // Trait outcomes are rolled when the item is brewed and stay with its stack.
+  const renderTraitEffects = (item) => {
+    const effects = [];
+    if (item.durationMultiplier !== 1) {
+      effects.push(`Traits: duration ×${item.durationMultiplier}`);
+    }
+    if (item.sideEffects) effects.push(`Side-effects: ${item.sideEffects}`);
+    return effects.length ? <p className="inventory-meta">{effects.join(' | ')}</p> : null;
+  };
+
+  const startHandOver = (item) => {
+    setHandOverId(item.id);
+    setHolderDraft('');
+  };
+
+  const cancelHandOver = () => {
+    setHandOverId(null);
+    setHolderDraft('');
+  };
+
+  const submitHandOver = async (item) => {
+    const holder = holderDraft.trim();
+    if (!holder) return;
+    const handled = await onHandOver(item, holder);
+    if (handled) cancelHandOver();
+  };
+
+  return (
+    <section className="panel satchel-panel">
+      <div className="panel-header">
+        <div>
+          <h2>Satchel</h2>
+          <p className="panel-subtitle">Crafted items carried by the party.</p>
+        </div>
+      </div>
+      {!visibleItems.length && (
+        <div className="panel-callout">Nothing brewed yet. Crafted items will land here.</div>
+      )}
+      <div className="inventory-list">
+        {visibleItems.map((item) => (
+          <div className={`inventory-row satchel-row ${getRarityClass(item.rarity)}`} key={item.id}>
+            <div className="satchel-body">
+              <h4>{item.name}</h4>
+              <p className="inventory-meta">
+                {item.rarity || 'Unknown'} | {item.discipline}
+                {item.grade ? ` | ${item.grade}` : ''} | Held by {item.holder}
+              </p>
+              {item.effect && <p className="satchel-effect">{item.effect}</p>}
+              {renderGradeEffects(item)}
+              {renderTraitEffects(item)}
+              {canWrite && handOverId === item.id ? (
+                <div className="name-edit">
+                  <input
+                    type="text"
+                    value={holderDraft}
+                    placeholder="Hand to..."
+                    onChange={(event) => setHolderDraft(event.target.value)}
+                    onKeyDown={(event) => {
+                      if (event.key === 'Enter') {
+                        submitHandOver(item);
+                      }
+                      if (event.key === 'Escape') {
+                        cancelHandOver();
+                      }
+                    }}
+                    autoFocus
+                  />
+                  <div className="name-actions">
+                    <button
+                      className="ghost tiny"
+                      type="button"
+                      onClick={() => submitHandOver(item)}
+                      disabled={busy || !holderDraft.trim()}
+                    >
+                      Give one
+                    </button>
+                    <button className="ghost tiny" type="button" onClick={cancelHandOver}>
+                      Cancel
+                    </button>
+                  </div>
+                </div>
+              ) : (
+                canWrite && (
+                  <div className="name-actions">
+                    <button
+                      className="ghost tiny"
+                      type="button"
+                      onClick={() => onUse(item)}
+                      disabled={busy}
+                    >
+                      Use
+                    </button>
+                    <button
+                      className="ghost tiny"
+                      type="button"
+                      onClick={() => startHandOver(item)}
+                      disabled={busy}
+                    >
+                      Hand over
+                    </button>
+                    <button
+                      className="ghost tiny"
+                      type="button"
+                      onClick={() => onDiscard(item)}
+                      disabled={busy}
+                    >
+                      Discard
+                    </button>
+                  </div>
+                )
+              )}
+            </div>
+            <div className="inventory-qty">x{item.quantity}</div>
+          </div>
+        ))}
+      </div>
+      {message && <div className="panel-callout">{message}</div>}
+    </section>
+  );
+}
+
+export default SatchelPanel;
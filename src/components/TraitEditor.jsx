@@ -0,0 +1,123 @@
+import React from 'react';
+import { ATTRIBUTE_KEYS, ATTRIBUTE_LABELS } from '../utils/content';
+import { TRAIT_EFFECTS, describeTrait, normalizeTrait } from '../utils/traits';
+
+const NEW_TRAIT = { name: '', effect: 'attribute_bonus', attribute: 'potency', amount: 1 };
+
+function TraitEditor({ traits, onChange }) {
+  const updateTrait = (index, field, value) => {
+    onChange(
+      traits.map((trait, position) => {
+        if (position !== index) return trait;
+        // Switching effect resets the effect-specific fields to that effect's defaults.
+        return field === 'effect'
+          ? normalizeTrait({ name: trait.name, effect: value })
+          : { ...trait, [field]: value };
+      })
+    );
+  };
+
+  return (
+    <div className="trait-editor">
+      <span className="trait-editor-label">Traits</span>
+      {traits.map((trait, index) => (
+        <div className="trait-row" key={`trait-${index}`}>
+          <input
+            type="text"
+            value={trait.name}
+            placeholder="Volatile"
+            aria-label="Trait name"
+            onChange={(event) => updateTrait(index, 'name', event.target.value)}
+          />
+          <select
+            value={trait.effect}
+            aria-label="Trait effect"
+            onChange={(event) => updateTrait(index, 'effect', event.target.value)}
+          >
+            {Object.entries(TRAIT_EFFECTS).map(([value, label]) => (
+              <option key={value} value={value}>
+                {label}
+              </option>
+            ))}
+          </select>
+          {trait.effect === 'attribute_bonus' && (
+            <>
+              <input
+                type="number"
+                value={trait.amount}
+                aria-label="Bonus amount"
+                onChange={(event) => updateTrait(index, 'amount', event.target.value)}
+              />
+              <select
+                value={trait.attribute}
+                aria-label="Bonus attribute"
+                onChange={(event) => updateTrait(index, 'attribute', event.target.value)}
+              >
+                {ATTRIBUTE_KEYS.map((key) => (
+                  <option key={key} value={key}>
+                    {ATTRIBUTE_LABELS[key]}
+                  </option>
+                ))}
+              </select>
+              <input
+                type="text"
+                value={trait.pairedWith || ''}
+                placeholder="Paired with (e.g. Elemental)"
+                aria-label="Paired with"
+                onChange={(event) => updateTrait(index, 'pairedWith', event.target.value)}
+              />
+            </>
+          )}
+          {trait.effect === 'duration_multiplier' && (
+            <input
+              type="number"
+              min="0"
+              step="0.5"
+              value={trait.multiplier}
+              aria-label="Duration multiplier"
+              onChange={(event) => updateTrait(index, 'multiplier', event.target.value)}
+            />
+          )}
+          {trait.effect === 'side_effect' && (
+            <>
+              <input
+                type="number"
+                min="0"
+                max="100"
+                value={Math.round(Number(trait.chance) * 100)}
+                aria-label="Side-effect chance (%)"
+                onChange={(event) =>
+                  updateTrait(index, 'chance', Number(event.target.value) / 100)
+                }
+              />
+              <input
+                type="text"
+                value={trait.description || ''}
+                placeholder="What happens"
+                aria-label="Side-effect"
+                onChange={(event) => updateTrait(index, 'description', event.target.value)}
+              />
+            </>
+          )}
+          <button
+            className="ghost tiny"
+            type="button"
+            onClick={() => onChange(traits.filter((_, position) => position !== index))}
+          >
+            Remove
+          </button>
+          {trait.name && <p className="hint">{describeTrait(normalizeTrait(trait))}</p>}
+        </div>
+      ))}
+      <button
+        className="ghost tiny"
+        type="button"
+        onClick={() => onChange([...traits, { ...NEW_TRAIT }])}
+      >
+        Add trait
+      </button>
+    </div>
+  );
+}
+
+export default TraitEditor;
@@ -0,0 +1,59 @@
+import { runCombinationTask } from '../utils/combinationTasks';
+
+// Starts a combination task in a Web Worker, falling back to the main thread.
+// Returns { promise, cancel }; a cancelled job never resolves.
+
+const createWorker = () => {
+  if (typeof Worker === 'undefined') return null;
+  try {
+    return new Worker(new URL('../workers/combinations.worker.js', import.meta.url), {
+      type: 'module'
+    });
+  } catch (err) {
+    return null;
+  }
+};
+
+export function startCombinationJob(task, payload, { onProgress } = {}) {
+  const worker = createWorker();
+  let cancelled = false;
+  let timer = null;
+
+  const promise = new Promise((resolve, reject) => {
+    if (!worker) {
+      timer = window.setTimeout(() => {
+        try {
+          const results = runCombinationTask(task, payload, onProgress);
+          if (!cancelled) resolve(results);
+        } catch (err) {
+          if (!cancelled) reject(err);
+        }
+      }, 0);
+      return;
+    }
+
+    worker.onmessage = (event) => {
+      if (cancelled) return;
+      if (event.data.type === 'progress') {
+        onProgress?.(event.data.done, event.data.total);
+      } else if (event.data.type === 'done') {
+        worker.terminate();
+        resolve(event.data.results);
+      }
+    };
+    worker.onerror = (event) => {
+      worker.terminate();
+      if (!cancelled) reject(new Error(event.message || 'Combination worker failed.'));
+    };
+    worker.postMessage({ task, payload });
+  });
+
+  return {
+    promise,
+    cancel: () => {
+      cancelled = true;
+      if (timer) window.clearTimeout(timer);
+      worker?.terminate();
+    }
+  };
+}
@@ -0,0 +1,13 @@
+// Browser download of generated text files (CSV and JSON exports).
+
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
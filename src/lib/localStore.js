@@ -0,0 +1,46 @@
+// Browser storage for local mode, used when Supabase is not configured.
+
+const STORAGE_PREFIX = 'hayleeiah-crafting';
+
+const storageKey = (key) => `${STORAGE_PREFIX}:${key}`;
+
+const getStorage = () => {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+export function loadLocal(key, fallback = null) {
+  const storage = getStorage();
+  if (!storage) return fallback;
+  try {
+    const raw = storage.getItem(storageKey(key));
+    return raw === null ? fallback : JSON.parse(raw);
+  } catch (err) {
+    return fallback;
+  }
+}
+
+export function saveLocal(key, value) {
+  const storage = getStorage();
+  if (!storage) return false;
+  try {
+    storage.setItem(storageKey(key), JSON.stringify(value));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+export function removeLocal(key) {
+  const storage = getStorage();
+  if (!storage) return false;
+  try {
+    storage.removeItem(storageKey(key));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
@@ -0,0 +1,65 @@
+import { loadLocal, removeLocal, saveLocal } from './localStore';
+
+// IndexedDB storage for the offline workbench: local mode's saved state, the last copy of each
+// Supabase campaign and the queue of changes waiting to sync. Falls back to localStorage when
+// IndexedDB is unavailable (e.g. some private windows).
+
+const DB_NAME = 'hayleeiah-crafting';
+const DB_VERSION = 1;
+const STORE_NAME = 'workbench';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => resolve(null);
+      request.onblocked = () => resolve(null);
+    });
+  }
+  return dbPromise;
+};
+
+const runRequest = (db, mode, makeRequest) =>
+  new Promise((resolve, reject) => {
+    const request = makeRequest(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+export async function loadOffline(key, fallback = null) {
+  const db = await openDb();
+  if (!db) return loadLocal(`offline:${key}`, fallback);
+  try {
+    const value = await runRequest(db, 'readonly', (store) => store.get(key));
+    return value === undefined ? fallback : value;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+export async function saveOffline(key, value) {
+  const db = await openDb();
+  if (!db) return saveLocal(`offline:${key}`, value);
+  try {
+    await runRequest(db, 'readwrite', (store) => store.put(value, key));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+export async function removeOffline(key) {
+  const db = await openDb();
+  if (!db) return removeLocal(`offline:${key}`);
+  try {
+    await runRequest(db, 'readwrite', (store) => store.delete(key));
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
@@ -0,0 +1,133 @@
+import { supabase } from './supabaseClient';
+import { describeQueuedChange, resolveQueuedQuantity } from '../utils/syncQueue';
+
+// Replays the offline queue (src/utils/syncQueue.js) against Supabase once a session is back.
+
+export const isNetworkError = (error) =>
+  (typeof navigator !== 'undefined' && navigator.onLine === false) ||
+  /fetch|network/i.test(error?.message || '');
+
+const check = ({ data, error }) => {
+  if (error) throw error;
+  return data;
+};
+
+const replayQuantity = async (campaignId, entry, table, match, write) => {
+  let query = supabase.from(table).select('quantity').eq('campaign_id', campaignId);
+  Object.entries(match).forEach(([column, value]) => {
+    query = query.eq(column, value);
+  });
+  const current = check(await query.maybeSingle());
+  const { quantity, conflict } = resolveQueuedQuantity(entry, current?.quantity);
+  check(await write(quantity));
+  return conflict;
+};
+
+const replayEntry = async (campaignId, entry) => {
+  switch (entry.type) {
+    case 'inventory':
+      return replayQuantity(campaignId, entry, 'inventory', { name: entry.name }, (quantity) =>
+        supabase
+          .from('inventory')
+          .upsert(
+            { campaign_id: campaignId, name: entry.name, quantity },
+            { onConflict: 'campaign_id,name' }
+          )
+      );
+    case 'pouch':
+      return replayQuantity(
+        campaignId,
+        entry,
+        'character_inventory',
+        { character_id: entry.characterId, name: entry.name },
+        (quantity) =>
+          supabase.from('character_inventory').upsert(
+            {
+              campaign_id: campaignId,
+              character_id: entry.characterId,
+              name: entry.name,
+              quantity
+            },
+            { onConflict: 'character_id,name' }
+          )
+      );
+    case 'crafted_item': {
+      const match = {
+        discipline: entry.discipline,
+        name: entry.name,
+        grade: entry.grade,
+        duration_multiplier: entry.durationMultiplier ?? 1,
+        side_effects: entry.sideEffects || ''
+      };
+      // Holders match whatever their case, like the crafted_items unique index.
+      const existing = check(
+        await supabase
+          .from('crafted_items')
+          .select('id, quantity')
+          .eq('campaign_id', campaignId)
+          .match(match)
+          .ilike('holder', entry.holder.replace(/[\\%_]/g, '\\$&'))
+          .maybeSingle()
+      );
+      const { quantity, conflict } = resolveQueuedQuantity(entry, existing?.quantity);
+      if (existing) {
+        check(
+          await supabase
+            .from('crafted_items')
+            .update({ quantity, updated_at: new Date().toISOString() })
+            .eq('id', existing.id)
+        );
+      } else if (quantity > 0) {
+        check(
+          await supabase.from('crafted_items').insert({
+            ...match,
+            holder: entry.holder,
+            campaign_id: campaignId,
+            quality_category: entry.qualityCategory,
+            recipe_no: entry.recipeNo,
+            rarity: entry.rarity,
+            effect: entry.effect,
+            quantity
+          })
+        );
+      }
+      return conflict;
+    }
+    case 'craft_log':
+      check(await supabase.from('craft_log').insert({ ...entry.row, campaign_id: campaignId }));
+      return null;
+    default:
+      return null;
+  }
+};
+
+// Entries are replayed in order. If the network goes away, everything from there on stays
+// queued. An entry the server rejects (say, a stash count for an ingredient the DM has renamed
+// since) stays queued too, but is reported as failed so the user can see it and drop it.
+export async function replayQueue(campaignId, queue = []) {
+  const conflicts = [];
+  const failed = [];
+  const remaining = [];
+  let applied = 0;
+  let offline = false;
+
+  for (const entry of queue) {
+    if (offline) {
+      remaining.push(entry);
+      continue;
+    }
+    try {
+      const conflict = await replayEntry(campaignId, entry);
+      if (conflict) conflicts.push(conflict);
+      applied += 1;
+    } catch (err) {
+      remaining.push(entry);
+      offline = isNetworkError(err);
+      if (!offline) {
+        failed.push({ entry, label: describeQueuedChange(entry), message: err?.message || '' });
+      }
+    }
+  }
+
+  return { applied, conflicts, failed, remaining };
+}
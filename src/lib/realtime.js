@@ -0,0 +1,71 @@
+import { supabase } from './supabaseClient';
+
+// Live updates for the shared workbench tables plus presence of who is signed in,
+// one channel per campaign.
+
+const WORKBENCH_CHANNEL = 'workbench';
+const SYNCED_TABLES = [
+  'ingredients',
+  'inventory',
+  'recipes',
+  'crafted_items',
+  'disciplines',
+  'characters',
+  'character_inventory'
+];
+
+export function subscribeToWorkbench({ campaignId, presence, onChange, onPresence }) {
+  if (!supabase || !campaignId) return () => {};
+
+  const channel = supabase.channel(`${WORKBENCH_CHANNEL}:${campaignId}`, {
+    config: { presence: { key: presence?.userId || 'anonymous' } }
+  });
+
+  // Filtered here rather than on the server: Postgres delete events cannot be filtered and
+  // only carry the old row's key, which for id-keyed tables has no campaign_id.
+  SYNCED_TABLES.forEach((table) => {
+    channel.on('postgres_changes', { event: '*', schema: 'public', table }, (payload) => {
+      const row = payload.new || {};
+      const oldRow = payload.old || {};
+      const rowCampaign = row.campaign_id ?? oldRow.campaign_id;
+      if (rowCampaign !== undefined && String(rowCampaign) !== String(campaignId)) return;
+      onChange?.(table, payload.eventType, row, oldRow);
+    });
+  });
+
+  channel.on('presence', { event: 'sync' }, () => {
+    const state = channel.presenceState();
+    const members = Object.values(state)
+      .map((entries) => entries[0])
+      .filter(Boolean)
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+    onPresence?.(members);
+  });
+
+  channel.subscribe(async (status) => {
+    if (status === 'SUBSCRIBED' && presence) {
+      await channel.track({
+        userId: presence.userId,
+        name: presence.name,
+        role: presence.role,
+        onlineAt: new Date().toISOString()
+      });
+    }
+  });
+
+  return () => {
+    supabase.removeChannel(channel);
+  };
+}
+
+export function mergeRow(list, row, key = 'name') {
+  const index = list.findIndex((item) => item[key] === row[key]);
+  if (index < 0) return [...list, row];
+  const next = [...list];
+  next[index] = { ...next[index], ...row };
+  return next;
+}
+
+export function removeRow(list, value, key = 'name') {
+  return list.filter((item) => item[key] !== value);
+}
@@ -0,0 +1,99 @@
+// Balance analysis: how every craft a discipline allows (each ingredient count from its minimum
+// to its maximum, with and without each catalyst) lands on that discipline's recipes.
+
+import { forEachCraft } from './combinations';
+import { ATTRIBUTE_KEYS, recipeKey } from './content';
+
+// A recipe counts as tie-breaker driven when at least this share of its hits needed one.
+export const TIE_DRIVEN_SHARE = 0.5;
+
+const hasTie = (totals) => {
+  const values = Object.values(totals);
+  const maxValue = Math.max(...values);
+  return values.filter((value) => value === maxValue).length > 1;
+};
+
+export function analyzeBalance(ingredients, recipes, discipline) {
+  const grid = {};
+  ATTRIBUTE_KEYS.forEach((key) => {
+    grid[key] = Array.from({ length: discipline.slotsPerTier }, () => 0);
+  });
+  const hits = new Map(recipes.map((recipe) => [recipeKey(recipe), { total: 0, tie: 0 }]));
+  let total = 0;
+  let tieTotal = 0;
+  let fallbackTotal = 0;
+  // Crafts that land on the same totals share one outcome, so tally those and weigh them after.
+  const counts = new Map();
+  forEachCraft(ingredients, recipes, discipline, (combo, catalyst, craft) => {
+    counts.set(craft, (counts.get(craft) || 0) + 1);
+  });
+
+  counts.forEach((count, { totals, dominantAttribute, recipe, roll, usedFallback }) => {
+    const tied = hasTie(totals);
+
+    total += count;
+    if (tied) tieTotal += count;
+    if (usedFallback) fallbackTotal += count;
+    if (grid[dominantAttribute]) grid[dominantAttribute][roll] += count;
+
+    const entry = recipe ? hits.get(recipeKey(recipe)) : null;
+    if (entry) {
+      entry.total += count;
+      if (tied) entry.tie += count;
+    }
+  });
+
+  const recipeRows = recipes.map((recipe) => {
+    const entry = hits.get(recipeKey(recipe)) || { total: 0, tie: 0 };
+    return {
+      key: recipeKey(recipe),
+      name: recipe.name,
+      qualityCategory: recipe.qualityCategory,
+      recipeNo: recipe.recipeNo,
+      hits: entry.total,
+      tieHits: entry.tie,
+      share: total ? entry.total / total : 0,
+      unreachable: entry.total === 0,
+      tieDriven: entry.total > 0 && entry.tie / entry.total >= TIE_DRIVEN_SHARE
+    };
+  });
+
+  return {
+    discipline: discipline.name,
+    slotsPerTier: discipline.slotsPerTier,
+    total,
+    tieTotal,
+    fallbackTotal,
+    grid,
+    maxCell: Math.max(0, ...ATTRIBUTE_KEYS.flatMap((key) => grid[key])),
+    recipes: recipeRows
+  };
+}
+
+export const BALANCE_CSV_COLUMNS = [
+  'discipline',
+  'quality_category',
+  'recipe_no',
+  'name',
+  'combinations',
+  'tie_breaker_combinations',
+  'share',
+  'flags'
+];
+
+export function balanceReportRows(reports) {
+  return reports.flatMap((report) =>
+    report.recipes.map((row) => ({
+      discipline: report.discipline,
+      quality_category: row.qualityCategory,
+      recipe_no: row.recipeNo,
+      name: row.name,
+      combinations: row.hits,
+      tie_breaker_combinations: row.tieHits,
+      share: row.share.toFixed(4),
+      flags: [row.unreachable && 'unreachable', row.tieDriven && 'tie-breaker driven']
+        .filter(Boolean)
+        .join('; ')
+    }))
+  );
+}
@@ -1,15 +1,23 @@
 // Core crafting math for totals, tie-breaking, and recipe selection.
 
-const PRIORITY_MATRIX = {
-  Herbalism: ['resonance', 'entropy', 'potency'],
-  Alchemy: ['potency', 'resonance', 'entropy'],
-  Poison: ['entropy', 'potency', 'resonance']
-};
+import { applyCatalystRules, applyCatalystTotals } from './catalysts';
+import { SLOTS_PER_TIER } from './content';
+import { findDiscipline } from './disciplines';
+import { resolveQualityGrade } from './grades';
+import { createRng, generateSeed } from './rng';
+import { hasChanceTraits, rollTraitOutcomes, sumTraitBonuses } from './traits';
 
 const ATTRIBUTE_ORDER = ['potency', 'resonance', 'entropy'];
 
-export function calculateTotals(ingredients = []) {
-  return ingredients.reduce(
+export const SELECTION_MODES = {
+  deterministic: 'Deterministic',
+  random: 'Random',
+  window: 'Random within ±N'
+};
+
+// Trait bonuses are added to the sum; a catalyst adds nothing itself but reshapes the result.
+export function calculateTotals(ingredients = [], catalyst = null, bonus = null) {
+  const totals = ingredients.reduce(
     (acc, ingredient) => {
       acc.potency += ingredient?.potency ?? 0;
       acc.resonance += ingredient?.resonance ?? 0;
@@ -18,8 +26,15 @@ export function calculateTotals(ingredients = []) {
     },
     { potency: 0, resonance: 0, entropy: 0 }
   );
+  if (bonus) {
+    Object.keys(totals).forEach((key) => {
+      totals[key] += bonus[key] ?? 0;
+    });
+  }
+  return catalyst ? applyCatalystTotals(totals, catalyst) : totals;
 }
 
+// `discipline` is a normalized disciplines row; its tieBreaker settles ties for the highest total.
 export function resolveDominantAttribute(totals, discipline) {
   const entries = Object.entries(totals);
   const maxValue = Math.max(...entries.map(([, value]) => value));
@@ -29,7 +44,7 @@ export function resolveDominantAttribute(totals, discipline) {
     return entries.sort((a, b) => b[1] - a[1])[0][0];
   }
 
-  const priority = PRIORITY_MATRIX[discipline] || ATTRIBUTE_ORDER;
+  const priority = discipline?.tieBreaker || ATTRIBUTE_ORDER;
   return priority.find((attr) => tied.includes(attr)) || tied[0];
 }
 
@@ -37,22 +52,45 @@ function getTierIndex(attribute) {
   return ATTRIBUTE_ORDER.indexOf(attribute);
 }
 
-function deterministicRoll(attribute, totals) {
+function deterministicRoll(attribute, totals, slots) {
   const value = totals?.[attribute] ?? 0;
-  const clamped = Math.min(15, Math.max(1, value));
+  const clamped = Math.min(slots, Math.max(1, value));
   return clamped - 1;
 }
 
-export function selectRecipe(recipes = [], attribute, totals, mode = 'deterministic') {
+function rollForMode(mode, baseRoll, slots, { rng = Math.random, spread = 0 } = {}) {
+  if (mode === 'random') return Math.floor(rng() * slots);
+  if (mode === 'window') {
+    const width = Math.max(0, Math.floor(Number(spread) || 0));
+    const offset = Math.floor(rng() * (width * 2 + 1)) - width;
+    return Math.min(slots - 1, Math.max(0, baseRoll + offset));
+  }
+  return baseRoll;
+}
+
+export function selectRecipe(
+  recipes = [],
+  attribute,
+  totals,
+  mode = 'deterministic',
+  options = {}
+) {
+  const slots = options.slotsPerTier || SLOTS_PER_TIER;
+  const baseRoll = deterministicRoll(attribute, totals, slots);
   if (!recipes.length) {
-    return { recipe: null, tierIndex: getTierIndex(attribute), roll: 0, idealIndex: 0, usedFallback: false };
+    return {
+      recipe: null,
+      tierIndex: getTierIndex(attribute),
+      roll: 0,
+      baseRoll,
+      idealIndex: 0,
+      usedFallback: false
+    };
   }
 
   const tierIndex = Math.max(0, getTierIndex(attribute));
-  const roll = mode === 'random'
-    ? Math.floor(Math.random() * 15)
-    : deterministicRoll(attribute, totals);
-  const idealIndex = tierIndex * 15 + roll;
+  const roll = rollForMode(mode, baseRoll, slots, options);
+  const idealIndex = tierIndex * slots + roll;
   let recipe = null;
   let usedFallback = false;
 
@@ -63,7 +101,7 @@ export function selectRecipe(recipes = [], attribute, totals, mode = 'determinis
 
   if (tierRecipes.length) {
     recipe = tierRecipes[roll % tierRecipes.length] || null;
-    usedFallback = tierRecipes.length < 15;
+    usedFallback = tierRecipes.length < slots;
   } else {
     recipe = recipes[idealIndex] || null;
   }
@@ -81,19 +119,108 @@ export function selectRecipe(recipes = [], attribute, totals, mode = 'determinis
     }
   }
 
-  return { recipe, tierIndex, roll, idealIndex, usedFallback };
+  return { recipe, tierIndex, roll, baseRoll, idealIndex, usedFallback };
 }
 
+// Random modes draw from a seeded RNG; pass the stored seed back in to replay a craft.
+// `options.grades` are the campaign's quality grades; the defaults apply when omitted.
 export function calculateResult(ingredients, discipline, recipes, options = {}) {
-  const totals = calculateTotals(ingredients);
-  const dominantAttribute = resolveDominantAttribute(totals, discipline);
-  const mode = options.mode || 'deterministic';
-  const selection = selectRecipe(recipes, dominantAttribute, totals, mode);
+  const catalyst = options.catalyst || null;
+  const totals = calculateTotals(ingredients, catalyst, options.bonus);
+  const dominantAttribute = resolveDominantAttribute(
+    totals,
+    catalyst ? applyCatalystRules(discipline, catalyst) : discipline
+  );
+  const mode = SELECTION_MODES[options.mode] ? options.mode : 'deterministic';
+  const seed = options.seed || (mode === 'deterministic' ? null : generateSeed());
+  const spread = mode === 'window' ? Math.max(0, Math.floor(Number(options.spread) || 0)) : 0;
+  const slotsPerTier = discipline?.slotsPerTier || SLOTS_PER_TIER;
+  const selection = selectRecipe(recipes, dominantAttribute, totals, mode, {
+    rng: seed ? createRng(seed) : undefined,
+    spread,
+    slotsPerTier
+  });
 
   return {
     ...selection,
     totals,
     dominantAttribute,
-    mode
+    mode,
+    seed,
+    spread,
+    slotsPerTier,
+    catalystName: catalyst?.name || null,
+    grade: resolveQualityGrade(totals, options.grades)
+  };
+}
+
+// The full craft: trait bonuses feed the totals, calculateResult picks the recipe, then
+// outcome traits roll from the same seed. `preview` skips the side-effect rolls.
+export function resolveCraft(ingredients, discipline, recipes, options = {}) {
+  const { bonus, modifiers } = sumTraitBonuses(ingredients);
+  const needsSeed = !options.preview && hasChanceTraits(ingredients);
+  const result = calculateResult(ingredients, discipline, recipes, {
+    ...options,
+    bonus,
+    seed: options.seed || (needsSeed ? generateSeed() : null)
+  });
+  return {
+    ...result,
+    modifiers: [
+      ...modifiers,
+      ...rollTraitOutcomes(ingredients, options.preview ? null : result.seed)
+    ]
   };
 }
+
+const sideEffectRolls = (modifiers = []) =>
+  modifiers
+    .filter((modifier) => modifier.trait.effect === 'side_effect')
+    .map((modifier) => `${modifier.ingredient}:${modifier.applied}`)
+    .join('|');
+
+export function replayCraft(entry, ingredients, recipes, discipline, catalyst = null) {
+  const replayed = resolveCraft(ingredients, discipline, recipes, {
+    mode: entry.mode,
+    seed: entry.seed,
+    spread: entry.spread,
+    catalyst
+  });
+  const matches =
+    ingredients.length === entry.ingredientNames.length &&
+    (catalyst?.name || null) === (entry.catalystName || null) &&
+    replayed.roll === entry.roll &&
+    replayed.recipe?.name === entry.recipeName &&
+    sideEffectRolls(replayed.modifiers) === sideEffectRolls(entry.modifiers);
+  return { replayed, matches };
+}
+
+// Replays a craft_log entry with the campaign's current ingredients, recipes and disciplines.
+export function replayLoggedCraft(entry, ingredientMap, recipes, disciplines) {
+  const ingredients = entry.ingredientNames
+    .map((name) => ingredientMap.get(name))
+    .filter(Boolean);
+  return replayCraft(
+    entry,
+    ingredients,
+    recipes[entry.discipline] || [],
+    findDiscipline(disciplines, entry.discipline),
+    entry.catalystName ? ingredientMap.get(entry.catalystName) : null
+  );
+}
+
+export function describeSelection(result) {
+  const mode = SELECTION_MODES[result?.mode] ? result.mode : 'deterministic';
+  const slot = (result?.roll ?? 0) + 1;
+  if (mode === 'deterministic') {
+    return `${SELECTION_MODES.deterministic}: the dominant total picked slot ${slot}.`;
+  }
+  if (mode === 'random') {
+    return `${SELECTION_MODES.random}: seed ${result.seed} rolled slot ${slot} of ${
+      result.slotsPerTier || SLOTS_PER_TIER
+    }.`;
+  }
+  return `Random within ±${result.spread}: seed ${result.seed} moved slot ${
+    (result.baseRoll ?? 0) + 1
+  } to ${slot}.`;
+}
@@ -0,0 +1,48 @@
+// Campaign memberships and the template rows a new campaign is seeded from.
+
+import { toIngredientPayload, toRecipePayload } from './content';
+import { toDisciplinePayload } from './disciplines';
+import { settingsToRows } from './settings';
+
+export const CAMPAIGN_TEMPLATES = {
+  starter: 'Starter data',
+  current: 'Copy this campaign'
+};
+
+export function normalizeMembershipRow(row) {
+  return {
+    campaignId: row.campaign_id ?? row.campaignId,
+    name: row.campaigns?.name ?? row.name ?? '',
+    role: row.role || 'party'
+  };
+}
+
+export function findMembership(memberships = [], campaignId) {
+  return (
+    memberships.find((membership) => String(membership.campaignId) === String(campaignId)) ||
+    null
+  );
+}
+
+// Same shape public.create_campaign reads. Recipes start undiscovered so the new party
+// finds them again.
+export function buildCampaignTemplate({
+  ingredients = [],
+  recipes = {},
+  disciplines = [],
+  settings = {},
+  inventory = []
+}) {
+  return {
+    ingredients: ingredients.map(toIngredientPayload).filter((row) => row.name),
+    recipes: Object.values(recipes)
+      .flat()
+      .map((recipe) => ({ ...toRecipePayload(recipe), discovery: 'unknown' })),
+    disciplines: disciplines.map(toDisciplinePayload).filter((row) => row.name),
+    settings: settingsToRows(settings),
+    inventory: inventory.map((row) => ({
+      name: row.name,
+      quantity: Math.max(0, Number(row.quantity) || 0)
+    }))
+  };
+}
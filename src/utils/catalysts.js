@@ -0,0 +1,58 @@
+// Catalysts: ingredients that change the crafting math instead of adding to the totals.
+
+import { ATTRIBUTE_KEYS, ATTRIBUTE_LABELS } from './content';
+
+export const CATALYST_EFFECTS = {
+  double_lowest: 'Doubles the lowest total',
+  halve_highest: 'Halves the highest total',
+  reverse_tie_breaker: 'Reverses the tie-breaker order'
+};
+
+export function getCatalystEffect(ingredient) {
+  return CATALYST_EFFECTS[ingredient?.catalyst] ? ingredient.catalyst : null;
+}
+
+export function isCatalyst(ingredient) {
+  return Boolean(getCatalystEffect(ingredient));
+}
+
+// Ties for the lowest or highest total go to the first attribute in potency/resonance/entropy order.
+const pickAttribute = (totals, better) =>
+  ATTRIBUTE_KEYS.reduce((best, key) => (better(totals[key], totals[best]) ? key : best));
+
+export function applyCatalystTotals(totals, catalyst) {
+  const effect = getCatalystEffect(catalyst);
+  if (effect === 'double_lowest') {
+    const key = pickAttribute(totals, (a, b) => a < b);
+    return { ...totals, [key]: totals[key] * 2 };
+  }
+  if (effect === 'halve_highest') {
+    const key = pickAttribute(totals, (a, b) => a > b);
+    return { ...totals, [key]: Math.floor(totals[key] / 2) };
+  }
+  return totals;
+}
+
+export function applyCatalystRules(discipline, catalyst) {
+  if (getCatalystEffect(catalyst) !== 'reverse_tie_breaker') return discipline;
+  const order = discipline?.tieBreaker || ATTRIBUTE_KEYS;
+  return { ...discipline, tieBreaker: [...order].reverse() };
+}
+
+// Lists what the catalyst changed between a plain result and the catalysed one.
+export function describeCatalystChanges(plain, catalysed) {
+  if (!plain || !catalysed) return [];
+  const changes = ATTRIBUTE_KEYS.filter((key) => plain.totals[key] !== catalysed.totals[key])
+    .map((key) => `${ATTRIBUTE_LABELS[key]} ${plain.totals[key]} → ${catalysed.totals[key]}`);
+  if (plain.dominantAttribute !== catalysed.dominantAttribute) {
+    changes.push(
+      `Dominant ${ATTRIBUTE_LABELS[plain.dominantAttribute]} → ${
+        ATTRIBUTE_LABELS[catalysed.dominantAttribute]
+      }`
+    );
+  }
+  if (plain.roll !== catalysed.roll) {
+    changes.push(`Slot ${plain.roll + 1} → ${catalysed.roll + 1}`);
+  }
+  return changes;
+}
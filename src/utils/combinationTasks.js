@@ -0,0 +1,32 @@
+// Per-discipline combination jobs, shared by the worker and its main-thread fallback.
+
+import { analyzeBalance } from './balance';
+import { exploreOutcomes, findRecipeCombinations } from './combinations';
+
+const TASKS = {
+  outcomes: ({ ingredients, recipes, discipline, stock }) =>
+    exploreOutcomes(ingredients, recipes, discipline, new Map(stock)),
+  balance: ({ ingredients, recipes, discipline }) =>
+    analyzeBalance(ingredients, recipes, discipline),
+  plan: ({ ingredients, recipes, discipline, stock, target, includeUnowned }) =>
+    findRecipeCombinations(ingredients, recipes, discipline, target, {
+      includeUnowned,
+      stock: new Map(stock)
+    })
+};
+
+export function runCombinationTask(task, payload, onProgress) {
+  const run = TASKS[task];
+  if (!run) throw new Error(`Unknown combination task: ${task}`);
+  const results = {};
+  payload.disciplines.forEach((discipline, index) => {
+    results[discipline.name] = run({
+      ...payload,
+      recipes: payload.recipes[discipline.name] || [],
+      discipline,
+      stock: payload.stock || []
+    });
+    onProgress?.(index + 1, payload.disciplines.length);
+  });
+  return results;
+}
@@ -0,0 +1,187 @@
+// Combination search over ingredients, built on the same crafting math as the workbench.
+
+import { resolveDominantAttribute, selectRecipe } from './calculateResult';
+import {
+  CATALYST_EFFECTS,
+  applyCatalystRules,
+  applyCatalystTotals,
+  getCatalystEffect,
+  isCatalyst
+} from './catalysts';
+import { recipeKey } from './content';
+import { getRarityRank } from './rarity';
+import { normalizeTraits, sumTraitBonuses } from './traits';
+
+const EFFECT_INDEX = Object.fromEntries(
+  Object.keys(CATALYST_EFFECTS).map((effect, index) => [effect, index + 1])
+);
+
+// Small integer totals pack into one number, a much cheaper map key than a string.
+const outcomeKey = (effect, potency, resonance, entropy) => {
+  const values = [potency, resonance, entropy];
+  if (!values.every((value) => Number.isInteger(value) && Math.abs(value) < 2048)) {
+    return `${effect}|${values.join('|')}`;
+  }
+  return values.reduce((key, value) => key * 4096 + value + 2048, EFFECT_INDEX[effect] || 0);
+};
+
+const hasAttributeBonus = (ingredient) =>
+  normalizeTraits(ingredient.traits).some((trait) => trait.effect === 'attribute_bonus');
+
+// Every craft a discipline allows from `pool`: each ingredient count from minIngredients to
+// maxIngredients, plain and with each catalyst in the pool that is not one of the ingredients.
+// The outcome only depends on the totals and the catalyst effect, so it is cached on those.
+// `combo` is reused between visits; copy it to keep it.
+export function forEachCraft(pool, recipes, discipline, visit) {
+  const catalysts = pool.filter(isCatalyst);
+  const bonusItems = new Set(pool.filter(hasAttributeBonus));
+  const slotsPerTier = discipline.slotsPerTier;
+  const outcomes = new Map();
+  const combo = [];
+
+  const resolve = (potency, resonance, entropy, catalyst) => {
+    const key = outcomeKey(getCatalystEffect(catalyst), potency, resonance, entropy);
+    let outcome = outcomes.get(key);
+    if (!outcome) {
+      const sums = { potency, resonance, entropy };
+      const totals = catalyst ? applyCatalystTotals(sums, catalyst) : sums;
+      const dominantAttribute = resolveDominantAttribute(
+        totals,
+        applyCatalystRules(discipline, catalyst)
+      );
+      const { recipe, roll, usedFallback } = selectRecipe(
+        recipes,
+        dominantAttribute,
+        totals,
+        'deterministic',
+        { slotsPerTier }
+      );
+      outcome = { totals, dominantAttribute, recipe, roll, usedFallback };
+      outcomes.set(key, outcome);
+    }
+    return outcome;
+  };
+
+  const emit = (potency, resonance, entropy, bonusCount) => {
+    const bonus = bonusCount ? sumTraitBonuses(combo).bonus : null;
+    const [p, r, e] = bonus
+      ? [potency + bonus.potency, resonance + bonus.resonance, entropy + bonus.entropy]
+      : [potency, resonance, entropy];
+    visit(combo, null, resolve(p, r, e, null));
+    catalysts.forEach((catalyst) => {
+      if (!combo.includes(catalyst)) visit(combo, catalyst, resolve(p, r, e, catalyst));
+    });
+  };
+
+  const extend = (start, size, potency, resonance, entropy, bonusCount) => {
+    if (combo.length === size) {
+      emit(potency, resonance, entropy, bonusCount);
+      return;
+    }
+    for (let index = start; index <= pool.length - (size - combo.length); index += 1) {
+      const item = pool[index];
+      combo.push(item);
+      extend(
+        index + 1,
+        size,
+        potency + (item.potency ?? 0),
+        resonance + (item.resonance ?? 0),
+        entropy + (item.entropy ?? 0),
+        bonusCount + (bonusItems.has(item) ? 1 : 0)
+      );
+      combo.pop();
+    }
+  };
+
+  for (let size = discipline.minIngredients; size <= discipline.maxIngredients; size += 1) {
+    extend(0, size, 0, 0, 0, 0);
+  }
+}
+
+export function describeCombination(combo, stock = new Map(), catalyst = null) {
+  const used = catalyst ? [...combo, catalyst] : combo;
+  const missing = used.filter((item) => (stock.get(item.name) ?? 0) <= 0).map((item) => item.name);
+  return {
+    names: combo.map((item) => item.name),
+    catalyst: catalyst?.name || null,
+    missing,
+    inStock: missing.length === 0,
+    rarityCost: used.reduce((sum, item) => sum + getRarityRank(item.rarity), 0)
+  };
+}
+
+export const combinationKey = (combination) =>
+  [...combination.names, combination.catalyst ? `+${combination.catalyst}` : ''].join('|');
+
+export function compareCombinations(a, b) {
+  if (a.missing.length !== b.missing.length) return a.missing.length - b.missing.length;
+  if (a.rarityCost !== b.rarityCost) return a.rarityCost - b.rarityCost;
+  if (a.names.length !== b.names.length) return a.names.length - b.names.length;
+  return combinationKey(a).localeCompare(combinationKey(b));
+}
+
+export function findRecipeCombinations(ingredients, recipes, discipline, target, options = {}) {
+  const { includeUnowned = false, stock = new Map(), limit = 50 } = options;
+  const pool = includeUnowned
+    ? ingredients
+    : ingredients.filter((item) => (stock.get(item.name) ?? 0) > 0);
+  const targetKey = recipeKey(target);
+  const matches = [];
+  let searched = 0;
+
+  forEachCraft(pool, recipes, discipline, (combo, catalyst, { recipe, totals }) => {
+    searched += 1;
+    if (recipe && recipeKey(recipe) === targetKey) {
+      matches.push({ ...describeCombination(combo, stock, catalyst), totals });
+    }
+  });
+
+  matches.sort(compareCombinations);
+  return {
+    searched,
+    total: matches.length,
+    combinations: matches.slice(0, limit)
+  };
+}
+
+const QUALITY_RANK = { potency: 0, resonance: 1, entropy: 2 };
+
+export function exploreOutcomes(ingredients, recipes, discipline, stock = new Map()) {
+  const outcomes = new Map();
+  const ranks = new Map(ingredients.map((item) => [item, getRarityRank(item.rarity)]));
+
+  forEachCraft(ingredients, recipes, discipline, (combo, catalyst, craft) => {
+    const { recipe, dominantAttribute } = craft;
+    if (!recipe) return;
+
+    const key = recipeKey(recipe);
+    const outcome = outcomes.get(key);
+    if (!outcome) {
+      outcomes.set(key, {
+        key,
+        recipe,
+        dominantAttribute,
+        count: 1,
+        cheapest: describeCombination(combo, stock, catalyst)
+      });
+      return;
+    }
+    outcome.count += 1;
+    // Most crafts cost more than the cheapest so far; skip describing those.
+    const cost = combo.reduce(
+      (sum, item) => sum + ranks.get(item),
+      catalyst ? ranks.get(catalyst) : 0
+    );
+    if (!outcome.cheapest.missing.length && cost > outcome.cheapest.rarityCost) return;
+    const candidate = describeCombination(combo, stock, catalyst);
+    if (compareCombinations(candidate, outcome.cheapest) < 0) {
+      outcome.cheapest = candidate;
+    }
+  });
+
+  return [...outcomes.values()].sort(
+    (a, b) =>
+      (QUALITY_RANK[a.dominantAttribute] ?? 99) - (QUALITY_RANK[b.dominantAttribute] ?? 99) ||
+      (a.recipe.recipeNo || 0) - (b.recipe.recipeNo || 0)
+  );
+}
@@ -0,0 +1,77 @@
+// Shared rules for DM-edited ingredient and recipe data.
+
+import { normalizeDiscovery } from './discovery';
+
+export const ATTRIBUTE_KEYS = ['potency', 'resonance', 'entropy'];
+export const ATTRIBUTE_LABELS = {
+  potency: 'Potency',
+  resonance: 'Resonance',
+  entropy: 'Entropy'
+};
+export const QUALITY_CATEGORIES = ['Potency', 'Resonance', 'Entropy'];
+export const RARITIES = ['Common', 'Uncommon', 'Rare', 'Very Rare', 'Legendary'];
+export const SLOTS_PER_TIER = 15;
+export const MIN_ATTRIBUTE = 0;
+export const MAX_ATTRIBUTE = 5;
+
+export function clampAttribute(value) {
+  const number = Math.round(Number(value));
+  if (!Number.isFinite(number)) return MIN_ATTRIBUTE;
+  return Math.min(MAX_ATTRIBUTE, Math.max(MIN_ATTRIBUTE, number));
+}
+
+export function recipeKey(recipe) {
+  return `${recipe?.discipline}|${recipe?.qualityCategory}|${Number(recipe?.recipeNo || 0)}`;
+}
+
+// Mirrors the recipes_unique_key index: one recipe per discipline, quality and slot.
+export function findSlotConflict(recipes = [], draft, ignoreKey = '') {
+  const key = recipeKey(draft);
+  return (
+    recipes.find((recipe) => recipeKey(recipe) === key && recipeKey(recipe) !== ignoreKey) ||
+    null
+  );
+}
+
+export function buildSlotMap(recipes = [], discipline, slotsPerTier = SLOTS_PER_TIER) {
+  const map = {};
+  QUALITY_CATEGORIES.forEach((quality) => {
+    map[quality] = Array.from({ length: slotsPerTier }, () => null);
+  });
+  recipes
+    .filter((recipe) => recipe.discipline === discipline)
+    .forEach((recipe) => {
+      const slot = Number(recipe.recipeNo || 0);
+      if (!map[recipe.qualityCategory] || slot < 1 || slot > slotsPerTier) return;
+      map[recipe.qualityCategory][slot - 1] = recipe;
+    });
+  return map;
+}
+
+export function toIngredientPayload(ingredient) {
+  return {
+    name: (ingredient.name || '').trim(),
+    potency: clampAttribute(ingredient.potency),
+    resonance: clampAttribute(ingredient.resonance),
+    entropy: clampAttribute(ingredient.entropy),
+    rarity: ingredient.rarity || '',
+    source: (ingredient.source || '').trim(),
+    catalyst: ingredient.catalyst || null,
+    traits: Array.isArray(ingredient.traits) ? ingredient.traits : []
+  };
+}
+
+export function toRecipePayload(recipe) {
+  return {
+    discipline: recipe.discipline,
+    recipe_no: Number(recipe.recipeNo || 0),
+    name: (recipe.name || '').trim(),
+    category: recipe.category || recipe.discipline,
+    quality_category: recipe.qualityCategory,
+    rarity: recipe.rarity || '',
+    effect: recipe.effect || '',
+    description: recipe.description || '',
+    source: recipe.source || '',
+    discovery: normalizeDiscovery(recipe.discovery, recipe.discovered)
+  };
+}
@@ -0,0 +1,222 @@
+// Crafting ability checks: a d20 roll with the discipline's tool against a DC set by the recipe.
+// public.craft in supabase/schema.sql resolves checks with the same rules.
+
+import { RARITIES } from './content';
+import { seededRandom } from './rng';
+
+export const CHECK_OUTCOMES = {
+  success: 'Success',
+  partial: 'Partial failure',
+  failure: 'Failure',
+  mishap: 'Mishap'
+};
+
+export const PARTIAL_OUTCOMES = {
+  weaker_item: 'Item at the lowest quality grade',
+  keep_ingredients: 'No item, half the ingredients kept'
+};
+
+// seededRandom index for the mishap roll, clear of the selection (0) and trait (1 + n) rolls.
+export const MISHAP_ROLL_INDEX = 100;
+
+export const DEFAULT_RARITY_DCS = {
+  Common: 10,
+  Uncommon: 12,
+  Rare: 15,
+  'Very Rare': 18,
+  Legendary: 20
+};
+
+export const DEFAULT_MISHAPS = {
+  Herbalism: [
+    { name: 'Wilted batch', effect: 'The herbs crumble to dust and the kit needs a short rest.' },
+    {
+      name: 'Spore cloud',
+      effect: 'DC 12 Constitution save or the crafter is poisoned for 1 hour.'
+    },
+    { name: 'Thorned hands', effect: 'Brambles bite: the crafter takes 1d4 piercing damage.' },
+    {
+      name: 'Sleepy fumes',
+      effect: 'DC 12 Constitution save or the crafter falls asleep for 1 minute.'
+    },
+    {
+      name: 'Overgrowth',
+      effect: 'Roots sprout across the workspace: difficult terrain for 1 hour.'
+    },
+    { name: 'Bitter reek', effect: 'The smell clings: disadvantage on Stealth checks for 1 hour.' }
+  ],
+  Alchemy: [
+    {
+      name: 'Flashfire',
+      effect: 'The mixture ignites: 2d6 fire damage, DC 13 Dexterity save for half.'
+    },
+    { name: 'Caustic splash', effect: '1d6 acid damage, and one carried item is corroded.' },
+    {
+      name: 'Toxic fumes',
+      effect: 'Everyone within 10 feet: DC 12 Constitution save or poisoned for 1 hour.'
+    },
+    {
+      name: 'Shattered glassware',
+      effect: 'A vial breaks: the next crafting check has disadvantage.'
+    },
+    {
+      name: 'Unstable residue',
+      effect: 'The flask bursts next round: 1d8 thunder damage within 5 feet.'
+    },
+    { name: 'Colour shift', effect: "The crafter's skin turns a vivid hue for 1d4 days." }
+  ],
+  Poison: [
+    {
+      name: 'Self-dosed',
+      effect: 'DC 13 Constitution save or 2d6 poison damage and poisoned for 1 hour.'
+    },
+    {
+      name: 'Contact burn',
+      effect: '1d6 poison damage and disadvantage on Sleight of Hand until a long rest.'
+    },
+    {
+      name: 'Noxious cloud',
+      effect: 'Everyone within 10 feet: DC 12 Constitution save or poisoned for 1 minute.'
+    },
+    {
+      name: 'Tainted tools',
+      effect: 'The kit is fouled: the next crafting check has disadvantage.'
+    },
+    { name: 'Lingering scent', effect: 'A bitter-almond smell clings to the crafter for a day.' },
+    { name: 'Numb fingers', effect: 'Disadvantage on Dexterity checks for 1 hour.' }
+  ]
+};
+
+// Used for disciplines without a table of their own.
+export const GENERIC_MISHAPS = [
+  { name: 'Ruined workspace', effect: 'The tools need a short rest of cleaning before next use.' },
+  { name: 'Backlash', effect: 'The crafter takes 1d6 force damage.' },
+  { name: 'Fumes', effect: 'DC 12 Constitution save or the crafter is poisoned for 1 hour.' }
+];
+
+export const DEFAULT_CRAFT_CHECK = {
+  enabled: false,
+  rarityDcs: DEFAULT_RARITY_DCS,
+  totalStep: 5,
+  partialMargin: 5,
+  partialOutcome: 'weaker_item',
+  mishaps: DEFAULT_MISHAPS
+};
+
+const toWhole = (value, fallback, min = 0) => {
+  const number = Math.floor(Number(value));
+  return Number.isFinite(number) ? Math.max(min, number) : fallback;
+};
+
+export function normalizeMishap(raw = {}) {
+  return { name: (raw.name || '').trim(), effect: (raw.effect || '').trim() };
+}
+
+export function normalizeCraftCheck(raw = {}) {
+  const value = raw && typeof raw === 'object' ? raw : {};
+  const rarityDcs = value.rarityDcs ?? value.rarity_dcs ?? {};
+  const mishaps = value.mishaps && typeof value.mishaps === 'object' ? value.mishaps : {};
+  const partialOutcome = value.partialOutcome ?? value.partial_outcome;
+  return {
+    enabled: Boolean(value.enabled),
+    rarityDcs: Object.fromEntries(
+      RARITIES.map((rarity) => [rarity, toWhole(rarityDcs[rarity], DEFAULT_RARITY_DCS[rarity])])
+    ),
+    totalStep: toWhole(value.totalStep ?? value.total_step, DEFAULT_CRAFT_CHECK.totalStep),
+    partialMargin: toWhole(
+      value.partialMargin ?? value.partial_margin,
+      DEFAULT_CRAFT_CHECK.partialMargin
+    ),
+    partialOutcome: PARTIAL_OUTCOMES[partialOutcome]
+      ? partialOutcome
+      : DEFAULT_CRAFT_CHECK.partialOutcome,
+    mishaps: Object.fromEntries(
+      Object.entries({ ...DEFAULT_MISHAPS, ...mishaps }).map(([discipline, list]) => [
+        discipline,
+        (Array.isArray(list) ? list : []).map(normalizeMishap).filter((mishap) => mishap.name)
+      ])
+    )
+  };
+}
+
+export function getMishapTable(check, discipline) {
+  const table = check.mishaps?.[discipline];
+  return table?.length ? table : GENERIC_MISHAPS;
+}
+
+// Rarity sets the base DC; every `totalStep` points of the dominant total make it 1 harder,
+// since a stronger mix is harder to hold together. Unknown rarities count as Common.
+export function checkDc(check, rarity, dominantTotal) {
+  const base = check.rarityDcs[rarity] ?? check.rarityDcs.Common ?? DEFAULT_RARITY_DCS.Common;
+  const step = check.totalStep > 0 ? Math.floor(Math.max(0, dominantTotal) / check.totalStep) : 0;
+  return base + step;
+}
+
+// A natural 1 is always a mishap. Missing the DC by `partialMargin` or less is a partial failure.
+export function resolveCheckOutcome(check, roll, total, dc) {
+  if (roll === 1) return 'mishap';
+  if (total >= dc) return 'success';
+  if (total >= dc - check.partialMargin) return 'partial';
+  return 'failure';
+}
+
+// The ingredients a craft uses up, in slot order with the catalyst last. Only a partial failure
+// under the keep-ingredients rule spares any: half of them are used, rounded up.
+export function spentIngredients(names, check, outcome) {
+  if (outcome !== 'partial' || check.partialOutcome !== 'keep_ingredients') return names;
+  return names.slice(0, Math.ceil(names.length / 2));
+}
+
+export function rollMishap(table, seed) {
+  if (!table.length) return null;
+  const index = Math.floor(seededRandom(seed, MISHAP_ROLL_INDEX) * table.length);
+  return table[Math.min(table.length - 1, index)];
+}
+
+// `seed` is the craft's seed; a natural 1 rolls on the discipline's mishap table with it.
+export function resolveCraftCheck(
+  check,
+  { roll, modifier, rarity, totals, dominantAttribute, discipline, seed }
+) {
+  const naturalRoll = Math.min(20, toWhole(roll, 1, 1));
+  const bonus = Math.round(Number(modifier) || 0);
+  const total = naturalRoll + bonus;
+  const dc = checkDc(check, rarity, totals?.[dominantAttribute] ?? 0);
+  const outcome = resolveCheckOutcome(check, naturalRoll, total, dc);
+  return {
+    roll: naturalRoll,
+    modifier: bonus,
+    total,
+    dc,
+    outcome,
+    makesItem:
+      outcome === 'success' || (outcome === 'partial' && check.partialOutcome === 'weaker_item'),
+    mishap: outcome === 'mishap' ? rollMishap(getMishapTable(check, discipline), seed) : null
+  };
+}
+
+export const rollD20 = () => Math.floor(Math.random() * 20) + 1;
+
+export function describeCheck(result) {
+  if (!result) return '';
+  const sign = result.modifier < 0 ? '-' : '+';
+  return (
+    `d20 ${result.roll} ${sign} ${Math.abs(result.modifier)} = ${result.total} vs DC ` +
+    `${result.dc}: ${CHECK_OUTCOMES[result.outcome] || result.outcome}`
+  );
+}
+
+export function describeCheckConsequence(result) {
+  switch (result?.outcome) {
+    case 'partial':
+      return result.makesItem
+        ? 'The item came out at the lowest quality grade.'
+        : 'Nothing was made, but half the ingredients were saved.';
+    case 'failure':
+      return 'The ingredients were used up and nothing was made.';
+    case 'mishap':
+      return 'Natural 1: the ingredients were lost and something went wrong.';
+    default:
+      return '';
+  }
+}
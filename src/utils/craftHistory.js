@@ -0,0 +1,82 @@
+// Crafting history: filters for craft_log entries and their grouping into play sessions.
+// The Supabase query in IngredientSelector applies the same filters on the server.
+
+// Crafts further apart than this start a new session on the timeline.
+export const SESSION_GAP_HOURS = 6;
+
+export const EMPTY_HISTORY_FILTERS = {
+  craftedBy: '',
+  discipline: '',
+  from: '',
+  to: '',
+  recipe: '',
+  newestFirst: false
+};
+
+// `from` and `to` are <input type="date"> values in local time; `to` includes the whole day.
+export function historyBounds({ from, to }) {
+  const start = from ? new Date(`${from}T00:00:00`) : null;
+  const end = to ? new Date(`${to}T00:00:00`) : null;
+  if (end) end.setDate(end.getDate() + 1);
+  return {
+    start: start && !Number.isNaN(start.getTime()) ? start.toISOString() : null,
+    end: end && !Number.isNaN(end.getTime()) ? end.toISOString() : null
+  };
+}
+
+const entryTime = (entry) => new Date(entry.createdAt).getTime() || 0;
+
+export function filterCraftLog(entries = [], filters = EMPTY_HISTORY_FILTERS) {
+  const { start, end } = historyBounds(filters);
+  const startTime = start ? Date.parse(start) : null;
+  const endTime = end ? Date.parse(end) : null;
+  const recipe = (filters.recipe || '').trim().toLowerCase();
+  return entries
+    .filter(
+      (entry) =>
+        (!filters.craftedBy || entry.craftedBy === filters.craftedBy) &&
+        (!filters.discipline || entry.discipline === filters.discipline) &&
+        (startTime === null || entryTime(entry) >= startTime) &&
+        (endTime === null || entryTime(entry) < endTime) &&
+        (!recipe || entry.recipeName.toLowerCase().includes(recipe))
+    )
+    .sort((a, b) =>
+      filters.newestFirst ? entryTime(b) - entryTime(a) : entryTime(a) - entryTime(b)
+    );
+}
+
+// Splits a time-ordered list (either direction) wherever crafts are more than `gapHours` apart.
+export function groupCraftSessions(entries = [], gapHours = SESSION_GAP_HOURS) {
+  const gap = gapHours * 60 * 60 * 1000;
+  return entries.reduce((sessions, entry) => {
+    const current = sessions[sessions.length - 1];
+    const previous = current?.entries[current.entries.length - 1];
+    if (previous && Math.abs(entryTime(entry) - entryTime(previous)) <= gap) {
+      current.entries.push(entry);
+    } else {
+      sessions.push({ entries: [entry] });
+    }
+    return sessions;
+  }, []);
+}
+
+const formatDay = (time) =>
+  new Date(time).toLocaleDateString(undefined, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+  });
+
+export const formatTime = (value) =>
+  new Date(value).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+
+export function describeSession(session) {
+  const times = session.entries.map(entryTime);
+  const first = Math.min(...times);
+  const last = Math.max(...times);
+  const count = session.entries.length;
+  const range =
+    first === last ? formatTime(first) : `${formatTime(first)}–${formatTime(last)}`;
+  return `${formatDay(first)}, ${range} · ${count} craft${count === 1 ? '' : 's'}`;
+}
@@ -0,0 +1,62 @@
+// Minimal CSV reading and writing in the column format of supabase/seed/*.csv.
+
+const needsQuotes = (value) => /[",\n\r]/.test(value);
+
+export function toCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return needsQuotes(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(rows, columns) {
+  const header = columns.join(',');
+  const body = rows.map((row) => columns.map((column) => toCsvValue(row[column])).join(','));
+  return [header, ...body].join('\n') + '\n';
+}
+
+// Reads a header row plus records into objects keyed by column. Handles quoted fields with
+// commas, doubled quotes and line breaks, CRLF line endings and a leading byte order mark.
+export function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+  const source = String(text || '').replace(/^\uFEFF/, '');
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index += 1;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length) {
+    record.push(field);
+    records.push(record);
+  }
+
+  const [header = [], ...body] = records.filter((row) => row.some((value) => value.trim()));
+  const columns = header.map((column) => column.trim());
+  return body.map((row) =>
+    Object.fromEntries(columns.map((column, index) => [column, row[index] ?? '']))
+  );
+}
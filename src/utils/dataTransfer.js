@@ -0,0 +1,299 @@
+// Bulk import and export of campaign data: CSV in the columns of supabase/seed/*.csv and JSON
+// in the shape of public/data/*.json.
+
+import { QUALITY_CATEGORIES, RARITIES, recipeKey } from './content';
+import { parseCsv, toCsv } from './csv';
+import { DISCOVERY_TIERS, normalizeDiscovery } from './discovery';
+import { normalizeTraits } from './traits';
+import {
+  describeRecipe,
+  ingredientProblems,
+  inventoryProblems,
+  recipeProblems
+} from './validation';
+
+export const DATA_SETS = {
+  ingredients: 'Ingredients',
+  recipes: 'Recipes',
+  inventory: 'Inventory'
+};
+
+// The seed columns, plus catalyst and traits (as JSON text) which the seed files predate.
+export const DATA_SET_COLUMNS = {
+  ingredients: [
+    'name',
+    'potency',
+    'resonance',
+    'entropy',
+    'rarity',
+    'source',
+    'catalyst',
+    'traits'
+  ],
+  recipes: [
+    'discipline',
+    'recipe_no',
+    'name',
+    'category',
+    'quality_category',
+    'rarity',
+    'effect',
+    'description',
+    'source',
+    'discovery'
+  ],
+  inventory: ['name', 'quantity']
+};
+
+const COMPARED_FIELDS = {
+  ingredients: ['potency', 'resonance', 'entropy', 'rarity', 'source', 'catalyst', 'traits'],
+  recipes: ['name', 'category', 'rarity', 'effect', 'description', 'source', 'discovery'],
+  inventory: ['quantity']
+};
+
+export const rowKey = (dataSet, row) => (dataSet === 'recipes' ? recipeKey(row) : row.name);
+
+export const describeRow = (dataSet, row) =>
+  dataSet === 'recipes' ? describeRecipe(row) : row.name;
+
+export const detectFormat = (filename = '') => (/\.json$/i.test(filename) ? 'json' : 'csv');
+
+// Snake_case (CSV, Supabase) or camelCase (public/data) spelling of the same column.
+const pick = (raw, ...keys) => {
+  const key = keys.find((name) => raw[name] !== undefined && raw[name] !== null);
+  return key === undefined ? undefined : raw[key];
+};
+
+const text = (value) => (value === undefined ? '' : String(value).trim());
+
+const toWholeNumber = (value) => {
+  if (text(value) === '') return NaN;
+  const number = Number(value);
+  return Number.isInteger(number) ? number : NaN;
+};
+
+const toBoolean = (value) => {
+  if (typeof value === 'boolean') return value;
+  const lower = text(value).toLowerCase();
+  if (['true', 'yes', '1'].includes(lower)) return true;
+  if (['false', 'no', '0', ''].includes(lower)) return false;
+  return null;
+};
+
+const matchOption = (options, value) =>
+  options.find((option) => option.toLowerCase() === text(value).toLowerCase()) || null;
+
+// Undefined when the file has no traits column, so the current traits are kept.
+const readTraits = (value) => {
+  if (value === undefined) return { traits: undefined };
+  if (Array.isArray(value)) return { traits: normalizeTraits(value) };
+  if (!text(value)) return { traits: [] };
+  try {
+    const list = JSON.parse(value);
+    return Array.isArray(list) ? { traits: normalizeTraits(list) } : { error: 'not a JSON list' };
+  } catch {
+    return { error: 'not valid JSON' };
+  }
+};
+
+const readIngredient = (raw, errors) => {
+  const row = {
+    name: text(raw.name),
+    rarity: matchOption(RARITIES, raw.rarity) || text(raw.rarity),
+    source: text(raw.source)
+  };
+  ['potency', 'resonance', 'entropy'].forEach((key) => {
+    row[key] = toWholeNumber(raw[key]);
+  });
+  if (raw.catalyst !== undefined) row.catalyst = text(raw.catalyst);
+  errors.push(...ingredientProblems({ ...row, traits: raw.traits }));
+  const { traits, error } = readTraits(raw.traits);
+  if (error) errors.push(`traits are ${error}`);
+  if (traits !== undefined) row.traits = traits;
+  return row;
+};
+
+const readRecipe = (raw, errors, { disciplines }) => {
+  const discipline = text(pick(raw, 'discipline') ?? pick(raw, 'category'));
+  const known = disciplines.find((item) => item.name.toLowerCase() === discipline.toLowerCase());
+  const quality = pick(raw, 'quality_category', 'qualityCategory');
+  const row = {
+    discipline: known?.name || discipline,
+    recipeNo: toWholeNumber(pick(raw, 'recipe_no', 'recipeNo', 'id')),
+    name: text(raw.name),
+    category: text(raw.category) || known?.name || discipline,
+    qualityCategory: matchOption(QUALITY_CATEGORIES, quality) || text(quality),
+    rarity: matchOption(RARITIES, raw.rarity) || text(raw.rarity),
+    effect: text(raw.effect),
+    description: text(raw.description),
+    source: text(raw.source)
+  };
+  errors.push(...recipeProblems(row, disciplines));
+  // Files from before discovery tiers carry a discovered flag instead.
+  const tier = text(raw.discovery).toLowerCase();
+  if (tier) {
+    row.discovery = normalizeDiscovery(tier);
+    if (row.discovery === 'unknown' && tier !== 'unknown') {
+      errors.push(`discovery must be one of ${DISCOVERY_TIERS.join(', ')}`);
+    }
+  } else if (raw.discovered !== undefined) {
+    const discovered = toBoolean(raw.discovered);
+    if (discovered === null) errors.push('discovered must be true or false');
+    else row.discovery = discovered ? 'known' : 'unknown';
+  }
+  if (row.discovery) row.discovered = row.discovery === 'known';
+  return row;
+};
+
+const readInventory = (raw, errors, { ingredientNames }) => {
+  const row = { name: text(raw.name), quantity: toWholeNumber(raw.quantity) };
+  errors.push(...inventoryProblems(row, ingredientNames));
+  return row;
+};
+
+const READERS = { ingredients: readIngredient, recipes: readRecipe, inventory: readInventory };
+
+// Parses and validates a file. Errors name the data row (1 is the first row after the CSV
+// header, or the first item of the JSON list) so the DM can find it in their spreadsheet.
+export function parseDataFile(dataSet, content, format, context) {
+  let rawRows;
+  try {
+    rawRows = format === 'json' ? JSON.parse(content) : parseCsv(content);
+  } catch {
+    return { rows: [], errors: ['The file is not valid JSON.'] };
+  }
+  if (!Array.isArray(rawRows)) {
+    return { rows: [], errors: ['The JSON file must hold a list of rows.'] };
+  }
+
+  const rows = [];
+  const errors = [];
+  const seen = new Map();
+  rawRows.forEach((raw, index) => {
+    const rowErrors = [];
+    const row = READERS[dataSet](raw && typeof raw === 'object' ? raw : {}, rowErrors, context);
+    const key = rowKey(dataSet, row);
+    if (!rowErrors.length && seen.has(key)) {
+      rowErrors.push(`duplicates row ${seen.get(key)}`);
+    }
+    seen.set(key, seen.get(key) ?? index + 1);
+    if (rowErrors.length) {
+      errors.push(`Row ${index + 1}${row.name ? ` (${row.name})` : ''}: ${rowErrors.join('; ')}.`);
+    } else {
+      rows.push(row);
+    }
+  });
+  if (!rawRows.length) errors.push('The file has no rows.');
+  return { rows, errors };
+}
+
+const sameValue = (a, b) => JSON.stringify(a ?? '') === JSON.stringify(b ?? '');
+
+const RECIPE_DEFAULTS = { discovery: 'unknown', discovered: false };
+const INGREDIENT_DEFAULTS = { catalyst: '', traits: [] };
+
+// Compares imported rows with the current ones. Columns the file leaves out (catalyst, traits,
+// discovery) keep their current values. Recipes only count as removed within the disciplines
+// the file covers, so one discipline can be imported on its own.
+export function diffDataSet(dataSet, current = [], rows = []) {
+  const currentByKey = new Map(current.map((row) => [rowKey(dataSet, row), row]));
+  const importedKeys = new Set();
+  const disciplines = new Set(rows.map((row) => row.discipline));
+  const defaults = { recipes: RECIPE_DEFAULTS, ingredients: INGREDIENT_DEFAULTS }[dataSet] || {};
+  const added = [];
+  const changed = [];
+  let unchanged = 0;
+
+  rows.forEach((row) => {
+    const key = rowKey(dataSet, row);
+    importedKeys.add(key);
+    const before = currentByKey.get(key);
+    const filled = { ...defaults, ...before, ...row };
+    if (!before) {
+      added.push(filled);
+      return;
+    }
+    const fields = COMPARED_FIELDS[dataSet].filter(
+      (field) => !sameValue(before[field], filled[field])
+    );
+    if (fields.length) changed.push({ before, after: filled, fields });
+    else unchanged += 1;
+  });
+
+  const removed = current.filter(
+    (row) =>
+      !importedKeys.has(rowKey(dataSet, row)) &&
+      (dataSet !== 'recipes' || disciplines.has(row.discipline))
+  );
+  return { added, changed, removed, unchanged };
+}
+
+const ingredientFileRow = (row) => ({
+  name: row.name,
+  potency: row.potency,
+  resonance: row.resonance,
+  entropy: row.entropy,
+  rarity: row.rarity,
+  source: row.source,
+  ...(row.catalyst ? { catalyst: row.catalyst } : {}),
+  ...(row.traits?.length ? { traits: row.traits } : {})
+});
+
+// public/data keeps one recipe file per discipline; the export is a single list, so each row
+// also carries its discipline and discovery tier.
+const recipeFileRow = (row) => ({
+  discipline: row.discipline,
+  id: row.recipeNo,
+  name: row.name,
+  category: row.category,
+  qualityCategory: row.qualityCategory,
+  rarity: row.rarity,
+  effect: row.effect,
+  description: row.description,
+  source: row.source,
+  discovery: normalizeDiscovery(row.discovery, row.discovered)
+});
+
+const recipeCsvRow = (row) => ({
+  discipline: row.discipline,
+  recipe_no: row.recipeNo,
+  name: row.name,
+  category: row.category,
+  quality_category: row.qualityCategory,
+  rarity: row.rarity,
+  effect: row.effect,
+  description: row.description,
+  source: row.source,
+  discovery: normalizeDiscovery(row.discovery, row.discovered)
+});
+
+const sortForExport = (dataSet, rows) =>
+  [...rows].sort((a, b) =>
+    dataSet === 'recipes'
+      ? a.discipline.localeCompare(b.discipline) ||
+        QUALITY_CATEGORIES.indexOf(a.qualityCategory) -
+          QUALITY_CATEGORIES.indexOf(b.qualityCategory) ||
+        a.recipeNo - b.recipeNo
+      : a.name.localeCompare(b.name)
+  );
+
+export function exportDataSet(dataSet, rows, format) {
+  const sorted = sortForExport(dataSet, rows);
+  if (format === 'json') {
+    const fileRows = {
+      ingredients: sorted.map(ingredientFileRow),
+      recipes: sorted.map(recipeFileRow),
+      inventory: sorted.map(({ name, quantity }) => ({ name, quantity }))
+    }[dataSet];
+    return `${JSON.stringify(fileRows, null, 2)}\n`;
+  }
+  const csvRows = {
+    ingredients: sorted.map((row) => ({
+      ...ingredientFileRow(row),
+      traits: row.traits?.length ? JSON.stringify(row.traits) : ''
+    })),
+    recipes: sorted.map(recipeCsvRow),
+    inventory: sorted
+  }[dataSet];
+  return toCsv(csvRows, DATA_SET_COLUMNS[dataSet]);
+}
@@ -0,0 +1,99 @@
+// Discipline rules (tie-breaker order, tier size, tool) loaded from the disciplines table or JSON.
+
+import { ATTRIBUTE_KEYS, ATTRIBUTE_LABELS, SLOTS_PER_TIER } from './content';
+
+export const MAX_SLOTS_PER_TIER = 30;
+export const MIN_INGREDIENTS = 2;
+export const MAX_INGREDIENTS = 5;
+
+const slugify = (name) =>
+  (name || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '_')
+    .replace(/^_|_$/g, '');
+
+// Unknown attributes are dropped and missing ones appended, so every order covers all three.
+export function normalizeTieBreaker(order) {
+  const list = Array.isArray(order) ? order : String(order || '').split(/[>,]/);
+  const known = list
+    .map((attr) => String(attr).trim().toLowerCase())
+    .filter((attr, index, all) => ATTRIBUTE_KEYS.includes(attr) && all.indexOf(attr) === index);
+  return [...known, ...ATTRIBUTE_KEYS.filter((attr) => !known.includes(attr))];
+}
+
+export function normalizeSlotsPerTier(value) {
+  const number = Math.floor(Number(value));
+  if (!Number.isFinite(number) || number < 1) return SLOTS_PER_TIER;
+  return Math.min(MAX_SLOTS_PER_TIER, number);
+}
+
+const clampIngredientCount = (value, fallback) => {
+  const number = Math.floor(Number(value));
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(MAX_INGREDIENTS, Math.max(MIN_INGREDIENTS, number));
+};
+
+export function normalizeDisciplineRow(row) {
+  const name = (row.name || '').trim();
+  const minIngredients = clampIngredientCount(
+    row.min_ingredients ?? row.minIngredients,
+    MIN_INGREDIENTS
+  );
+  return {
+    name,
+    tieBreaker: normalizeTieBreaker(row.tie_breaker ?? row.tieBreaker),
+    slotsPerTier: normalizeSlotsPerTier(row.slots_per_tier ?? row.slotsPerTier),
+    minIngredients,
+    maxIngredients: Math.max(
+      minIngredients,
+      clampIngredientCount(row.max_ingredients ?? row.maxIngredients, MAX_INGREDIENTS)
+    ),
+    toolRequirement: (row.tool_requirement ?? row.toolRequirement ?? '').trim(),
+    recipeFile: row.recipe_file || row.recipeFile || `recipes_${slugify(name)}.json`,
+    sortOrder: Number(row.sort_order ?? row.sortOrder ?? 0)
+  };
+}
+
+export function sortDisciplines(list) {
+  return [...list].sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name));
+}
+
+export function findDiscipline(disciplines = [], name) {
+  return disciplines.find((discipline) => discipline.name === name) || null;
+}
+
+// Pads or trims the workbench slots so their count fits the discipline's ingredient range.
+export function fitIngredientSlots(names, discipline) {
+  if (!discipline) return names;
+  const { minIngredients, maxIngredients } = discipline;
+  if (names.length >= minIngredients && names.length <= maxIngredients) return names;
+  const filled = names.filter(Boolean).slice(0, maxIngredients);
+  return [...filled, ...Array(Math.max(0, minIngredients - filled.length)).fill('')];
+}
+
+export function describeTieBreaker(discipline) {
+  return normalizeTieBreaker(discipline?.tieBreaker)
+    .map((attr) => ATTRIBUTE_LABELS[attr])
+    .join(' > ');
+}
+
+export function groupRecipesByDiscipline(recipes = [], disciplines = []) {
+  const grouped = Object.fromEntries(disciplines.map((discipline) => [discipline.name, []]));
+  recipes.forEach((recipe) => {
+    if (grouped[recipe.discipline]) grouped[recipe.discipline].push(recipe);
+  });
+  return grouped;
+}
+
+export function toDisciplinePayload(discipline) {
+  return {
+    name: (discipline.name || '').trim(),
+    tie_breaker: normalizeTieBreaker(discipline.tieBreaker),
+    slots_per_tier: normalizeSlotsPerTier(discipline.slotsPerTier),
+    min_ingredients: discipline.minIngredients,
+    max_ingredients: discipline.maxIngredients,
+    tool_requirement: discipline.toolRequirement || null,
+    sort_order: Number(discipline.sortOrder || 0)
+  };
+}
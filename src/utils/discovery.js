@@ -0,0 +1,40 @@
+// Recipe discovery tiers: how much of an Almanac slot the party knows. Only a full reveal
+// (crafting the recipe, or the DM marking it known) shows the ingredient path in the planners.
+
+export const DISCOVERY_TIERS = ['unknown', 'rumor', 'studied', 'known'];
+
+export const DISCOVERY_LABELS = {
+  unknown: 'Unknown',
+  rumor: 'Rumored',
+  studied: 'Studied',
+  known: 'Known'
+};
+
+export const DISCOVERY_HINTS = {
+  unknown: 'Nothing but ???',
+  rumor: 'Name only',
+  studied: 'Name and effect',
+  known: 'Everything, including the ingredient paths'
+};
+
+// Accepts a tier name, or the old discovered flag (true / "true" / "yes" is known).
+export function normalizeDiscovery(value, discovered) {
+  const tier = String(value ?? '')
+    .trim()
+    .toLowerCase();
+  if (DISCOVERY_TIERS.includes(tier)) return tier;
+  if (tier === 'rumored') return 'rumor';
+  if (discovered === true || /^(true|yes|1)$/i.test(String(discovered ?? '').trim())) {
+    return 'known';
+  }
+  return 'unknown';
+}
+
+// Recipes cached before discovery tiers only have the flag.
+export const recipeDiscovery = (recipe) =>
+  recipe ? normalizeDiscovery(recipe.discovery, recipe.discovered) : 'unknown';
+
+const discoveryRank = (recipe) => DISCOVERY_TIERS.indexOf(recipeDiscovery(recipe));
+
+export const showsRecipeName = (recipe) => discoveryRank(recipe) >= 1;
+export const showsRecipeEffect = (recipe) => discoveryRank(recipe) >= 2;
@@ -0,0 +1,122 @@
+// Biome foraging: turns ingredient sources into weighted loot tables and rolls hauls.
+
+export const BIOMES = [
+  'Arctic',
+  'Cave',
+  'Coastal',
+  'Desert',
+  'Forest',
+  'Grassland',
+  'Jungle',
+  'Mountain',
+  'Plains',
+  'Swamp',
+  'Underdark',
+  'Urban'
+];
+
+export const DEFAULT_RARITY_WEIGHTS = {
+  Common: 60,
+  Uncommon: 30,
+  Rare: 10
+};
+
+// Survival/Nature check tiers: a better check finds more and tilts the odds toward rarer finds.
+export const FORAGE_CHECK_TIERS = [
+  { min: 20, label: 'Exceptional', bonusFinds: 2, rarityBoost: { Uncommon: 1.5, Rare: 2 } },
+  { min: 15, label: 'Skilled', bonusFinds: 1, rarityBoost: { Uncommon: 1.5 } },
+  { min: 10, label: 'Steady', bonusFinds: 0, rarityBoost: {} },
+  { min: -Infinity, label: 'Poor', bonusFinds: null, rarityBoost: {} }
+];
+
+const normalizeTag = (tag) => {
+  const trimmed = (tag || '').trim();
+  if (!trimmed || trimmed === '?') return '';
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+};
+
+export function parseSourceTags(source) {
+  return (source || '')
+    .split(/,|\/|;|\band\b/i)
+    .map(normalizeTag)
+    .filter(Boolean);
+}
+
+export function parseBiomes(source) {
+  const known = new Map(BIOMES.map((biome) => [biome.toLowerCase(), biome]));
+  return parseSourceTags(source)
+    .map((tag) => known.get(tag.toLowerCase()))
+    .filter(Boolean);
+}
+
+export function getCheckTier(checkResult) {
+  if (checkResult === null || checkResult === undefined || checkResult === '') return null;
+  const value = Number(checkResult);
+  if (!Number.isFinite(value)) return null;
+  return FORAGE_CHECK_TIERS.find((tier) => value >= tier.min) || null;
+}
+
+const rarityWeight = (rarity, weights, boost = {}) => {
+  const key = Object.keys(weights).find(
+    (name) => name.toLowerCase() === (rarity || '').trim().toLowerCase()
+  );
+  const base = key ? Number(weights[key]) || 0 : 0;
+  return base * (boost[key] ?? 1);
+};
+
+export function buildForageTable(
+  ingredients = [],
+  biome,
+  weights = DEFAULT_RARITY_WEIGHTS,
+  checkTier = null
+) {
+  const entries = ingredients
+    .filter((ingredient) => parseBiomes(ingredient.source).includes(biome))
+    .map((ingredient) => ({
+      name: ingredient.name,
+      rarity: ingredient.rarity,
+      weight: rarityWeight(ingredient.rarity, weights, checkTier?.rarityBoost)
+    }))
+    .filter((entry) => entry.weight > 0);
+
+  const totalWeight = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  return entries
+    .map((entry) => ({ ...entry, chance: totalWeight ? entry.weight / totalWeight : 0 }))
+    .sort((a, b) => b.chance - a.chance || a.name.localeCompare(b.name));
+}
+
+export function buildForageTables(ingredients = [], weights = DEFAULT_RARITY_WEIGHTS) {
+  return BIOMES.reduce((tables, biome) => {
+    const table = buildForageTable(ingredients, biome, weights);
+    if (table.length) tables[biome] = table;
+    return tables;
+  }, {});
+}
+
+export function getForageCount(count, checkTier) {
+  const base = Math.max(0, Math.floor(Number(count) || 0));
+  if (!checkTier) return base;
+  if (checkTier.bonusFinds === null) return Math.floor(base / 2);
+  return base + checkTier.bonusFinds;
+}
+
+function pickEntry(table, rng) {
+  let roll = rng() * table.reduce((sum, entry) => sum + entry.weight, 0);
+  for (const entry of table) {
+    roll -= entry.weight;
+    if (roll < 0) return entry;
+  }
+  return table[table.length - 1];
+}
+
+export function rollForage(table = [], count = 1, rng = Math.random) {
+  if (!table.length) return [];
+  const haul = new Map();
+  for (let index = 0; index < count; index += 1) {
+    const entry = pickEntry(table, rng);
+    const current = haul.get(entry.name) || { name: entry.name, rarity: entry.rarity, quantity: 0 };
+    current.quantity += 1;
+    haul.set(entry.name, current);
+  }
+  return [...haul.values()].sort((a, b) => b.quantity - a.quantity || a.name.localeCompare(b.name));
+}
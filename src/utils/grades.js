@@ -0,0 +1,102 @@
+// Brew quality grades: how decisively and how strongly a mix hit its recipe.
+// public.craft in supabase/schema.sql resolves grades with the same rules.
+
+export const DEFAULT_QUALITY_GRADES = [
+  {
+    name: 'Crude',
+    minMargin: 0,
+    minTotal: 0,
+    extraDice: '',
+    durationMultiplier: 0.5,
+    saveDcBonus: -1,
+    notes: ''
+  },
+  {
+    name: 'Standard',
+    minMargin: 1,
+    minTotal: 12,
+    extraDice: '',
+    durationMultiplier: 1,
+    saveDcBonus: 0,
+    notes: ''
+  },
+  {
+    name: 'Fine',
+    minMargin: 3,
+    minTotal: 18,
+    extraDice: '1d4',
+    durationMultiplier: 1.5,
+    saveDcBonus: 1,
+    notes: ''
+  },
+  {
+    name: 'Masterwork',
+    minMargin: 5,
+    minTotal: 24,
+    extraDice: '1d6',
+    durationMultiplier: 2,
+    saveDcBonus: 2,
+    notes: ''
+  }
+];
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+export function normalizeQualityGrade(raw = {}) {
+  return {
+    name: (raw.name || '').trim(),
+    minMargin: Math.max(0, Math.floor(toNumber(raw.min_margin ?? raw.minMargin, 0))),
+    minTotal: Math.max(0, Math.floor(toNumber(raw.min_total ?? raw.minTotal, 0))),
+    extraDice: (raw.extra_dice ?? raw.extraDice ?? '').trim(),
+    durationMultiplier: Math.max(0, toNumber(raw.duration_multiplier ?? raw.durationMultiplier, 1)),
+    saveDcBonus: Math.round(toNumber(raw.save_dc_bonus ?? raw.saveDcBonus, 0)),
+    notes: (raw.notes || '').trim()
+  };
+}
+
+// Grades are kept in the DM's order, lowest first; unnamed rows are dropped.
+export function normalizeQualityGrades(value) {
+  const list = Array.isArray(value) ? value : DEFAULT_QUALITY_GRADES;
+  return list.map(normalizeQualityGrade).filter((grade) => grade.name);
+}
+
+// Margin is the lead of the dominant total over the runner-up; total is all three summed.
+export function measureMagnitude(totals) {
+  const values = [totals?.potency ?? 0, totals?.resonance ?? 0, totals?.entropy ?? 0].sort(
+    (a, b) => b - a
+  );
+  return { margin: values[0] - values[1], total: values[0] + values[1] + values[2] };
+}
+
+// The last grade whose thresholds are both met wins; a mix below every grade gets the first.
+export function resolveQualityGrade(totals, grades = DEFAULT_QUALITY_GRADES) {
+  const list = normalizeQualityGrades(grades);
+  if (!list.length) return null;
+  const { margin, total } = measureMagnitude(totals);
+  const reached = list.filter((grade) => margin >= grade.minMargin && total >= grade.minTotal);
+  return { ...(reached[reached.length - 1] || list[0]), margin, total };
+}
+
+export function findQualityGrade(grades, name) {
+  return normalizeQualityGrades(grades).find((grade) => grade.name === name) || null;
+}
+
+export function describeGradeEffects(grade) {
+  if (!grade) return [];
+  const effects = [];
+  if (grade.extraDice) effects.push(`+${grade.extraDice.replace(/^\+/, '')} to effect dice`);
+  if (grade.durationMultiplier !== 1) effects.push(`duration ×${grade.durationMultiplier}`);
+  if (grade.saveDcBonus) {
+    effects.push(`save DC ${grade.saveDcBonus > 0 ? '+' : ''}${grade.saveDcBonus}`);
+  }
+  if (grade.notes) effects.push(grade.notes);
+  return effects;
+}
+
+export function describeGrade(grade) {
+  if (!grade) return '';
+  return `${grade.name} (margin ${grade.margin}, total ${grade.total})`;
+}
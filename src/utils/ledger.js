@@ -0,0 +1,98 @@
+// Inventory ledger: every change to the party stash and the pouches, grouped into batches the
+// DM can undo. Supabase keeps it in public.inventory_ledger; local mode keeps the same rows.
+
+export const LEDGER_REASONS = {
+  edit: 'Edited',
+  craft: 'Crafted',
+  grant: 'Granted',
+  transfer: 'Moved',
+  undo: 'Undone'
+};
+
+export function normalizeLedgerRow(row) {
+  return {
+    id: row.id,
+    batch: row.batch,
+    name: row.name,
+    characterId: row.character_id ?? row.characterId ?? null,
+    delta: Number(row.delta ?? 0),
+    quantityAfter: Number(row.quantity_after ?? row.quantityAfter ?? 0),
+    actor: row.actor ?? null,
+    reason: row.reason || 'edit',
+    note: row.note || '',
+    undoes: row.undoes || null,
+    createdAt: row.created_at || row.createdAt || ''
+  };
+}
+
+export const createLedgerBatch = () =>
+  `local-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+// Local mode's rows for one change. `changes` are { name, characterId, from, to }, where a
+// null characterId is the party stash.
+export function buildLedgerRows(changes, options = {}) {
+  const { reason = 'edit', note = '', actor = null, undoes } = options;
+  const batch = createLedgerBatch();
+  const createdAt = new Date().toISOString();
+  return changes
+    .filter((change) => change.to !== change.from)
+    .map((change, index) =>
+      normalizeLedgerRow({
+        id: `${batch}-${index}`,
+        batch,
+        name: change.name,
+        characterId: change.characterId ?? null,
+        delta: change.to - change.from,
+        quantityAfter: change.to,
+        actor,
+        reason,
+        note,
+        undoes,
+        createdAt
+      })
+    );
+}
+
+// Rows in any order → batches newest first. A batch is undone once a later batch undoes it.
+export function groupLedgerBatches(rows = []) {
+  const batches = new Map();
+  rows.forEach((row) => {
+    const batch = batches.get(row.batch);
+    if (batch) batch.rows.push(row);
+    else batches.set(row.batch, { ...row, rows: [row] });
+  });
+  const undone = new Set(rows.map((row) => row.undoes).filter(Boolean));
+  return Array.from(batches.values())
+    .map((batch) => ({
+      batch: batch.batch,
+      reason: batch.reason,
+      note: batch.note,
+      actor: batch.actor,
+      undoes: batch.undoes,
+      createdAt: batch.createdAt,
+      rows: batch.rows,
+      undone: undone.has(batch.batch)
+    }))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Net change per stash or pouch row, which is what an undo reverses.
+export function netLedgerChanges(rows = []) {
+  const totals = new Map();
+  rows.forEach((row) => {
+    const key = `${row.characterId ?? ''}:${row.name}`;
+    const current = totals.get(key) || { name: row.name, characterId: row.characterId, delta: 0 };
+    totals.set(key, { ...current, delta: current.delta + row.delta });
+  });
+  return Array.from(totals.values()).filter((change) => change.delta !== 0);
+}
+
+export function describeLedgerRows(rows, characterNames = new Map()) {
+  return netLedgerChanges(rows)
+    .map((change) => {
+      const amount = `${change.delta > 0 ? '+' : ''}${change.delta} ${change.name}`;
+      if (change.characterId === null || change.characterId === undefined) return amount;
+      return `${amount} (${characterNames.get(change.characterId) || 'a pouch'})`;
+    })
+    .join(', ');
+}
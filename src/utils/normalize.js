@@ -0,0 +1,53 @@
+// Turns Supabase rows, public/data JSON and seed CSV rows into the shapes the workbench uses.
+
+import { normalizeDiscovery } from './discovery';
+import { normalizeTraits, parseTraits } from './traits';
+import { traitProblems } from './validation';
+
+export const normalizeQuality = (value) => {
+  const normalized = (value || '').trim();
+  const lower = normalized.toLowerCase();
+  if (lower === 'clarity') return 'Resonance';
+  if (lower === 'chaos') return 'Entropy';
+  if (lower === 'potency') return 'Potency';
+  if (lower === 'resonance') return 'Resonance';
+  if (lower === 'entropy') return 'Entropy';
+  return normalized;
+};
+
+// `id` is the Supabase surrogate key; local data and seed CSVs have none. normalizeTraits
+// repairs bad trait values, so traitProblems keeps what it repaired for the Data Health panel.
+export const normalizeIngredientRow = (row) => ({
+  id: row.id ?? null,
+  name: (row.name || '').trim(),
+  potency: Number(row.potency ?? 0),
+  resonance: Number(row.resonance ?? 0),
+  entropy: Number(row.entropy ?? 0),
+  rarity: row.rarity || '',
+  source: row.source || '',
+  catalyst: row.catalyst || '',
+  traits: normalizeTraits(row.traits),
+  traitProblems: parseTraits(row.traits).flatMap(traitProblems)
+});
+
+export const normalizeRecipeRow = (row, disciplineFallback = '') => {
+  const discipline = row.discipline || row.category || disciplineFallback;
+  const recipeNo = Number(row.recipe_no ?? row.recipeNo ?? row.id ?? 0);
+  const discovery = normalizeDiscovery(row.discovery, row.discovered);
+  return {
+    id: recipeNo || row.id || 0,
+    rowId: row.id ?? null,
+    recipeNo,
+    name: row.name || '',
+    category: row.category || discipline,
+    qualityCategory: normalizeQuality(row.quality_category || row.qualityCategory || ''),
+    rarity: row.rarity || '',
+    effect: row.effect || '',
+    description: row.description || '',
+    source: row.source || '',
+    discipline,
+    discovery,
+    // Full reveal only: rumors and studies never show the ingredient paths.
+    discovered: discovery === 'known'
+  };
+};
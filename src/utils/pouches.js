@@ -0,0 +1,46 @@
+// Character pouches: per-character ingredient stock alongside the shared party stash.
+
+export const pouchKey = (characterId, name) => `${characterId}:${name}`;
+
+export function normalizeCharacterRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id ?? row.userId ?? null,
+    name: (row.name || '').trim()
+  };
+}
+
+export function normalizePouchRow(row) {
+  const characterId = row.character_id ?? row.characterId;
+  return {
+    key: pouchKey(characterId, row.name),
+    characterId,
+    name: row.name,
+    quantity: Number(row.quantity ?? 0)
+  };
+}
+
+export function buildPouchMap(pouchRows = [], characterId = null) {
+  const map = new Map();
+  if (characterId === null || characterId === undefined) return map;
+  pouchRows.forEach((row) => {
+    if (row.characterId === characterId) map.set(row.name, row.quantity);
+  });
+  return map;
+}
+
+// Same rule as public.craft: each ingredient comes from the pouch when it has one,
+// otherwise from the party stash. Returns the new counts for both.
+export function planConsumption(names, pouchMap, stashMap) {
+  const pouch = [];
+  const stash = [];
+  names.forEach((name) => {
+    const inPouch = pouchMap.get(name) ?? 0;
+    if (inPouch > 0) {
+      pouch.push({ name, quantity: inPouch - 1 });
+    } else {
+      stash.push({ name, quantity: Math.max(0, (stashMap.get(name) ?? 0) - 1) });
+    }
+  });
+  return { pouch, stash };
+}
@@ -0,0 +1,23 @@
+// Rarity helpers shared by inventory, satchel, and almanac views.
+
+export const getRarityClass = (rarity) => {
+  const normalized = (rarity || '').toLowerCase();
+  if (normalized.includes('uncommon')) return 'rarity-uncommon';
+  if (normalized.includes('common')) return 'rarity-common';
+  if (normalized.includes('legendary') || normalized.includes('rare')) return 'rarity-rare';
+  return '';
+};
+
+const RARITY_RANKS = [
+  ['legendary', 5],
+  ['very rare', 4],
+  ['uncommon', 2],
+  ['common', 1],
+  ['rare', 3]
+];
+
+export const getRarityRank = (rarity) => {
+  const normalized = (rarity || '').toLowerCase();
+  const match = RARITY_RANKS.find(([name]) => normalized.includes(name));
+  return match ? match[1] : 1;
+};
@@ -0,0 +1,39 @@
+// Seeded randomness for reproducible crafting rolls.
+// public.seeded_random in supabase/schema.sql implements the same hash, so a seed replays
+// identically on the server and in the browser.
+
+const encoder = new TextEncoder();
+
+export function seededRandom(seed, index = 0) {
+  let hash = 0x811c9dc5;
+  encoder.encode(`${seed}:${index}`).forEach((byte) => {
+    hash ^= byte;
+    hash = Math.imul(hash, 0x01000193) >>> 0;
+  });
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b) >>> 0;
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35) >>> 0;
+  hash ^= hash >>> 16;
+  return (hash >>> 0) / 4294967296;
+}
+
+export function createRng(seed) {
+  let index = 0;
+  return () => {
+    const value = seededRandom(seed, index);
+    index += 1;
+    return value;
+  };
+}
+
+export function generateSeed() {
+  const values = new Uint32Array(2);
+  if (typeof crypto !== 'undefined' && crypto.getRandomValues) {
+    crypto.getRandomValues(values);
+  } else {
+    values[0] = Math.floor(Math.random() * 4294967296);
+    values[1] = Math.floor(Math.random() * 4294967296);
+  }
+  return [...values].map((value) => value.toString(16).padStart(8, '0')).join('').slice(0, 12);
+}
@@ -0,0 +1,36 @@
+// Campaign-level settings, stored as key/value rows in campaign_settings (or localStorage).
+
+import { DEFAULT_CRAFT_CHECK } from './craftCheck';
+import { DEFAULT_QUALITY_GRADES } from './grades';
+
+export const DEFAULT_SETTINGS = {
+  selectionMode: 'deterministic',
+  selectionSpread: 2,
+  qualityGrades: DEFAULT_QUALITY_GRADES,
+  craftCheck: DEFAULT_CRAFT_CHECK
+};
+
+const SETTING_KEYS = {
+  selectionMode: 'selection_mode',
+  selectionSpread: 'selection_spread',
+  qualityGrades: 'quality_grades',
+  craftCheck: 'craft_check'
+};
+
+export function settingsFromRows(rows = []) {
+  const byKey = new Map(rows.map((row) => [row.key, row.value]));
+  return Object.keys(SETTING_KEYS).reduce(
+    (settings, field) => {
+      const value = byKey.get(SETTING_KEYS[field]);
+      if (value !== undefined && value !== null) settings[field] = value;
+      return settings;
+    },
+    { ...DEFAULT_SETTINGS }
+  );
+}
+
+export function settingsToRows(settings) {
+  return Object.keys(SETTING_KEYS)
+    .filter((field) => settings[field] !== undefined)
+    .map((field) => ({ key: SETTING_KEYS[field], value: settings[field] }));
+}
@@ -0,0 +1,87 @@
+// Changes made while Supabase is unreachable, kept until they can be replayed against it.
+
+const entryKey = (entry) => {
+  switch (entry.type) {
+    case 'inventory':
+      return `inventory:${entry.name}`;
+    case 'pouch':
+      return `pouch:${entry.characterId}:${entry.name}`;
+    case 'crafted_item':
+      return [
+        'crafted_item',
+        entry.discipline,
+        entry.name,
+        entry.holder.toLowerCase(),
+        entry.grade,
+        entry.durationMultiplier ?? 1,
+        entry.sideEffects || ''
+      ].join(':');
+    default:
+      return null;
+  }
+};
+
+// Quantity changes to the same row collapse into one entry that keeps the first `from`, so the
+// replay compares against what the server had before this device went offline.
+export function enqueueChange(queue = [], entry) {
+  const key = entryKey(entry);
+  const index = key ? queue.findIndex((item) => entryKey(item) === key) : -1;
+  if (index < 0) return [...queue, { ...entry, queuedAt: new Date().toISOString() }];
+  const next = [...queue];
+  next[index] = { ...queue[index], ...entry, from: queue[index].from };
+  return next;
+}
+
+export function describeQueuedChange(entry) {
+  switch (entry.type) {
+    case 'inventory':
+      return `${entry.name} in the party stash`;
+    case 'pouch':
+      return `${entry.name} in ${entry.characterName || 'a pouch'}`;
+    case 'crafted_item':
+      return `${entry.name}${entry.grade ? ` (${entry.grade})` : ''} held by ${entry.holder}`;
+    case 'craft_log':
+      return `Craft of ${entry.row?.recipe_name || 'an unknown recipe'}`;
+    default:
+      return entry.type;
+  }
+}
+
+// Server unchanged since we went offline: write our count. Someone else changed it meanwhile:
+// apply our change on top of their count instead, and report the conflict.
+export function resolveQueuedQuantity(entry, serverQuantity) {
+  const server = Number(serverQuantity ?? 0);
+  const from = Number(entry.from ?? 0);
+  const to = Number(entry.to ?? 0);
+  if (server === from) return { quantity: to, conflict: null };
+  const quantity = Math.max(0, server + (to - from));
+  return {
+    quantity,
+    conflict: { label: describeQueuedChange(entry), expected: from, server, quantity }
+  };
+}
+
+export function describeConflict({ label, expected, server, quantity }) {
+  return `${label}: expected ${expected}, the server had ${server}, now ${quantity}.`;
+}
+
+export function describeFailedChange({ label, message }) {
+  return message ? `${label}: ${message}` : label;
+}
+
+export function describeSyncReport({ applied = 0, conflicts = [], failed = [], remaining = [] }) {
+  const parts = [`Synced ${applied} offline change${applied === 1 ? '' : 's'}.`];
+  const waiting = remaining.length - failed.length;
+  if (waiting > 0) parts.push(`${waiting} still waiting to sync.`);
+  if (failed.length) {
+    parts.push(
+      `${failed.length} rejected by the server; ${
+        failed.length === 1 ? 'it is' : 'they are'
+      } retried on the next sync unless dropped.`
+    );
+  }
+  if (conflicts.length) {
+    parts.push(`${conflicts.length} had changed on the server meanwhile and were merged:`);
+  }
+  return parts.join(' ');
+}
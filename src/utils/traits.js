@@ -0,0 +1,157 @@
+// Ingredient traits: structured lore that nudges totals or colours the crafted result.
+// public.craft in supabase/schema.sql applies the same rules in the same order.
+
+import { ATTRIBUTE_KEYS, ATTRIBUTE_LABELS } from './content';
+import { seededRandom } from './rng';
+
+export const TRAIT_EFFECTS = {
+  attribute_bonus: 'Attribute bonus',
+  duration_multiplier: 'Duration multiplier',
+  side_effect: 'Side-effect chance'
+};
+
+const toNumber = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? number : fallback;
+};
+
+export function normalizeTrait(raw = {}) {
+  const effect = TRAIT_EFFECTS[raw.effect] ? raw.effect : 'attribute_bonus';
+  const trait = { name: (raw.name || '').trim(), effect };
+  if (effect === 'attribute_bonus') {
+    trait.attribute = ATTRIBUTE_KEYS.includes(raw.attribute) ? raw.attribute : ATTRIBUTE_KEYS[0];
+    trait.amount = Math.round(toNumber(raw.amount, 1));
+    trait.pairedWith = (raw.pairedWith ?? raw.paired_with ?? '').trim();
+  } else if (effect === 'duration_multiplier') {
+    trait.multiplier = Math.max(0, toNumber(raw.multiplier, 2));
+  } else {
+    trait.chance = Math.min(1, Math.max(0, toNumber(raw.chance, 0.1)));
+    trait.description = (raw.description || '').trim();
+  }
+  return trait;
+}
+
+// Traits as stored: a list, or JSON text from a CSV cell. Anything unreadable is no traits.
+export function parseTraits(value) {
+  let list = value;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch {
+      list = [];
+    }
+  }
+  return Array.isArray(list) ? list : [];
+}
+
+export function normalizeTraits(value) {
+  return parseTraits(value)
+    .map(normalizeTrait)
+    .filter((trait) => trait.name);
+}
+
+export function describeTrait(trait) {
+  if (trait.effect === 'attribute_bonus') {
+    const sign = trait.amount >= 0 ? '+' : '';
+    const pairing = trait.pairedWith ? ` if paired with ${trait.pairedWith}` : '';
+    return `${trait.name}: ${sign}${trait.amount} ${ATTRIBUTE_LABELS[trait.attribute]}${pairing}`;
+  }
+  if (trait.effect === 'duration_multiplier') {
+    return `${trait.name}: duration ×${trait.multiplier}`;
+  }
+  const detail = trait.description ? ` (${trait.description})` : '';
+  return `${trait.name}: ${Math.round(trait.chance * 100)}% chance of a side-effect${detail}`;
+}
+
+// Traits are evaluated by ingredient name in code-unit order (the server sorts with
+// collate "C"), so side-effect rolls line up with the server's seed indexes.
+const byName = (ingredients) =>
+  [...ingredients].sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+const isPairedWith = (ingredient, ingredients, keyword) => {
+  const needle = keyword.toLowerCase();
+  return ingredients.some(
+    (other) =>
+      other.name !== ingredient.name &&
+      (other.name.toLowerCase().includes(needle) ||
+        (other.source || '').toLowerCase().includes(needle))
+  );
+};
+
+export function hasChanceTraits(ingredients = []) {
+  return ingredients.some((ingredient) =>
+    normalizeTraits(ingredient.traits).some((trait) => trait.effect === 'side_effect')
+  );
+}
+
+// Stage 1: attribute bonuses, added to the totals before any catalyst.
+export function sumTraitBonuses(ingredients = []) {
+  const bonus = { potency: 0, resonance: 0, entropy: 0 };
+  const modifiers = [];
+  byName(ingredients).forEach((ingredient) => {
+    normalizeTraits(ingredient.traits)
+      .filter((trait) => trait.effect === 'attribute_bonus')
+      .forEach((trait) => {
+        const applied =
+          !trait.pairedWith || isPairedWith(ingredient, ingredients, trait.pairedWith);
+        if (applied) bonus[trait.attribute] += trait.amount;
+        modifiers.push({ ingredient: ingredient.name, trait, applied });
+      });
+  });
+  return { bonus, modifiers };
+}
+
+// Stage 2: traits that shape the brewed item. Side-effects roll seededRandom(seed, 1 + n);
+// index 0 belongs to the recipe selection. Without a seed they stay unrolled (null).
+export function rollTraitOutcomes(ingredients = [], seed = null) {
+  const modifiers = [];
+  let chanceIndex = 0;
+  byName(ingredients).forEach((ingredient) => {
+    normalizeTraits(ingredient.traits)
+      .filter((trait) => trait.effect !== 'attribute_bonus')
+      .forEach((trait) => {
+        let applied = true;
+        if (trait.effect === 'side_effect') {
+          applied = seed ? seededRandom(seed, 1 + chanceIndex) < trait.chance : null;
+          chanceIndex += 1;
+        }
+        modifiers.push({ ingredient: ingredient.name, trait, applied });
+      });
+  });
+  return modifiers;
+}
+
+export function normalizeModifiers(list) {
+  return (Array.isArray(list) ? list : []).map((modifier) => ({
+    ingredient: modifier.ingredient || '',
+    trait: normalizeTrait(modifier.trait),
+    applied: modifier.applied ?? null
+  }));
+}
+
+// What the outcome traits leave on the brewed item: the product of its duration multipliers and
+// the side-effects that triggered. Satchel items only stack when these match, so a tainted
+// potion never merges into a clean one; public.trait_item_effects computes the same.
+export function traitItemEffects(modifiers = []) {
+  let durationMultiplier = 1;
+  const sideEffects = [];
+  modifiers
+    .filter((modifier) => modifier.applied === true)
+    .forEach(({ trait }) => {
+      if (trait.effect === 'duration_multiplier') durationMultiplier *= trait.multiplier;
+      if (trait.effect === 'side_effect') {
+        sideEffects.push(trait.description ? `${trait.name}: ${trait.description}` : trait.name);
+      }
+    });
+  return {
+    durationMultiplier: Math.round(durationMultiplier * 100) / 100,
+    sideEffects: sideEffects.join('; ')
+  };
+}
+
+export function describeModifier({ trait, applied }) {
+  if (applied === null) return 'rolled on craft';
+  if (trait.effect === 'attribute_bonus') return applied ? 'applied' : 'no pairing, no effect';
+  if (trait.effect === 'side_effect') return applied ? 'side-effect triggered' : 'no side-effect';
+  return 'applied';
+}
@@ -0,0 +1,180 @@
+// Consistency checks for campaign data. The workbench, the import preview, the Data Health panel
+// and scripts/validate-data.mjs all run these rules on normalized rows (src/utils/normalize.js).
+
+import { CATALYST_EFFECTS } from './catalysts';
+import {
+  ATTRIBUTE_KEYS,
+  MAX_ATTRIBUTE,
+  MIN_ATTRIBUTE,
+  QUALITY_CATEGORIES,
+  RARITIES,
+  SLOTS_PER_TIER,
+  recipeKey
+} from './content';
+import { findDiscipline } from './disciplines';
+import { TRAIT_EFFECTS, parseTraits } from './traits';
+
+const isSlot = (value, slots) => Number.isInteger(value) && value >= 1 && value <= slots;
+const isNumeric = (value) =>
+  value === undefined || (value !== '' && value !== null && Number.isFinite(Number(value)));
+
+// Checks one trait as stored. normalizeTrait quietly repairs these values, so the problems are
+// only visible before normalizing; missing fields are fine and take normalizeTrait's defaults.
+export function traitProblems(raw) {
+  if (!raw || typeof raw !== 'object') return ['each trait must be an object'];
+  const label = `trait "${raw.name || 'unnamed'}"`;
+  const effect = raw.effect ?? 'attribute_bonus';
+  if (!TRAIT_EFFECTS[effect]) return [`${label} has unknown effect "${effect}"`];
+  const problems = [];
+  if (effect === 'attribute_bonus') {
+    if (raw.attribute !== undefined && !ATTRIBUTE_KEYS.includes(raw.attribute)) {
+      problems.push(`${label} has unknown attribute "${raw.attribute}"`);
+    }
+    if (!isNumeric(raw.amount)) problems.push(`${label} amount must be a number`);
+  } else if (effect === 'duration_multiplier') {
+    if (!isNumeric(raw.multiplier)) problems.push(`${label} multiplier must be a number`);
+  } else if (!isNumeric(raw.chance) || Number(raw.chance) < 0 || Number(raw.chance) > 1) {
+    problems.push(`${label} chance must be a number from 0 to 1`);
+  }
+  return problems;
+}
+
+export function ingredientProblems(ingredient) {
+  const problems = [];
+  if (!ingredient.name) problems.push('name is required');
+  ATTRIBUTE_KEYS.forEach((key) => {
+    const value = ingredient[key];
+    if (!Number.isInteger(value) || value < MIN_ATTRIBUTE || value > MAX_ATTRIBUTE) {
+      problems.push(`${key} must be a whole number from ${MIN_ATTRIBUTE} to ${MAX_ATTRIBUTE}`);
+    }
+  });
+  if (ingredient.rarity && !RARITIES.includes(ingredient.rarity)) {
+    problems.push(`unknown rarity "${ingredient.rarity}"`);
+  }
+  if (ingredient.catalyst && !CATALYST_EFFECTS[ingredient.catalyst]) {
+    problems.push(`unknown catalyst "${ingredient.catalyst}"`);
+  }
+  // Normalized rows carry what normalizing repaired; editor drafts and imports are checked as is.
+  problems.push(
+    ...(ingredient.traitProblems ?? parseTraits(ingredient.traits).flatMap(traitProblems))
+  );
+  return problems;
+}
+
+export function recipeProblems(recipe, disciplines = []) {
+  const problems = [];
+  const discipline = findDiscipline(disciplines, recipe.discipline);
+  const slots = discipline?.slotsPerTier || SLOTS_PER_TIER;
+  if (!recipe.discipline) problems.push('discipline is required');
+  else if (!discipline) problems.push(`unknown discipline "${recipe.discipline}"`);
+  if (!QUALITY_CATEGORIES.includes(recipe.qualityCategory)) {
+    problems.push(
+      `quality_category must be Potency, Resonance or Entropy, not "${recipe.qualityCategory}"`
+    );
+  }
+  if (!isSlot(recipe.recipeNo, slots)) {
+    problems.push(`recipe_no must be a whole number from 1 to ${slots}`);
+  }
+  if (!recipe.name) problems.push('name is required');
+  if (recipe.rarity && !RARITIES.includes(recipe.rarity)) {
+    problems.push(`unknown rarity "${recipe.rarity}"`);
+  }
+  return problems;
+}
+
+export function inventoryProblems(row, ingredientNames) {
+  const problems = [];
+  if (!row.name) problems.push('name is required');
+  else if (!ingredientNames.has(row.name)) problems.push(`"${row.name}" is not an ingredient`);
+  if (!Number.isInteger(row.quantity) || row.quantity < 0) {
+    problems.push('quantity must be a whole number of 0 or more');
+  }
+  return problems;
+}
+
+export const describeRecipe = (recipe) =>
+  `${recipe.name || 'Unnamed recipe'} (${recipe.discipline}, ${recipe.qualityCategory} ` +
+  `#${recipe.recipeNo})`;
+
+// Every problem in a campaign, as { level, target, label, message }. Errors are data the
+// workbench misreads or drops; warnings are gaps it works around, such as a tier with empty
+// slots, which makes calculateResult fall back to another recipe (usedFallback).
+export function validateCampaignData({
+  disciplines = [],
+  ingredients = [],
+  recipes = [],
+  inventory = []
+}) {
+  const issues = [];
+  const add = (level, target, label, messages) =>
+    messages.forEach((message) => issues.push({ level, target, label, message }));
+
+  const ingredientNames = new Set();
+  ingredients.forEach((ingredient) => {
+    const target = { type: 'ingredient', name: ingredient.name };
+    const label = ingredient.name || 'Unnamed ingredient';
+    add('error', target, label, ingredientProblems(ingredient));
+    if (ingredientNames.has(ingredient.name)) add('error', target, label, ['is listed twice']);
+    ingredientNames.add(ingredient.name);
+  });
+
+  const slots = new Map();
+  recipes.forEach((recipe) => {
+    const target = {
+      type: 'recipe',
+      rowId: recipe.rowId ?? null,
+      discipline: recipe.discipline,
+      qualityCategory: recipe.qualityCategory,
+      recipeNo: recipe.recipeNo
+    };
+    const label = describeRecipe(recipe);
+    add('error', target, label, recipeProblems(recipe, disciplines));
+    const key = recipeKey(recipe);
+    if (slots.has(key)) add('error', target, label, [`shares its slot with ${slots.get(key)}`]);
+    else slots.set(key, recipe.name);
+  });
+
+  disciplines.forEach((discipline) => {
+    const slotsPerTier = discipline.slotsPerTier || SLOTS_PER_TIER;
+    QUALITY_CATEGORIES.forEach((qualityCategory) => {
+      const filled = new Set(
+        recipes
+          .filter(
+            (recipe) =>
+              recipe.discipline === discipline.name &&
+              recipe.qualityCategory === qualityCategory &&
+              isSlot(recipe.recipeNo, slotsPerTier)
+          )
+          .map((recipe) => recipe.recipeNo)
+      );
+      if (filled.size >= slotsPerTier) return;
+      const recipeNo = Array.from({ length: slotsPerTier }, (_, index) => index + 1).find(
+        (slot) => !filled.has(slot)
+      );
+      add(
+        'warning',
+        { type: 'recipe', discipline: discipline.name, qualityCategory, recipeNo },
+        `${discipline.name} ${qualityCategory}`,
+        [`${filled.size} of ${slotsPerTier} slots filled; rolls on empty slots fall back`]
+      );
+    });
+  });
+
+  inventory.forEach((row) => {
+    add(
+      'error',
+      { type: 'ingredient', name: row.name },
+      `${row.name || 'Unnamed'} in the stash`,
+      inventoryProblems(row, ingredientNames)
+    );
+  });
+
+  return issues;
+}
+
+export function countIssues(issues = []) {
+  return issues.reduce(
+    (counts, issue) => ({ ...counts, [issue.level]: counts[issue.level] + 1 }),
+    { error: 0, warning: 0 }
+  );
+}
@@ -0,0 +1,10 @@
+import { runCombinationTask } from '../utils/combinationTasks';
+
+// Runs the every-combination searches off the main thread.
+self.onmessage = (event) => {
+  const { task, payload } = event.data;
+  const results = runCombinationTask(task, payload, (done, total) => {
+    self.postMessage({ type: 'progress', done, total });
+  });
+  self.postMessage({ type: 'done', results });
+};
@@ -1,16 +1,78 @@
+-- Campaigns: every table below is scoped by campaign_id, and roles are per campaign.
+create table if not exists public.campaigns (
+  id bigserial primary key,
+  name text not null,
+  created_by uuid references auth.users(id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.campaign_members (
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade,
+  role text not null check (role in ('dm', 'party')),
+  created_at timestamptz not null default now(),
+  primary key (campaign_id, user_id)
+);
+
+-- Databases from before campaigns keep their data in a first campaign.
+insert into public.campaigns (name)
+select 'First campaign'
+where not exists (select 1 from public.campaigns);
+
+-- Adds campaign_id to a table from before campaigns and files its rows under the first one.
+create or replace function public.scope_to_campaign(target text)
+returns void
+language plpgsql
+as $$
+begin
+  execute format(
+    'alter table public.%I add column if not exists campaign_id bigint '
+    'references public.campaigns(id) on delete cascade',
+    target
+  );
+  execute format(
+    'update public.%I set campaign_id = (select min(id) from public.campaigns) '
+    'where campaign_id is null',
+    target
+  );
+  execute format('alter table public.%I alter column campaign_id set not null', target);
+end;
+$$;
+
+-- Every policy below is campaign-scoped; clear the old ones so this file can be re-run.
+do $$
+declare
+  pol record;
+begin
+  for pol in
+    select tablename, policyname
+    from pg_policies
+    where schemaname = 'public'
+  loop
+    execute format('drop policy %I on public.%I', pol.policyname, pol.tablename);
+  end loop;
+end;
+$$;
+
+drop function if exists public.has_role(text);
+
 -- Core tables
 create table if not exists public.ingredients (
-  name text primary key,
+  id bigserial primary key,
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  name text not null,
   potency integer not null default 0,
   resonance integer not null default 0,
   entropy integer not null default 0,
   rarity text,
   source text,
-  created_at timestamptz not null default now()
+  created_at timestamptz not null default now(),
+  constraint ingredients_campaign_name_key unique (campaign_id, name)
 );
 
 create table if not exists public.recipes (
   id bigserial primary key,
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
   discipline text not null,
   recipe_no integer not null,
   name text not null,
@@ -20,107 +82,2322 @@ create table if not exists public.recipes (
   effect text,
   description text,
   source text,
-  discovered boolean not null default false,
+  discovery text not null default 'unknown',
   created_at timestamptz not null default now()
 );
 
+-- Discovery tiers (see src/utils/discovery.js) replace the old discovered flag: a rumor shows
+-- the name, a study the effect as well, and only a known recipe shows its ingredient paths.
 alter table if exists public.recipes
-  add column if not exists discovered boolean not null default false;
+  add column if not exists discovery text not null default 'unknown';
+alter table public.recipes drop constraint if exists recipes_discovery_check;
+alter table public.recipes
+  add constraint recipes_discovery_check
+  check (discovery in ('unknown', 'rumor', 'studied', 'known'));
+
+do $$
+begin
+  if exists (
+    select 1
+    from information_schema.columns
+    where table_schema = 'public' and table_name = 'recipes' and column_name = 'discovered'
+  ) then
+    execute 'update public.recipes set discovery = ''known'' where discovered';
+    alter table public.recipes drop column discovered;
+  end if;
+end;
+$$;
+
+-- Catalysts change the crafting math instead of adding to it (see src/utils/catalysts.js).
+alter table if exists public.ingredients
+  add column if not exists catalyst text
+    check (catalyst in ('double_lowest', 'halve_highest', 'reverse_tie_breaker'));
+
+-- Traits: structured ingredient lore applied around the crafting math (see src/utils/traits.js).
+alter table if exists public.ingredients
+  add column if not exists traits jsonb not null default '[]'::jsonb;
 
-create unique index if not exists recipes_unique_key
-  on public.recipes (discipline, quality_category, recipe_no);
+update public.ingredients
+set catalyst = 'double_lowest'
+where name = 'Alkahest'
+  and catalyst is null;
+
+select public.scope_to_campaign('ingredients');
+select public.scope_to_campaign('recipes');
+
+-- Ingredients are keyed by a surrogate id, so a rename is a single update; the name stays
+-- unique per campaign as the display field the stash and pouches point at. Existing rows are
+-- numbered when the column is added.
+-- Dropping the old keys with cascade also drops the foreign keys, which are re-added below.
+alter table public.ingredients add column if not exists id bigserial;
+alter table public.ingredients drop constraint if exists ingredients_pkey cascade;
+alter table public.ingredients drop constraint if exists ingredients_campaign_name_key cascade;
+alter table public.ingredients add constraint ingredients_pkey primary key (id);
+alter table public.ingredients
+  add constraint ingredients_campaign_name_key unique (campaign_id, name);
+
+drop index if exists public.recipes_unique_key;
+create unique index if not exists recipes_campaign_unique_key
+  on public.recipes (campaign_id, discipline, quality_category, recipe_no);
 
 create table if not exists public.inventory (
-  name text primary key references public.ingredients(name) on delete cascade,
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  name text not null,
   quantity integer not null default 0,
-  updated_at timestamptz not null default now()
+  updated_at timestamptz not null default now(),
+  primary key (campaign_id, name)
 );
 
+select public.scope_to_campaign('inventory');
+alter table public.inventory drop constraint if exists inventory_pkey;
+alter table public.inventory add constraint inventory_pkey primary key (campaign_id, name);
+alter table public.inventory drop constraint if exists inventory_ingredient_fkey;
+alter table public.inventory
+  add constraint inventory_ingredient_fkey foreign key (campaign_id, name)
+  references public.ingredients(campaign_id, name) on update cascade on delete cascade;
+
+-- Global roles from before campaigns; they are copied into the first campaign's members.
 create table if not exists public.user_roles (
   user_id uuid primary key references auth.users(id) on delete cascade,
   role text not null check (role in ('dm', 'party'))
 );
 
--- Role helper
-create or replace function public.has_role(role_name text)
+insert into public.campaign_members (campaign_id, user_id, role)
+select (select min(id) from public.campaigns), ur.user_id, ur.role
+from public.user_roles ur
+on conflict (campaign_id, user_id) do nothing;
+
+-- Role helpers: the caller's role in one campaign
+create or replace function public.has_role(role_name text, target_campaign bigint)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.campaign_members m
+    where m.campaign_id = target_campaign
+      and m.user_id = auth.uid()
+      and m.role = role_name
+  );
+$$;
+
+create or replace function public.is_member(target_campaign bigint)
 returns boolean
 language sql
 stable
+security definer
+set search_path = public
 as $$
   select exists (
     select 1
-    from public.user_roles
-    where user_id = auth.uid()
-      and role = role_name
+    from public.campaign_members m
+    where m.campaign_id = target_campaign
+      and m.user_id = auth.uid()
   );
 $$;
 
 -- Enable RLS
+alter table public.campaigns enable row level security;
+alter table public.campaign_members enable row level security;
 alter table public.ingredients enable row level security;
 alter table public.recipes enable row level security;
 alter table public.inventory enable row level security;
 alter table public.user_roles enable row level security;
 
--- Public read policies
-create policy "public read ingredients"
+-- Campaign policies; new campaigns are created through public.create_campaign
+create policy "member read campaigns"
+  on public.campaigns for select
+  using (public.is_member(id));
+
+create policy "dm update campaigns"
+  on public.campaigns for update
+  using (public.has_role('dm', id))
+  with check (public.has_role('dm', id));
+
+create policy "dm delete campaigns"
+  on public.campaigns for delete
+  using (public.has_role('dm', id));
+
+-- Players see only their own roles; the DM sees everyone in the campaign.
+create policy "self read memberships"
+  on public.campaign_members for select
+  using (auth.uid() = user_id or public.has_role('dm', campaign_id));
+
+-- No insert policy: members join through public.create_campaign or public.create_player,
+-- which check whose account it is. For the same reason the DM can change a member's role but
+-- not point the row at another user.
+create policy "dm update memberships"
+  on public.campaign_members for update
+  using (public.has_role('dm', campaign_id))
+  with check (public.has_role('dm', campaign_id));
+
+revoke insert, update on public.campaign_members from anon, authenticated;
+grant update (role) on public.campaign_members to authenticated;
+
+create policy "dm delete memberships"
+  on public.campaign_members for delete
+  using (public.has_role('dm', campaign_id));
+
+-- Member read policies
+create policy "member read ingredients"
   on public.ingredients for select
-  using (true);
+  using (public.is_member(campaign_id));
 
-create policy "public read recipes"
+create policy "member read recipes"
   on public.recipes for select
-  using (true);
+  using (public.is_member(campaign_id));
 
-create policy "public read inventory"
+create policy "member read inventory"
   on public.inventory for select
-  using (true);
+  using (public.is_member(campaign_id));
 
 -- DM write policies
 create policy "dm insert ingredients"
   on public.ingredients for insert
-  with check (public.has_role('dm'));
+  with check (public.has_role('dm', campaign_id));
 
 create policy "dm update ingredients"
   on public.ingredients for update
-  using (public.has_role('dm'))
-  with check (public.has_role('dm'));
+  using (public.has_role('dm', campaign_id))
+  with check (public.has_role('dm', campaign_id));
 
 create policy "dm delete ingredients"
   on public.ingredients for delete
-  using (public.has_role('dm'));
+  using (public.has_role('dm', campaign_id));
 
 create policy "dm insert recipes"
   on public.recipes for insert
-  with check (public.has_role('dm'));
+  with check (public.has_role('dm', campaign_id));
 
 create policy "dm update recipes"
   on public.recipes for update
-  using (public.has_role('dm'))
-  with check (public.has_role('dm'));
+  using (public.has_role('dm', campaign_id))
+  with check (public.has_role('dm', campaign_id));
 
 create policy "dm delete recipes"
   on public.recipes for delete
-  using (public.has_role('dm'));
+  using (public.has_role('dm', campaign_id));
 
-create policy "party discover recipes"
-  on public.recipes for update
-  using (public.has_role('party'))
-  with check (public.has_role('party') and discovered = true);
+-- The party cannot change discovery tiers; crafting reveals recipes through public.craft, and
+-- the DM confirms the ones offline crafts found through public.review_offline_reveal.
 
 -- Inventory write policies (DM + party)
 create policy "party insert inventory"
   on public.inventory for insert
-  with check (public.has_role('dm') or public.has_role('party'));
+  with check (public.has_role('dm', campaign_id) or public.has_role('party', campaign_id));
 
 create policy "party update inventory"
   on public.inventory for update
-  using (public.has_role('dm') or public.has_role('party'))
-  with check (public.has_role('dm') or public.has_role('party'));
+  using (public.has_role('dm', campaign_id) or public.has_role('party', campaign_id))
+  with check (public.has_role('dm', campaign_id) or public.has_role('party', campaign_id));
 
 create policy "dm delete inventory"
   on public.inventory for delete
-  using (public.has_role('dm'));
+  using (public.has_role('dm', campaign_id));
 
 -- Allow authenticated users to read their role
 create policy "self read roles"
   on public.user_roles for select
   using (auth.uid() = user_id);
+
+-- Crafted items (satchel)
+create table if not exists public.crafted_items (
+  id bigserial primary key,
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  name text not null,
+  discipline text not null,
+  quality_category text,
+  recipe_no integer,
+  rarity text,
+  effect text,
+  holder text not null default 'Party',
+  grade text not null default '',
+  duration_multiplier numeric not null default 1,
+  side_effects text not null default '',
+  quantity integer not null default 0 check (quantity >= 0),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+alter table if exists public.crafted_items
+  add column if not exists grade text not null default '',
+  add column if not exists duration_multiplier numeric not null default 1,
+  add column if not exists side_effects text not null default '';
+
+select public.scope_to_campaign('crafted_items');
+
+-- Items of different quality grades or trait effects (see trait_item_effects) stack separately.
+-- Holders match whatever their case, so stacks that only differ in the holder's case are
+-- merged into the oldest one first.
+update public.crafted_items ci
+set quantity = merged.quantity,
+    updated_at = now()
+from (
+  select min(id) as keep_id, sum(quantity) as quantity
+  from public.crafted_items
+  group by campaign_id, discipline, name, lower(holder), grade, duration_multiplier, side_effects
+  having count(*) > 1
+) merged
+where ci.id = merged.keep_id;
+
+delete from public.crafted_items ci
+using public.crafted_items kept
+where kept.campaign_id = ci.campaign_id
+  and kept.discipline = ci.discipline
+  and kept.name = ci.name
+  and lower(kept.holder) = lower(ci.holder)
+  and kept.grade = ci.grade
+  and kept.duration_multiplier = ci.duration_multiplier
+  and kept.side_effects = ci.side_effects
+  and kept.id < ci.id;
+
+drop index if exists public.crafted_items_unique_key;
+drop index if exists public.crafted_items_unique_grade_key;
+drop index if exists public.crafted_items_campaign_unique_key;
+drop index if exists public.crafted_items_campaign_holder_key;
+create unique index if not exists crafted_items_campaign_stack_key
+  on public.crafted_items (
+    campaign_id, discipline, name, lower(holder), grade, duration_multiplier, side_effects
+  );
+
+alter table public.crafted_items enable row level security;
+
+create policy "member read crafted items"
+  on public.crafted_items for select
+  using (public.is_member(campaign_id));
+
+create policy "party insert crafted items"
+  on public.crafted_items for insert
+  with check (public.has_role('dm', campaign_id) or public.has_role('party', campaign_id));
+
+create policy "party update crafted items"
+  on public.crafted_items for update
+  using (public.has_role('dm', campaign_id) or public.has_role('party', campaign_id))
+  with check (public.has_role('dm', campaign_id) or public.has_role('party', campaign_id));
+
+create policy "dm delete crafted items"
+  on public.crafted_items for delete
+  using (public.has_role('dm', campaign_id));
+
+-- Hands one item to another holder in one transaction: the source stack loses one and the
+-- holder's stack (matched whatever its case) gains one, or neither changes.
+create or replace function public.hand_over_crafted_item(item_id bigint, holder text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  source public.crafted_items%rowtype;
+  target public.crafted_items%rowtype;
+  next_holder text := trim(hand_over_crafted_item.holder);
+begin
+  select * into source
+  from public.crafted_items ci
+  where ci.id = hand_over_crafted_item.item_id
+  for update;
+
+  if source.id is null then
+    raise exception 'That item is no longer in the satchel.' using errcode = 'P0002';
+  end if;
+
+  if not (
+    public.has_role('dm', source.campaign_id) or public.has_role('party', source.campaign_id)
+  ) then
+    raise exception 'Sign in as DM or Party to hand over items.' using errcode = '42501';
+  end if;
+
+  if coalesce(next_holder, '') = '' then
+    raise exception 'Name who receives the item.' using errcode = '22023';
+  end if;
+
+  if lower(next_holder) = lower(source.holder) then
+    return jsonb_build_object('source', to_jsonb(source), 'target', to_jsonb(source));
+  end if;
+
+  if source.quantity < 1 then
+    raise exception '% has no % left to hand over.', source.holder, source.name
+      using errcode = 'P0001';
+  end if;
+
+  update public.crafted_items ci
+  set quantity = ci.quantity - 1,
+      updated_at = now()
+  where ci.id = source.id
+  returning * into source;
+
+  insert into public.crafted_items as ci (
+    campaign_id, name, discipline, quality_category, recipe_no, rarity, effect, holder, grade,
+    duration_multiplier, side_effects, quantity
+  )
+  values (
+    source.campaign_id, source.name, source.discipline, source.quality_category,
+    source.recipe_no, source.rarity, source.effect, next_holder, source.grade,
+    source.duration_multiplier, source.side_effects, 1
+  )
+  on conflict (
+    campaign_id, discipline, name, lower(holder), grade, duration_multiplier, side_effects
+  )
+  do update set quantity = ci.quantity + 1, updated_at = now()
+  returning * into target;
+
+  return jsonb_build_object('source', to_jsonb(source), 'target', to_jsonb(target));
+end;
+$$;
+
+revoke all on function public.hand_over_crafted_item(bigint, text) from public, anon;
+grant execute on function public.hand_over_crafted_item(bigint, text) to authenticated;
+
+-- Characters: each player's own pouch, alongside the shared party stash (inventory)
+create table if not exists public.characters (
+  id bigserial primary key,
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  user_id uuid not null references auth.users(id) on delete cascade default auth.uid(),
+  name text not null,
+  created_at timestamptz not null default now()
+);
+
+create table if not exists public.character_inventory (
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  character_id bigint not null references public.characters(id) on delete cascade,
+  name text not null,
+  quantity integer not null default 0 check (quantity >= 0),
+  updated_at timestamptz not null default now(),
+  primary key (character_id, name)
+);
+
+select public.scope_to_campaign('characters');
+select public.scope_to_campaign('character_inventory');
+
+alter table public.characters drop constraint if exists characters_user_id_name_key;
+create unique index if not exists characters_campaign_unique_key
+  on public.characters (campaign_id, user_id, name);
+
+alter table public.character_inventory drop constraint if exists character_inventory_name_fkey;
+alter table public.character_inventory drop constraint if exists character_inventory_ingredient_fkey;
+alter table public.character_inventory
+  add constraint character_inventory_ingredient_fkey foreign key (campaign_id, name)
+  references public.ingredients(campaign_id, name) on update cascade on delete cascade;
+
+drop function if exists public.owns_character(bigint);
+
+-- True when the caller owns the character and it belongs to the given campaign.
+create or replace function public.owns_character(target_id bigint, target_campaign bigint)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.characters c
+    where c.id = target_id
+      and c.campaign_id = target_campaign
+      and c.user_id = auth.uid()
+  );
+$$;
+
+alter table public.characters enable row level security;
+alter table public.character_inventory enable row level security;
+
+create policy "member read characters"
+  on public.characters for select
+  using (public.is_member(campaign_id));
+
+create policy "self insert characters"
+  on public.characters for insert
+  with check (
+    (auth.uid() = user_id and public.is_member(campaign_id)) or public.has_role('dm', campaign_id)
+  );
+
+create policy "self update characters"
+  on public.characters for update
+  using (auth.uid() = user_id or public.has_role('dm', campaign_id))
+  with check (auth.uid() = user_id or public.has_role('dm', campaign_id));
+
+create policy "self delete characters"
+  on public.characters for delete
+  using (auth.uid() = user_id or public.has_role('dm', campaign_id));
+
+create policy "member read character inventory"
+  on public.character_inventory for select
+  using (public.is_member(campaign_id));
+
+create policy "owner insert character inventory"
+  on public.character_inventory for insert
+  with check (public.owns_character(character_id, campaign_id) or public.has_role('dm', campaign_id));
+
+create policy "owner update character inventory"
+  on public.character_inventory for update
+  using (public.owns_character(character_id, campaign_id) or public.has_role('dm', campaign_id))
+  with check (public.owns_character(character_id, campaign_id) or public.has_role('dm', campaign_id));
+
+create policy "owner delete character inventory"
+  on public.character_inventory for delete
+  using (public.owns_character(character_id, campaign_id) or public.has_role('dm', campaign_id));
+
+-- Moves ingredients between a pouch and the party stash in one transaction.
+-- A positive amount takes from the stash; a negative amount returns to it.
+create or replace function public.transfer_ingredients(
+  character_id bigint,
+  ingredient_name text,
+  amount integer
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  campaign bigint;
+  stash public.inventory%rowtype;
+  pouch public.character_inventory%rowtype;
+begin
+  select c.campaign_id into campaign
+  from public.characters c
+  where c.id = transfer_ingredients.character_id;
+
+  if campaign is null or not (
+    public.has_role('dm', campaign)
+    or (
+      public.has_role('party', campaign)
+      and public.owns_character(transfer_ingredients.character_id, campaign)
+    )
+  ) then
+    raise exception 'You can only move ingredients in your own pouch.' using errcode = '42501';
+  end if;
+
+  if coalesce(amount, 0) = 0 then
+    raise exception 'Choose how many to move.' using errcode = '22023';
+  end if;
+
+  perform set_config('app.ledger_reason', 'transfer', true);
+
+  insert into public.inventory as inv (campaign_id, name, quantity)
+  values (campaign, ingredient_name, 0)
+  on conflict (campaign_id, name) do nothing;
+
+  insert into public.character_inventory as ci (campaign_id, character_id, name, quantity)
+  values (campaign, transfer_ingredients.character_id, ingredient_name, 0)
+  on conflict (character_id, name) do nothing;
+
+  select * into stash
+  from public.inventory inv
+  where inv.campaign_id = campaign
+    and inv.name = ingredient_name
+  for update;
+
+  select * into pouch
+  from public.character_inventory ci
+  where ci.character_id = transfer_ingredients.character_id
+    and ci.name = ingredient_name
+  for update;
+
+  if amount > 0 and stash.quantity < amount then
+    raise exception 'Only % % left in the party stash.', stash.quantity, ingredient_name
+      using errcode = 'P0001';
+  end if;
+  if amount < 0 and pouch.quantity < -amount then
+    raise exception 'Only % % left in the pouch.', pouch.quantity, ingredient_name
+      using errcode = 'P0001';
+  end if;
+
+  update public.inventory inv
+  set quantity = inv.quantity - amount,
+      updated_at = now()
+  where inv.campaign_id = campaign
+    and inv.name = ingredient_name
+  returning * into stash;
+
+  update public.character_inventory ci
+  set quantity = ci.quantity + amount,
+      updated_at = now()
+  where ci.character_id = transfer_ingredients.character_id
+    and ci.name = ingredient_name
+  returning * into pouch;
+
+  return jsonb_build_object('stash', to_jsonb(stash), 'pouch', to_jsonb(pouch));
+end;
+$$;
+
+revoke all on function public.transfer_ingredients(bigint, text, integer) from public, anon;
+grant execute on function public.transfer_ingredients(bigint, text, integer) to authenticated;
+
+-- Crafting transaction
+create or replace function public.normalize_quality(value text)
+returns text
+language sql
+immutable
+as $$
+  select case lower(trim(coalesce(value, '')))
+    when 'clarity' then 'resonance'
+    when 'chaos' then 'entropy'
+    else lower(trim(coalesce(value, '')))
+  end;
+$$;
+
+create or replace function public.quality_rank(value text)
+returns integer
+language sql
+immutable
+as $$
+  select case public.normalize_quality(value)
+    when 'potency' then 0
+    when 'resonance' then 1
+    when 'entropy' then 2
+    else 99
+  end;
+$$;
+
+-- Disciplines: tie-breaker order, slots per attribute tier and tool, per crafting discipline
+create table if not exists public.disciplines (
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  name text not null,
+  tie_breaker text[] not null default array['potency', 'resonance', 'entropy']
+    check (
+      cardinality(tie_breaker) = 3
+      and tie_breaker @> array['potency', 'resonance', 'entropy']
+    ),
+  slots_per_tier integer not null default 15 check (slots_per_tier between 1 and 30),
+  min_ingredients integer not null default 2 check (min_ingredients between 2 and 5),
+  max_ingredients integer not null default 5 check (max_ingredients between 2 and 5),
+  tool_requirement text,
+  sort_order integer not null default 0,
+  created_at timestamptz not null default now(),
+  primary key (campaign_id, name)
+);
+
+alter table if exists public.disciplines
+  add column if not exists min_ingredients integer not null default 2
+    check (min_ingredients between 2 and 5),
+  add column if not exists max_ingredients integer not null default 5
+    check (max_ingredients between 2 and 5);
+
+select public.scope_to_campaign('disciplines');
+alter table public.disciplines drop constraint if exists disciplines_pkey;
+alter table public.disciplines add constraint disciplines_pkey primary key (campaign_id, name);
+
+insert into public.disciplines (
+  campaign_id, name, tie_breaker, slots_per_tier, tool_requirement, sort_order
+)
+select (select min(id) from public.campaigns), d.*
+from (
+  values
+    ('Herbalism', array['resonance', 'entropy', 'potency'], 15, 'Herbalism Kit', 1),
+    ('Alchemy', array['potency', 'resonance', 'entropy'], 15, 'Alchemist''s Supplies', 2),
+    ('Poison', array['entropy', 'potency', 'resonance'], 15, 'Poisoner''s Kit', 3)
+) as d(name, tie_breaker, slots_per_tier, tool_requirement, sort_order)
+on conflict (campaign_id, name) do nothing;
+
+alter table public.disciplines enable row level security;
+
+create policy "member read disciplines"
+  on public.disciplines for select
+  using (public.is_member(campaign_id));
+
+create policy "dm insert disciplines"
+  on public.disciplines for insert
+  with check (public.has_role('dm', campaign_id));
+
+create policy "dm update disciplines"
+  on public.disciplines for update
+  using (public.has_role('dm', campaign_id))
+  with check (public.has_role('dm', campaign_id));
+
+create policy "dm delete disciplines"
+  on public.disciplines for delete
+  using (public.has_role('dm', campaign_id));
+
+-- Campaign settings (key/value, DM-managed)
+create table if not exists public.campaign_settings (
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  key text not null,
+  value jsonb not null,
+  updated_at timestamptz not null default now(),
+  primary key (campaign_id, key)
+);
+
+select public.scope_to_campaign('campaign_settings');
+alter table public.campaign_settings drop constraint if exists campaign_settings_pkey;
+alter table public.campaign_settings
+  add constraint campaign_settings_pkey primary key (campaign_id, key);
+
+-- Quality grades, lowest first (DEFAULT_QUALITY_GRADES in src/utils/grades.js).
+insert into public.campaign_settings (campaign_id, key, value)
+values ((select min(id) from public.campaigns), 'quality_grades', '[
+    {"name": "Crude", "minMargin": 0, "minTotal": 0, "extraDice": "", "durationMultiplier": 0.5, "saveDcBonus": -1, "notes": ""},
+    {"name": "Standard", "minMargin": 1, "minTotal": 12, "extraDice": "", "durationMultiplier": 1, "saveDcBonus": 0, "notes": ""},
+    {"name": "Fine", "minMargin": 3, "minTotal": 18, "extraDice": "1d4", "durationMultiplier": 1.5, "saveDcBonus": 1, "notes": ""},
+    {"name": "Masterwork", "minMargin": 5, "minTotal": 24, "extraDice": "1d6", "durationMultiplier": 2, "saveDcBonus": 2, "notes": ""}
+  ]'::jsonb)
+on conflict (campaign_id, key) do nothing;
+
+alter table public.campaign_settings enable row level security;
+
+create policy "member read campaign settings"
+  on public.campaign_settings for select
+  using (public.is_member(campaign_id));
+
+create policy "dm insert campaign settings"
+  on public.campaign_settings for insert
+  with check (public.has_role('dm', campaign_id));
+
+create policy "dm update campaign settings"
+  on public.campaign_settings for update
+  using (public.has_role('dm', campaign_id))
+  with check (public.has_role('dm', campaign_id));
+
+create policy "dm delete campaign settings"
+  on public.campaign_settings for delete
+  using (public.has_role('dm', campaign_id));
+
+-- Crafting history: one row per craft, with who made what from which ingredients. The seed,
+-- mode, spread and rolls that craft returns are kept here too, so a craft can be replayed.
+create table if not exists public.craft_log (
+  id bigserial primary key,
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  crafted_by uuid references auth.users(id) on delete set null default auth.uid(),
+  character_id bigint references public.characters(id) on delete set null,
+  discipline text not null,
+  ingredient_names text[] not null,
+  catalyst_name text,
+  modifiers jsonb not null default '[]'::jsonb,
+  grade text,
+  totals jsonb,
+  dominant_attribute text,
+  selection_mode text not null default 'deterministic',
+  seed text,
+  spread integer not null default 0,
+  base_roll integer,
+  roll integer not null,
+  recipe_id bigint references public.recipes(id) on delete set null,
+  recipe_name text,
+  quality_category text,
+  recipe_no integer,
+  used_fallback boolean not null default false,
+  synced_offline boolean not null default false,
+  check_roll integer,
+  check_modifier integer,
+  check_dc integer,
+  check_outcome text,
+  mishap jsonb,
+  made_item boolean not null default true,
+  revealed_recipe boolean not null default false,
+  previous_discovery text,
+  reveal_status text,
+  ledger_batch text,
+  undone_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+alter table if exists public.craft_log
+  add column if not exists catalyst_name text,
+  add column if not exists modifiers jsonb not null default '[]'::jsonb,
+  add column if not exists grade text,
+  add column if not exists character_id bigint
+    references public.characters(id) on delete set null,
+  add column if not exists synced_offline boolean not null default false,
+  add column if not exists check_roll integer,
+  add column if not exists check_modifier integer,
+  add column if not exists check_dc integer,
+  add column if not exists check_outcome text,
+  add column if not exists mishap jsonb,
+  add column if not exists made_item boolean not null default true,
+  add column if not exists revealed_recipe boolean not null default false,
+  add column if not exists previous_discovery text,
+  add column if not exists reveal_status text,
+  add column if not exists ledger_batch text,
+  add column if not exists undone_at timestamptz;
+
+select public.scope_to_campaign('craft_log');
+
+-- An offline craft that found a new recipe waits for the DM: pending, then confirmed or
+-- dismissed. Crafts made online reveal straight away and leave this null.
+alter table public.craft_log drop constraint if exists craft_log_reveal_status_check;
+alter table public.craft_log
+  add constraint craft_log_reveal_status_check
+  check (reveal_status in ('pending', 'confirmed', 'dismissed'));
+
+alter table public.craft_log enable row level security;
+
+create policy "member read craft log"
+  on public.craft_log for select
+  using (public.is_member(campaign_id));
+
+create policy "dm delete craft log"
+  on public.craft_log for delete
+  using (public.has_role('dm', campaign_id));
+
+-- Crafts made offline were resolved in the browser; they are uploaded later and flagged so.
+-- The browser's word is not enough to reveal a recipe, so such a craft can only ask the DM.
+create policy "party insert offline crafts"
+  on public.craft_log for insert
+  with check (
+    synced_offline
+    and not revealed_recipe
+    and previous_discovery is null
+    and (reveal_status is null or reveal_status = 'pending')
+    and crafted_by = auth.uid()
+    and (public.has_role('dm', campaign_id) or public.has_role('party', campaign_id))
+  );
+
+-- Offline reveals used to be applied on upload; the DM reviews them now.
+drop function if exists public.reveal_offline_recipe(bigint, text, text, integer);
+
+-- The DM's answer to an offline craft's pending reveal. Confirming marks the recipe known and
+-- records the tier it had, so undoing the craft later hides it again.
+create or replace function public.review_offline_reveal(craft_log_id bigint, confirm boolean)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  craft_row public.craft_log%rowtype;
+  revealed public.recipes%rowtype;
+begin
+  select * into craft_row
+  from public.craft_log cl
+  where cl.id = review_offline_reveal.craft_log_id
+  for update;
+
+  if craft_row.id is null then
+    raise exception 'That craft is no longer in the log.' using errcode = 'P0002';
+  end if;
+
+  if not public.has_role('dm', craft_row.campaign_id) then
+    raise exception 'Sign in as DM to review discoveries.' using errcode = '42501';
+  end if;
+
+  if craft_row.reveal_status is distinct from 'pending' then
+    raise exception 'That discovery has already been reviewed.' using errcode = 'P0001';
+  end if;
+
+  if not review_offline_reveal.confirm or craft_row.undone_at is not null then
+    update public.craft_log cl
+    set reveal_status = 'dismissed'
+    where cl.id = craft_row.id
+    returning * into craft_row;
+    return jsonb_build_object('craft', to_jsonb(craft_row), 'recipe', null);
+  end if;
+
+  select * into revealed
+  from public.recipes r
+  where r.campaign_id = craft_row.campaign_id
+    and r.discipline = craft_row.discipline
+    and r.quality_category = craft_row.quality_category
+    and r.recipe_no = craft_row.recipe_no
+  for update;
+
+  if revealed.id is null then
+    raise exception 'That recipe is no longer in the Almanac.' using errcode = 'P0002';
+  end if;
+
+  update public.craft_log cl
+  set reveal_status = 'confirmed',
+      recipe_id = revealed.id,
+      revealed_recipe = revealed.discovery <> 'known',
+      previous_discovery = case when revealed.discovery <> 'known' then revealed.discovery end
+  where cl.id = craft_row.id
+  returning * into craft_row;
+
+  update public.recipes r
+  set discovery = 'known'
+  where r.id = revealed.id
+  returning * into revealed;
+
+  return jsonb_build_object('craft', to_jsonb(craft_row), 'recipe', to_jsonb(revealed));
+end;
+$$;
+
+revoke all on function public.review_offline_reveal(bigint, boolean) from public, anon;
+grant execute on function public.review_offline_reveal(bigint, boolean) to authenticated;
+
+-- Inventory ledger: an append-only record of every change to the party stash and the pouches,
+-- written by triggers. Changes made in one transaction (a craft, a grant, one upsert from the
+-- workbench) share a batch, which public.undo_inventory_batch can reverse.
+create table if not exists public.inventory_ledger (
+  id bigserial primary key,
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  batch text not null,
+  name text not null,
+  character_id bigint references public.characters(id) on delete cascade,
+  delta integer not null,
+  quantity_after integer not null,
+  actor uuid references auth.users(id) on delete set null default auth.uid(),
+  reason text not null default 'edit',
+  note text,
+  undoes text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists inventory_ledger_campaign_created_idx
+  on public.inventory_ledger (campaign_id, created_at desc);
+create index if not exists inventory_ledger_batch_idx
+  on public.inventory_ledger (batch);
+create index if not exists inventory_ledger_undoes_idx
+  on public.inventory_ledger (undoes);
+
+alter table public.inventory_ledger enable row level security;
+
+-- No write policies: only the trigger below (security definer) adds rows.
+create policy "dm read inventory ledger"
+  on public.inventory_ledger for select
+  using (public.has_role('dm', campaign_id));
+
+-- RPCs name their change with set_config('app.ledger_reason', ..., true); anything else,
+-- such as an upsert from the workbench stepper, is an 'edit' in its own transaction's batch.
+create or replace function public.ledger_batch()
+returns text
+language sql
+volatile
+as $$
+  select coalesce(nullif(current_setting('app.ledger_batch', true), ''), 'tx-' || txid_current());
+$$;
+
+create or replace function public.log_inventory_change()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  after_row jsonb := case when tg_op = 'DELETE' then null else to_jsonb(new) end;
+  before_row jsonb := case when tg_op = 'INSERT' then null else to_jsonb(old) end;
+  source jsonb := coalesce(after_row, before_row);
+  delta integer := coalesce((after_row->>'quantity')::integer, 0)
+    - coalesce((before_row->>'quantity')::integer, 0);
+begin
+  -- Rows removed along with their campaign or character leave nothing to record.
+  if delta = 0
+    or not exists (
+      select 1 from public.campaigns c where c.id = (source->>'campaign_id')::bigint
+    )
+    or (
+      source ? 'character_id'
+      and not exists (
+        select 1 from public.characters ch where ch.id = (source->>'character_id')::bigint
+      )
+    ) then
+    return null;
+  end if;
+
+  insert into public.inventory_ledger (
+    campaign_id, batch, name, character_id, delta, quantity_after, reason, note, undoes
+  )
+  values (
+    (source->>'campaign_id')::bigint,
+    public.ledger_batch(),
+    source->>'name',
+    (source->>'character_id')::bigint,
+    delta,
+    coalesce((after_row->>'quantity')::integer, 0),
+    coalesce(nullif(current_setting('app.ledger_reason', true), ''), 'edit'),
+    nullif(current_setting('app.ledger_note', true), ''),
+    nullif(current_setting('app.ledger_undoes', true), '')
+  );
+  return null;
+end;
+$$;
+
+drop trigger if exists inventory_ledger_trigger on public.inventory;
+create trigger inventory_ledger_trigger
+  after insert or update of quantity or delete on public.inventory
+  for each row execute function public.log_inventory_change();
+
+drop trigger if exists character_inventory_ledger_trigger on public.character_inventory;
+create trigger character_inventory_ledger_trigger
+  after insert or update of quantity or delete on public.character_inventory
+  for each row execute function public.log_inventory_change();
+
+-- Renames cascade to the stash and pouches through their foreign keys; the ledger has none
+-- (it outlives deleted ingredients), so its history is carried over here and stays undoable.
+create or replace function public.rename_ledger_ingredient()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.inventory_ledger l
+  set name = new.name
+  where l.campaign_id = new.campaign_id
+    and l.name = old.name;
+  return null;
+end;
+$$;
+
+drop trigger if exists ingredients_rename_ledger_trigger on public.ingredients;
+create trigger ingredients_rename_ledger_trigger
+  after update of name on public.ingredients
+  for each row
+  when (old.name is distinct from new.name)
+  execute function public.rename_ledger_ingredient();
+
+-- Same hash as seededRandom in src/utils/rng.js (FNV-1a with a murmur finaliser).
+create or replace function public.seeded_random(seed text, idx integer default 0)
+returns double precision
+language plpgsql
+immutable
+as $$
+declare
+  bytes bytea := convert_to(seed || ':' || idx, 'UTF8');
+  h bigint := 2166136261;
+begin
+  for i in 0 .. length(bytes) - 1 loop
+    h := h # get_byte(bytes, i);
+    h := (h * 16777619) & 4294967295;
+  end loop;
+  h := h # (h >> 16);
+  h := ((h::numeric * 2246822507) % 4294967296)::bigint;
+  h := h # (h >> 13);
+  h := ((h::numeric * 3266489909) % 4294967296)::bigint;
+  h := h # (h >> 16);
+  return h / 4294967296.0;
+end;
+$$;
+
+-- What outcome traits leave on a brewed item, as traitItemEffects in src/utils/traits.js: the
+-- product of the applied duration multipliers and the side-effects that triggered.
+create or replace function public.trait_item_effects(modifiers jsonb)
+returns table (duration_multiplier numeric, side_effects text)
+language plpgsql
+immutable
+as $$
+declare
+  modifier jsonb;
+  multiplier numeric := 1;
+  triggered text[] := '{}';
+begin
+  for modifier in
+    select m.value from jsonb_array_elements(coalesce(modifiers, '[]'::jsonb)) as m(value)
+  loop
+    continue when modifier->>'applied' is distinct from 'true';
+    if modifier->'trait'->>'effect' = 'duration_multiplier' then
+      multiplier := multiplier
+        * greatest(0, coalesce((modifier->'trait'->>'multiplier')::numeric, 2));
+    elsif modifier->'trait'->>'effect' = 'side_effect' then
+      triggered := triggered || (
+        trim(modifier->'trait'->>'name')
+        || coalesce(': ' || nullif(trim(modifier->'trait'->>'description'), ''), '')
+      );
+    end if;
+  end loop;
+  duration_multiplier := round(multiplier, 2);
+  side_effects := array_to_string(triggered, '; ');
+  return next;
+end;
+$$;
+
+-- The campaign, catalyst and character arguments replaced the older versions.
+drop function if exists public.craft(text, text[]);
+drop function if exists public.craft(text, text[], text);
+drop function if exists public.craft(text, text[], text, bigint);
+drop function if exists public.craft(bigint, text, text[], text, bigint);
+
+-- Mirrors calculateResult in src/utils/calculateResult.js, using the campaign's
+-- selection mode and a server-chosen seed. With crafting checks on, check_roll is the
+-- player's d20 and resolveCraftCheck (src/utils/craftCheck.js) decides what the craft yields.
+
+create or replace function public.craft(
+  campaign_id bigint,
+  discipline text,
+  ingredient_names text[],
+  catalyst_name text default null,
+  character_id bigint default null,
+  check_roll integer default null,
+  check_modifier integer default 0
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  names text[];
+  ordered text[];
+  consumed text[];
+  spent text[];
+  missing text;
+  totals record;
+  rules public.disciplines%rowtype;
+  catalyst_row public.ingredients%rowtype;
+  catalyst_target text;
+  ing_row public.ingredients%rowtype;
+  trait jsonb;
+  trait_applied boolean;
+  paired text;
+  bonus_amount integer;
+  chance_index integer := 0;
+  modifiers jsonb := '[]'::jsonb;
+  item_effects record;
+  grade_list jsonb;
+  picked_grade jsonb;
+  sorted_totals integer[];
+  margin integer;
+  magnitude integer;
+  slots integer;
+  priority text[];
+  max_value integer;
+  dominant text;
+  tier_index integer;
+  selection_mode text;
+  spread integer := 0;
+  seed text;
+  base_roll integer;
+  roll integer;
+  ideal_index integer;
+  tier_count integer;
+  total_count integer;
+  used_fallback boolean := false;
+  picked public.recipes%rowtype;
+  was_discovered boolean;
+  previous_discovery text;
+  crafted public.crafted_items%rowtype;
+  log_id bigint;
+  inventory_rows jsonb;
+  from_pouch text[] := '{}';
+  pouch_rows jsonb;
+  check_rules jsonb;
+  check_enabled boolean := false;
+  dc integer;
+  check_total integer;
+  outcome text;
+  partial_rule text;
+  makes_item boolean := true;
+  mishap_table jsonb;
+  mishap_entry jsonb;
+begin
+  if not (
+    public.has_role('dm', craft.campaign_id) or public.has_role('party', craft.campaign_id)
+  ) then
+    raise exception 'Sign in as DM or Party to craft.' using errcode = '42501';
+  end if;
+
+  if craft.character_id is not null and not (
+    public.owns_character(craft.character_id, craft.campaign_id)
+    or (
+      public.has_role('dm', craft.campaign_id)
+      and exists (
+        select 1
+        from public.characters c
+        where c.id = craft.character_id
+          and c.campaign_id = craft.campaign_id
+      )
+    )
+  ) then
+    raise exception 'You can only craft from your own pouch.' using errcode = '42501';
+  end if;
+
+  select * into rules
+  from public.disciplines d
+  where d.campaign_id = craft.campaign_id
+    and d.name = craft.discipline;
+
+  if rules.name is null then
+    raise exception 'Unknown discipline %.', craft.discipline using errcode = 'P0002';
+  end if;
+  slots := rules.slots_per_tier;
+
+  select cs.value #>> '{}' into selection_mode
+  from public.campaign_settings cs
+  where cs.campaign_id = craft.campaign_id
+    and cs.key = 'selection_mode';
+  selection_mode := coalesce(selection_mode, 'deterministic');
+  if selection_mode not in ('deterministic', 'random', 'window') then
+    selection_mode := 'deterministic';
+  end if;
+
+  if selection_mode = 'window' then
+    select greatest(0, coalesce((cs.value #>> '{}')::integer, 0)) into spread
+    from public.campaign_settings cs
+    where cs.campaign_id = craft.campaign_id
+      and cs.key = 'selection_spread';
+    spread := coalesce(spread, 0);
+  end if;
+
+  select cs.value into check_rules
+  from public.campaign_settings cs
+  where cs.campaign_id = craft.campaign_id
+    and cs.key = 'craft_check';
+  check_enabled := coalesce((check_rules->>'enabled')::boolean, false);
+
+  if check_enabled and coalesce(craft.check_roll, 0) not between 1 and 20 then
+    raise exception 'Roll a d20 (1 to 20) for the crafting check.' using errcode = '22023';
+  end if;
+
+  select array_agg(distinct trim(item)) into names
+  from unnest(ingredient_names) as item
+  where trim(item) <> '';
+
+  if coalesce(array_length(names, 1), 0) <> coalesce(array_length(ingredient_names, 1), 0)
+    or coalesce(array_length(names, 1), 0)
+      not between rules.min_ingredients and rules.max_ingredients then
+    raise exception '% takes % to % unique ingredients.',
+      craft.discipline, rules.min_ingredients, rules.max_ingredients
+      using errcode = '22023';
+  end if;
+
+  -- A seed is needed for random selection, any side-effect trait roll and a mishap roll.
+  if selection_mode <> 'deterministic' or (check_enabled and craft.check_roll = 1) or exists (
+    select 1
+    from public.ingredients ing
+    cross join lateral jsonb_array_elements(coalesce(ing.traits, '[]'::jsonb)) as t(value)
+    where ing.campaign_id = craft.campaign_id
+      and ing.name = any(names)
+      and t.value->>'effect' = 'side_effect'
+  ) then
+    seed := substr(md5(random()::text || clock_timestamp()::text), 1, 12);
+  end if;
+
+  -- Slot order, which decides the ingredients a partial failure spares.
+  select array_agg(trim(i.item) order by i.ord) into ordered
+  from unnest(ingredient_names) with ordinality as i(item, ord);
+
+  consumed := ordered;
+  if nullif(trim(craft.catalyst_name), '') is not null then
+    select * into catalyst_row
+    from public.ingredients ing
+    where ing.campaign_id = craft.campaign_id
+      and ing.name = trim(craft.catalyst_name);
+
+    if catalyst_row.name is null or catalyst_row.catalyst is null then
+      raise exception '% is not a catalyst.', craft.catalyst_name using errcode = '22023';
+    end if;
+    if catalyst_row.name = any(names) then
+      raise exception 'Use % as the catalyst or as an ingredient, not both.', catalyst_row.name
+        using errcode = '22023';
+    end if;
+    consumed := ordered || catalyst_row.name;
+  end if;
+
+  -- Lock the stock rows so concurrent crafts queue behind each other.
+  perform 1
+  from public.character_inventory ci
+  where ci.character_id = craft.character_id
+    and ci.name = any(consumed)
+  order by ci.name
+  for update;
+
+  perform 1
+  from public.inventory inv
+  where inv.campaign_id = craft.campaign_id
+    and inv.name = any(consumed)
+  order by inv.name
+  for update;
+
+  select n into missing
+  from unnest(consumed) as n
+  left join public.inventory inv
+    on inv.campaign_id = craft.campaign_id and inv.name = n
+  left join public.character_inventory ci
+    on ci.character_id = craft.character_id and ci.name = n
+  where coalesce(inv.quantity, 0) + coalesce(ci.quantity, 0) <= 0
+  order by n
+  limit 1;
+
+  if missing is not null then
+    raise exception 'Not enough % in inventory.', missing using errcode = 'P0001';
+  end if;
+
+  select
+    coalesce(sum(ing.potency), 0)::integer as potency,
+    coalesce(sum(ing.resonance), 0)::integer as resonance,
+    coalesce(sum(ing.entropy), 0)::integer as entropy
+  into totals
+  from public.ingredients ing
+  where ing.campaign_id = craft.campaign_id
+    and ing.name = any(names);
+
+  -- Trait bonuses, in the same order and with the same rules as sumTraitBonuses.
+  for ing_row in
+    select *
+    from public.ingredients ing
+    where ing.campaign_id = craft.campaign_id
+      and ing.name = any(names)
+    order by ing.name collate "C"
+  loop
+    for trait in
+      select t.value from jsonb_array_elements(coalesce(ing_row.traits, '[]'::jsonb)) as t(value)
+    loop
+      continue when coalesce(trim(trait->>'name'), '') = ''
+        or coalesce(trait->>'effect', 'attribute_bonus')
+          in ('duration_multiplier', 'side_effect');
+
+      paired := trim(coalesce(trait->>'pairedWith', trait->>'paired_with', ''));
+      trait_applied := paired = '' or exists (
+        select 1
+        from public.ingredients other
+        where other.campaign_id = craft.campaign_id
+          and other.name = any(names)
+          and other.name <> ing_row.name
+          and (
+            strpos(lower(other.name), lower(paired)) > 0
+            or strpos(lower(coalesce(other.source, '')), lower(paired)) > 0
+          )
+      );
+
+      if trait_applied then
+        bonus_amount := round(coalesce((trait->>'amount')::numeric, 1))::integer;
+        case coalesce(trait->>'attribute', 'potency')
+          when 'resonance' then totals.resonance := totals.resonance + bonus_amount;
+          when 'entropy' then totals.entropy := totals.entropy + bonus_amount;
+          else totals.potency := totals.potency + bonus_amount;
+        end case;
+      end if;
+
+      modifiers := modifiers || jsonb_build_array(jsonb_build_object(
+        'ingredient', ing_row.name, 'trait', trait, 'applied', trait_applied
+      ));
+    end loop;
+  end loop;
+
+  priority := rules.tie_breaker;
+
+  -- Same effects as src/utils/catalysts.js; ties pick the first of potency/resonance/entropy.
+  if catalyst_row.catalyst in ('double_lowest', 'halve_highest') then
+    select attr into catalyst_target
+    from unnest(array['potency', 'resonance', 'entropy']) with ordinality as a(attr, ord)
+    order by
+      case attr
+        when 'potency' then totals.potency
+        when 'resonance' then totals.resonance
+        else totals.entropy
+      end * case catalyst_row.catalyst when 'double_lowest' then 1 else -1 end,
+      ord
+    limit 1;
+
+    if catalyst_target = 'potency' then
+      totals.potency := case catalyst_row.catalyst
+        when 'double_lowest' then totals.potency * 2 else totals.potency / 2 end;
+    elsif catalyst_target = 'resonance' then
+      totals.resonance := case catalyst_row.catalyst
+        when 'double_lowest' then totals.resonance * 2 else totals.resonance / 2 end;
+    else
+      totals.entropy := case catalyst_row.catalyst
+        when 'double_lowest' then totals.entropy * 2 else totals.entropy / 2 end;
+    end if;
+  elsif catalyst_row.catalyst = 'reverse_tie_breaker' then
+    select array_agg(attr order by ord desc) into priority
+    from unnest(rules.tie_breaker) with ordinality as p(attr, ord);
+  end if;
+
+  max_value := greatest(totals.potency, totals.resonance, totals.entropy);
+  select attr into dominant
+  from unnest(priority) with ordinality as p(attr, ord)
+  where case attr
+    when 'potency' then totals.potency
+    when 'resonance' then totals.resonance
+    else totals.entropy
+  end = max_value
+  order by ord
+  limit 1;
+
+  -- Quality grade, as resolveQualityGrade: the last grade whose margin and total are met.
+  select array_agg(v order by v desc) into sorted_totals
+  from unnest(array[totals.potency, totals.resonance, totals.entropy]) as v;
+  margin := sorted_totals[1] - sorted_totals[2];
+  magnitude := sorted_totals[1] + sorted_totals[2] + sorted_totals[3];
+
+  select cs.value into grade_list
+  from public.campaign_settings cs
+  where cs.campaign_id = craft.campaign_id
+    and cs.key = 'quality_grades';
+
+  select g.value into picked_grade
+  from jsonb_array_elements(coalesce(grade_list, '[]'::jsonb)) with ordinality as g(value, ord)
+  where coalesce(trim(g.value->>'name'), '') <> ''
+    and margin >= coalesce((g.value->>'minMargin')::numeric, 0)
+    and magnitude >= coalesce((g.value->>'minTotal')::numeric, 0)
+  order by g.ord desc
+  limit 1;
+
+  if picked_grade is null then
+    select g.value into picked_grade
+    from jsonb_array_elements(coalesce(grade_list, '[]'::jsonb)) with ordinality as g(value, ord)
+    where coalesce(trim(g.value->>'name'), '') <> ''
+    order by g.ord
+    limit 1;
+  end if;
+  if picked_grade is not null then
+    picked_grade := picked_grade || jsonb_build_object('margin', margin, 'total', magnitude);
+  end if;
+
+  tier_index := case dominant when 'potency' then 0 when 'resonance' then 1 else 2 end;
+  base_roll := least(slots, greatest(1, max_value)) - 1;
+  roll := case selection_mode
+    when 'random' then floor(public.seeded_random(seed, 0) * slots)::integer
+    when 'window' then least(slots - 1, greatest(0,
+      base_roll + floor(public.seeded_random(seed, 0) * (spread * 2 + 1))::integer - spread))
+    else base_roll
+  end;
+  ideal_index := tier_index * slots + roll;
+
+  select count(*) into tier_count
+  from public.recipes r
+  where r.campaign_id = craft.campaign_id
+    and r.discipline = craft.discipline
+    and public.normalize_quality(r.quality_category) = dominant;
+
+  if tier_count > 0 then
+    select * into picked
+    from public.recipes r
+    where r.campaign_id = craft.campaign_id
+      and r.discipline = craft.discipline
+      and public.normalize_quality(r.quality_category) = dominant
+    order by r.recipe_no, r.id
+    offset roll % tier_count
+    limit 1;
+    used_fallback := tier_count < slots;
+  else
+    select count(*) into total_count
+    from public.recipes r
+    where r.campaign_id = craft.campaign_id
+      and r.discipline = craft.discipline;
+
+    if total_count = 0 then
+      raise exception 'No recipes loaded for %.', craft.discipline using errcode = 'P0002';
+    end if;
+
+    select * into picked
+    from public.recipes r
+    where r.campaign_id = craft.campaign_id
+      and r.discipline = craft.discipline
+    order by public.quality_rank(r.quality_category), r.recipe_no, r.id
+    offset ideal_index
+    limit 1;
+
+    if picked.id is null then
+      select * into picked
+      from public.recipes r
+      where r.campaign_id = craft.campaign_id
+        and r.discipline = craft.discipline
+      order by public.quality_rank(r.quality_category), r.recipe_no, r.id
+      offset roll % total_count
+      limit 1;
+      used_fallback := true;
+    end if;
+  end if;
+
+  -- The crafting check, as resolveCraftCheck: rarity DC plus 1 per totalStep of the dominant
+  -- total; a natural 1 is a mishap, and missing by partialMargin or less a partial failure.
+  spent := consumed;
+  if check_enabled then
+    dc := coalesce(
+      (check_rules->'rarityDcs'->>picked.rarity)::integer,
+      (check_rules->'rarityDcs'->>'Common')::integer,
+      10
+    );
+    if coalesce((check_rules->>'totalStep')::integer, 5) > 0 then
+      dc := dc + greatest(0, max_value) / (check_rules->>'totalStep')::integer;
+    end if;
+    check_total := craft.check_roll + coalesce(craft.check_modifier, 0);
+    outcome := case
+      when craft.check_roll = 1 then 'mishap'
+      when check_total >= dc then 'success'
+      when check_total >= dc - greatest(0, coalesce((check_rules->>'partialMargin')::integer, 5))
+        then 'partial'
+      else 'failure'
+    end;
+    partial_rule := coalesce(check_rules->>'partialOutcome', 'weaker_item');
+    makes_item := outcome = 'success'
+      or (outcome = 'partial' and partial_rule <> 'keep_ingredients');
+
+    if outcome = 'partial' and partial_rule = 'keep_ingredients' then
+      spent := consumed[1:ceil(array_length(consumed, 1) / 2.0)::integer];
+    elsif outcome = 'partial' then
+      select g.value || jsonb_build_object('margin', margin, 'total', magnitude)
+      into picked_grade
+      from jsonb_array_elements(coalesce(grade_list, '[]'::jsonb)) with ordinality as g(value, ord)
+      where coalesce(trim(g.value->>'name'), '') <> ''
+      order by g.ord
+      limit 1;
+    end if;
+
+    if outcome = 'mishap' then
+      mishap_table := check_rules->'mishaps'->craft.discipline;
+      if jsonb_typeof(mishap_table) is distinct from 'array'
+        or jsonb_array_length(mishap_table) = 0 then
+        -- GENERIC_MISHAPS in src/utils/craftCheck.js.
+        mishap_table := '[
+          {"name": "Ruined workspace",
+           "effect": "The tools need a short rest of cleaning before next use."},
+          {"name": "Backlash", "effect": "The crafter takes 1d6 force damage."},
+          {"name": "Fumes",
+           "effect": "DC 12 Constitution save or the crafter is poisoned for 1 hour."}
+        ]'::jsonb;
+      end if;
+      mishap_entry := mishap_table->least(
+        jsonb_array_length(mishap_table) - 1,
+        floor(public.seeded_random(seed, 100) * jsonb_array_length(mishap_table))::integer
+      );
+    end if;
+  end if;
+
+  perform set_config('app.ledger_reason', 'craft', true);
+
+  -- The crafting character's pouch is used first; the party stash covers the rest.
+  select coalesce(array_agg(ci.name), '{}') into from_pouch
+  from public.character_inventory ci
+  where ci.character_id = craft.character_id
+    and ci.name = any(spent)
+    and ci.quantity > 0;
+
+  update public.character_inventory ci
+  set quantity = ci.quantity - 1,
+      updated_at = now()
+  where ci.character_id = craft.character_id
+    and ci.name = any(from_pouch);
+
+  update public.inventory inv
+  set quantity = inv.quantity - 1,
+      updated_at = now()
+  where inv.campaign_id = craft.campaign_id
+    and inv.name = any(spent)
+    and not inv.name = any(from_pouch);
+
+  -- Outcome traits; side-effects roll seeded_random(seed, 1 + n) like rollTraitOutcomes.
+  for ing_row in
+    select *
+    from public.ingredients ing
+    where ing.campaign_id = craft.campaign_id
+      and ing.name = any(names)
+    order by ing.name collate "C"
+  loop
+    for trait in
+      select t.value from jsonb_array_elements(coalesce(ing_row.traits, '[]'::jsonb)) as t(value)
+    loop
+      continue when coalesce(trim(trait->>'name'), '') = ''
+        or coalesce(trait->>'effect', '') not in ('duration_multiplier', 'side_effect');
+
+      trait_applied := true;
+      if trait->>'effect' = 'side_effect' then
+        trait_applied := public.seeded_random(seed, 1 + chance_index)
+          < least(1, greatest(0, coalesce((trait->>'chance')::numeric, 0.1)));
+        chance_index := chance_index + 1;
+      end if;
+
+      modifiers := modifiers || jsonb_build_array(jsonb_build_object(
+        'ingredient', ing_row.name, 'trait', trait, 'applied', trait_applied
+      ));
+    end loop;
+  end loop;
+
+  -- A failed check makes nothing and leaves the recipe's tier as it was.
+  was_discovered := picked.discovery = 'known';
+  previous_discovery := picked.discovery;
+  if makes_item then
+    if not was_discovered then
+      update public.recipes r
+      set discovery = 'known'
+      where r.id = picked.id;
+      picked.discovery := 'known';
+    end if;
+
+    select * into item_effects from public.trait_item_effects(modifiers);
+
+    insert into public.crafted_items as ci (
+      campaign_id, name, discipline, quality_category, recipe_no, rarity, effect, holder, grade,
+      duration_multiplier, side_effects, quantity
+    )
+    values (
+      craft.campaign_id, picked.name, picked.discipline, picked.quality_category,
+      picked.recipe_no, picked.rarity, picked.effect, 'Party',
+      coalesce(trim(picked_grade->>'name'), ''), item_effects.duration_multiplier,
+      item_effects.side_effects, 1
+    )
+    on conflict (
+      campaign_id, discipline, name, lower(holder), grade, duration_multiplier, side_effects
+    )
+    do update set quantity = ci.quantity + 1, updated_at = now()
+    returning * into crafted;
+  end if;
+
+  insert into public.craft_log (
+    campaign_id, discipline, character_id, ingredient_names, catalyst_name, modifiers, grade, totals,
+    dominant_attribute, selection_mode,
+    seed, spread, base_roll, roll, recipe_id, recipe_name, quality_category, recipe_no,
+    used_fallback, check_roll, check_modifier, check_dc, check_outcome, mishap,
+    made_item, revealed_recipe, previous_discovery, ledger_batch
+  )
+  values (
+    craft.campaign_id,
+    craft.discipline,
+    craft.character_id,
+    ingredient_names,
+    catalyst_row.name,
+    modifiers,
+    case when makes_item then trim(picked_grade->>'name') end,
+    jsonb_build_object(
+      'potency', totals.potency,
+      'resonance', totals.resonance,
+      'entropy', totals.entropy
+    ),
+    dominant,
+    selection_mode,
+    seed,
+    spread,
+    base_roll,
+    roll,
+    picked.id,
+    picked.name,
+    picked.quality_category,
+    picked.recipe_no,
+    used_fallback,
+    case when check_enabled then craft.check_roll end,
+    case when check_enabled then coalesce(craft.check_modifier, 0) end,
+    dc,
+    outcome,
+    mishap_entry,
+    makes_item,
+    makes_item and not was_discovered,
+    case when makes_item and not was_discovered then previous_discovery end,
+    public.ledger_batch()
+  )
+  returning id into log_id;
+
+  select jsonb_agg(jsonb_build_object('name', inv.name, 'quantity', inv.quantity))
+  into inventory_rows
+  from public.inventory inv
+  where inv.campaign_id = craft.campaign_id
+    and inv.name = any(consumed);
+
+  select jsonb_agg(to_jsonb(ci))
+  into pouch_rows
+  from public.character_inventory ci
+  where ci.character_id = craft.character_id
+    and ci.name = any(consumed);
+
+  return jsonb_build_object(
+    'recipe', to_jsonb(picked),
+    'was_discovered', was_discovered,
+    'totals', jsonb_build_object(
+      'potency', totals.potency,
+      'resonance', totals.resonance,
+      'entropy', totals.entropy
+    ),
+    'dominant_attribute', dominant,
+    'catalyst_name', catalyst_row.name,
+    'modifiers', modifiers,
+    'grade', case when makes_item then picked_grade end,
+    'tier_index', tier_index,
+    'slots_per_tier', slots,
+    'selection_mode', selection_mode,
+    'seed', seed,
+    'spread', spread,
+    'base_roll', base_roll,
+    'roll', roll,
+    'ideal_index', ideal_index,
+    'craft_log_id', log_id,
+    'ledger_batch', public.ledger_batch(),
+    'used_fallback', used_fallback,
+    'inventory', coalesce(inventory_rows, '[]'::jsonb),
+    'pouch', coalesce(pouch_rows, '[]'::jsonb),
+    'crafted_item', case when makes_item then to_jsonb(crafted) end,
+    'check', case when check_enabled then jsonb_build_object(
+      'roll', craft.check_roll,
+      'modifier', coalesce(craft.check_modifier, 0),
+      'total', check_total,
+      'dc', dc,
+      'outcome', outcome,
+      'makes_item', makes_item,
+      'mishap', mishap_entry
+    ) end
+  );
+end;
+$$;
+
+revoke all on function public.craft(bigint, text, text[], text, bigint, integer, integer)
+  from public, anon;
+grant execute on function public.craft(bigint, text, text[], text, bigint, integer, integer)
+  to authenticated;
+
+-- Realtime: broadcast row changes so every player at the table stays in sync
+do $$
+declare
+  synced text;
+begin
+  foreach synced in array array[
+    'ingredients', 'inventory', 'recipes', 'crafted_items', 'disciplines',
+    'characters', 'character_inventory'
+  ] loop
+    if not exists (
+      select 1
+      from pg_publication_tables
+      where pubname = 'supabase_realtime'
+        and schemaname = 'public'
+        and tablename = synced
+    ) then
+      execute format('alter publication supabase_realtime add table public.%I', synced);
+    end if;
+  end loop;
+end;
+$$;
+
+-- Ingredient grants (DM loot batches)
+create table if not exists public.grants (
+  id bigserial primary key,
+  campaign_id bigint not null references public.campaigns(id) on delete cascade,
+  reason text,
+  items jsonb not null default '[]'::jsonb,
+  granted_by uuid references auth.users(id) on delete set null default auth.uid(),
+  created_at timestamptz not null default now()
+);
+
+select public.scope_to_campaign('grants');
+
+alter table public.grants enable row level security;
+
+create policy "member read grants"
+  on public.grants for select
+  using (public.is_member(campaign_id));
+
+create policy "dm insert grants"
+  on public.grants for insert
+  with check (public.has_role('dm', campaign_id));
+
+create policy "dm delete grants"
+  on public.grants for delete
+  using (public.has_role('dm', campaign_id));
+
+-- Adds every item to inventory and records the batch in one transaction.
+drop function if exists public.grant_ingredients(jsonb, text);
+
+create or replace function public.grant_ingredients(
+  campaign_id bigint,
+  items jsonb,
+  reason text default null
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  merged jsonb;
+  unknown text;
+  recorded public.grants%rowtype;
+  inventory_rows jsonb;
+begin
+  if not public.has_role('dm', grant_ingredients.campaign_id) then
+    raise exception 'Sign in as DM to grant ingredients.' using errcode = '42501';
+  end if;
+
+  select jsonb_agg(jsonb_build_object('name', g.name, 'quantity', g.quantity) order by g.name)
+  into merged
+  from (
+    select trim(item->>'name') as name, sum((item->>'quantity')::integer)::integer as quantity
+    from jsonb_array_elements(coalesce(grant_ingredients.items, '[]'::jsonb)) as item
+    where trim(coalesce(item->>'name', '')) <> ''
+    group by trim(item->>'name')
+  ) g
+  where g.quantity > 0;
+
+  if merged is null then
+    raise exception 'Add at least one ingredient to grant.' using errcode = '22023';
+  end if;
+
+  select item->>'name' into unknown
+  from jsonb_array_elements(merged) as item
+  where not exists (
+    select 1
+    from public.ingredients ing
+    where ing.campaign_id = grant_ingredients.campaign_id
+      and ing.name = item->>'name'
+  )
+  limit 1;
+
+  if unknown is not null then
+    raise exception 'Unknown ingredient %.', unknown using errcode = '22023';
+  end if;
+
+  perform set_config('app.ledger_reason', 'grant', true);
+  perform set_config('app.ledger_note', coalesce(trim(grant_ingredients.reason), ''), true);
+
+  insert into public.inventory as inv (campaign_id, name, quantity)
+  select grant_ingredients.campaign_id, item->>'name', (item->>'quantity')::integer
+  from jsonb_array_elements(merged) as item
+  on conflict (campaign_id, name)
+  do update set quantity = inv.quantity + excluded.quantity, updated_at = now();
+
+  insert into public.grants (campaign_id, reason, items)
+  values (grant_ingredients.campaign_id, nullif(trim(grant_ingredients.reason), ''), merged)
+  returning * into recorded;
+
+  select jsonb_agg(jsonb_build_object('name', inv.name, 'quantity', inv.quantity))
+  into inventory_rows
+  from public.inventory inv
+  where inv.campaign_id = grant_ingredients.campaign_id
+    and inv.name in (select item->>'name' from jsonb_array_elements(merged) as item);
+
+  return jsonb_build_object(
+    'grant', to_jsonb(recorded),
+    'inventory', coalesce(inventory_rows, '[]'::jsonb)
+  );
+end;
+$$;
+
+revoke all on function public.grant_ingredients(bigint, jsonb, text) from public, anon;
+grant execute on function public.grant_ingredients(bigint, jsonb, text) to authenticated;
+
+-- Reverses one inventory_ledger batch in a new transaction, which the ledger records as an
+-- 'undo' batch. Undoing a craft also takes the item back out of the party satchel and returns
+-- the recipe to its earlier tier if that craft revealed it and no other craft has made it since.
+create or replace function public.undo_inventory_batch(campaign_id bigint, batch text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  entry record;
+  stock integer;
+  craft_row public.craft_log%rowtype;
+  item public.crafted_items%rowtype;
+  hidden public.recipes%rowtype;
+  inventory_rows jsonb;
+  pouch_rows jsonb;
+begin
+  if not public.has_role('dm', undo_inventory_batch.campaign_id) then
+    raise exception 'Sign in as DM to undo changes.' using errcode = '42501';
+  end if;
+
+  -- Two undos of the same batch sent at once run one after the other.
+  perform pg_advisory_xact_lock(hashtext('inventory_ledger:' || undo_inventory_batch.batch));
+
+  if not exists (
+    select 1
+    from public.inventory_ledger l
+    where l.campaign_id = undo_inventory_batch.campaign_id
+      and l.batch = undo_inventory_batch.batch
+  ) then
+    raise exception 'There is nothing to undo in that change.' using errcode = '22023';
+  end if;
+
+  if exists (
+    select 1
+    from public.inventory_ledger l
+    where l.campaign_id = undo_inventory_batch.campaign_id
+      and l.undoes = undo_inventory_batch.batch
+  ) then
+    raise exception 'That change has already been undone.' using errcode = 'P0001';
+  end if;
+
+  if exists (
+    select 1
+    from public.inventory_ledger l
+    where l.campaign_id = undo_inventory_batch.campaign_id
+      and l.batch = undo_inventory_batch.batch
+      and l.undoes is not null
+  ) then
+    raise exception 'An undo cannot be undone; make the change again instead.'
+      using errcode = '22023';
+  end if;
+
+  perform set_config('app.ledger_reason', 'undo', true);
+  perform set_config('app.ledger_undoes', undo_inventory_batch.batch, true);
+
+  for entry in
+    select l.name, l.character_id, sum(l.delta)::integer as delta
+    from public.inventory_ledger l
+    where l.campaign_id = undo_inventory_batch.campaign_id
+      and l.batch = undo_inventory_batch.batch
+    group by l.name, l.character_id
+    having sum(l.delta) <> 0
+  loop
+    if entry.character_id is null then
+      select inv.quantity into stock
+      from public.inventory inv
+      where inv.campaign_id = undo_inventory_batch.campaign_id
+        and inv.name = entry.name
+      for update;
+
+      if coalesce(stock, 0) < entry.delta then
+        raise exception 'Cannot undo: only % % left in the party stash.',
+          coalesce(stock, 0), entry.name
+          using errcode = 'P0001';
+      end if;
+
+      insert into public.inventory as inv (campaign_id, name, quantity)
+      values (undo_inventory_batch.campaign_id, entry.name, -entry.delta)
+      on conflict (campaign_id, name)
+      do update set quantity = inv.quantity - entry.delta, updated_at = now();
+    else
+      select ci.quantity into stock
+      from public.character_inventory ci
+      where ci.character_id = entry.character_id
+        and ci.name = entry.name
+      for update;
+
+      if coalesce(stock, 0) < entry.delta then
+        raise exception 'Cannot undo: only % % left in the pouch.', coalesce(stock, 0), entry.name
+          using errcode = 'P0001';
+      end if;
+
+      insert into public.character_inventory as ci (campaign_id, character_id, name, quantity)
+      values (undo_inventory_batch.campaign_id, entry.character_id, entry.name, -entry.delta)
+      on conflict (character_id, name)
+      do update set quantity = ci.quantity - entry.delta, updated_at = now();
+    end if;
+  end loop;
+
+  select * into craft_row
+  from public.craft_log cl
+  where cl.campaign_id = undo_inventory_batch.campaign_id
+    and cl.ledger_batch = undo_inventory_batch.batch
+  for update;
+
+  if found then
+    if craft_row.made_item then
+      update public.crafted_items ci
+      set quantity = ci.quantity - 1,
+          updated_at = now()
+      where ci.campaign_id = undo_inventory_batch.campaign_id
+        and ci.discipline = craft_row.discipline
+        and ci.name = craft_row.recipe_name
+        and lower(ci.holder) = 'party'
+        and ci.grade = coalesce(craft_row.grade, '')
+        and (ci.duration_multiplier, ci.side_effects) in (
+          select e.duration_multiplier, e.side_effects
+          from public.trait_item_effects(craft_row.modifiers) e
+        )
+        and ci.quantity > 0
+      returning * into item;
+
+      if item.id is null then
+        raise exception 'Cannot undo: % is no longer in the party satchel.', craft_row.recipe_name
+          using errcode = 'P0001';
+      end if;
+
+      if item.quantity = 0 then
+        delete from public.crafted_items ci where ci.id = item.id;
+      end if;
+    end if;
+
+    if craft_row.revealed_recipe and not exists (
+      select 1
+      from public.craft_log other
+      where other.recipe_id = craft_row.recipe_id
+        and other.id <> craft_row.id
+        and other.made_item
+        and other.undone_at is null
+    ) then
+      update public.recipes r
+      set discovery = coalesce(craft_row.previous_discovery, 'unknown')
+      where r.id = craft_row.recipe_id
+      returning * into hidden;
+    end if;
+
+    update public.craft_log cl
+    set undone_at = now()
+    where cl.id = craft_row.id;
+  end if;
+
+  select jsonb_agg(jsonb_build_object('name', inv.name, 'quantity', inv.quantity))
+  into inventory_rows
+  from public.inventory inv
+  where inv.campaign_id = undo_inventory_batch.campaign_id
+    and inv.name in (
+      select l.name
+      from public.inventory_ledger l
+      where l.batch = undo_inventory_batch.batch
+        and l.character_id is null
+    );
+
+  select jsonb_agg(to_jsonb(ci))
+  into pouch_rows
+  from public.character_inventory ci
+  where (ci.character_id, ci.name) in (
+    select l.character_id, l.name
+    from public.inventory_ledger l
+    where l.batch = undo_inventory_batch.batch
+      and l.character_id is not null
+  );
+
+  return jsonb_build_object(
+    'batch', public.ledger_batch(),
+    'inventory', coalesce(inventory_rows, '[]'::jsonb),
+    'pouch', coalesce(pouch_rows, '[]'::jsonb),
+    'crafted_item', case when item.id is not null then to_jsonb(item) end,
+    'hidden_recipe', case when hidden.id is not null then to_jsonb(hidden) end,
+    'craft_log_id', craft_row.id
+  );
+end;
+$$;
+
+revoke all on function public.undo_inventory_batch(bigint, text) from public, anon;
+grant execute on function public.undo_inventory_batch(bigint, text) to authenticated;
+
+-- New campaigns: the caller becomes the DM, and the campaign is seeded from a template
+-- ({ ingredients, recipes, disciplines, settings, inventory } rows, see src/utils/campaigns.js).
+create or replace function public.create_campaign(
+  campaign_name text,
+  template jsonb default '{}'::jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  created public.campaigns%rowtype;
+begin
+  if auth.uid() is null then
+    raise exception 'Sign in to create a campaign.' using errcode = '42501';
+  end if;
+  if nullif(trim(campaign_name), '') is null then
+    raise exception 'Name the campaign.' using errcode = '22023';
+  end if;
+
+  insert into public.campaigns (name)
+  values (trim(campaign_name))
+  returning * into created;
+
+  insert into public.campaign_members (campaign_id, user_id, role)
+  values (created.id, auth.uid(), 'dm');
+
+  insert into public.disciplines (
+    campaign_id, name, tie_breaker, slots_per_tier, min_ingredients, max_ingredients,
+    tool_requirement, sort_order
+  )
+  select
+    created.id,
+    trim(d.name),
+    coalesce(d.tie_breaker, array['potency', 'resonance', 'entropy']),
+    coalesce(d.slots_per_tier, 15),
+    coalesce(d.min_ingredients, 2),
+    coalesce(d.max_ingredients, 5),
+    d.tool_requirement,
+    coalesce(d.sort_order, 0)
+  from jsonb_to_recordset(coalesce(template->'disciplines', '[]'::jsonb)) as d(
+    name text, tie_breaker text[], slots_per_tier integer, min_ingredients integer,
+    max_ingredients integer, tool_requirement text, sort_order integer
+  )
+  where nullif(trim(d.name), '') is not null
+  on conflict do nothing;
+
+  insert into public.ingredients (
+    campaign_id, name, potency, resonance, entropy, rarity, source, catalyst, traits
+  )
+  select
+    created.id,
+    trim(i.name),
+    coalesce(i.potency, 0),
+    coalesce(i.resonance, 0),
+    coalesce(i.entropy, 0),
+    i.rarity,
+    i.source,
+    i.catalyst,
+    coalesce(i.traits, '[]'::jsonb)
+  from jsonb_to_recordset(coalesce(template->'ingredients', '[]'::jsonb)) as i(
+    name text, potency integer, resonance integer, entropy integer, rarity text,
+    source text, catalyst text, traits jsonb
+  )
+  where nullif(trim(i.name), '') is not null
+  on conflict do nothing;
+
+  insert into public.recipes (
+    campaign_id, discipline, recipe_no, name, category, quality_category, rarity, effect,
+    description, source
+  )
+  select
+    created.id, r.discipline, r.recipe_no, r.name, r.category, r.quality_category, r.rarity,
+    r.effect, r.description, r.source
+  from jsonb_to_recordset(coalesce(template->'recipes', '[]'::jsonb)) as r(
+    discipline text, recipe_no integer, name text, category text, quality_category text,
+    rarity text, effect text, description text, source text
+  )
+  where r.discipline is not null
+    and r.recipe_no is not null
+    and r.quality_category is not null
+  on conflict do nothing;
+
+  insert into public.campaign_settings (campaign_id, key, value)
+  select created.id, cs.key, cs.value
+  from jsonb_to_recordset(coalesce(template->'settings', '[]'::jsonb)) as cs(key text, value jsonb)
+  where cs.key is not null
+    and cs.value is not null
+  on conflict do nothing;
+
+  insert into public.inventory (campaign_id, name, quantity)
+  select created.id, inv.name, greatest(0, coalesce(inv.quantity, 0))
+  from jsonb_to_recordset(coalesce(template->'inventory', '[]'::jsonb)) as inv(
+    name text, quantity integer
+  )
+  where exists (
+    select 1
+    from public.ingredients ing
+    where ing.campaign_id = created.id
+      and ing.name = inv.name
+  )
+  on conflict do nothing;
+
+  return to_jsonb(created);
+end;
+$$;
+
+revoke all on function public.create_campaign(text, jsonb) from public, anon;
+grant execute on function public.create_campaign(text, jsonb) to authenticated;
+
+-- Player accounts, managed by the DM from the Players panel. These write auth.users
+-- directly, so a local Supabase stack needs no edge function or service key.
+create extension if not exists pgcrypto with schema extensions;
+
+-- The campaign whose DM created each account with public.create_player. Only that campaign's
+-- DMs manage it; accounts that signed up on their own, or were added before this table, have no
+-- row and are managed by no one. No policies: only the functions below read or write it.
+create table if not exists public.player_accounts (
+  user_id uuid primary key references auth.users(id) on delete cascade,
+  created_by_campaign bigint not null references public.campaigns(id) on delete cascade,
+  created_at timestamptz not null default now()
+);
+
+alter table public.player_accounts enable row level security;
+
+-- A DM may manage another user only if the DM's campaign created the account and it belongs to
+-- no other campaign, so a player who starts or joins a campaign elsewhere is out of reach.
+create or replace function public.manages_player(target_campaign bigint, target_user uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select target_user <> auth.uid()
+    and public.has_role('dm', target_campaign)
+    and exists (
+      select 1
+      from public.player_accounts pa
+      where pa.user_id = target_user
+        and pa.created_by_campaign = target_campaign
+    )
+    and not exists (
+      select 1
+      from public.campaign_members m
+      where m.user_id = target_user
+        and m.campaign_id <> target_campaign
+    );
+$$;
+
+create or replace function public.list_players(campaign_id bigint)
+returns table (
+  user_id uuid,
+  email text,
+  role text,
+  active boolean,
+  last_sign_in_at timestamptz
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  if not public.has_role('dm', list_players.campaign_id) then
+    raise exception 'Only the DM can list players.' using errcode = '42501';
+  end if;
+
+  return query
+  select
+    m.user_id,
+    u.email::text,
+    m.role,
+    coalesce(u.banned_until, now()) <= now(),
+    u.last_sign_in_at
+  from public.campaign_members m
+  join auth.users u on u.id = m.user_id
+  where m.campaign_id = list_players.campaign_id
+  order by u.email;
+end;
+$$;
+
+-- Creates a username/password account and adds it to the campaign. Without a password an
+-- account this campaign created and later removed is added back; other existing accounts are
+-- refused, since adding them would hand the DM their password resets.
+create or replace function public.create_player(
+  campaign_id bigint,
+  login_email text,
+  password text default null,
+  role text default 'party'
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+declare
+  player_email text := lower(trim(create_player.login_email));
+  player_id uuid;
+begin
+  if not public.has_role('dm', create_player.campaign_id) then
+    raise exception 'Only the DM can add players.' using errcode = '42501';
+  end if;
+  if create_player.role not in ('dm', 'party') then
+    raise exception 'Unknown role %.', create_player.role using errcode = '22023';
+  end if;
+  if player_email is null or position('@' in player_email) < 2 then
+    raise exception 'Enter a username.' using errcode = '22023';
+  end if;
+
+  select u.id into player_id
+  from auth.users u
+  where lower(u.email) = player_email;
+
+  if nullif(create_player.password, '') is null then
+    if player_id is null then
+      raise exception 'No account named %. Set a password to create it.', player_email
+        using errcode = 'P0002';
+    end if;
+    if not exists (
+      select 1
+      from public.player_accounts pa
+      where pa.user_id = player_id
+        and pa.created_by_campaign = create_player.campaign_id
+    ) or exists (
+      select 1
+      from public.campaign_members m
+      where m.user_id = player_id
+        and m.campaign_id <> create_player.campaign_id
+    ) then
+      raise exception 'Only accounts this campaign created can be added back.'
+        using errcode = '42501';
+    end if;
+  else
+    if player_id is not null then
+      raise exception 'That username is taken.' using errcode = '23505';
+    end if;
+    if length(create_player.password) < 6 then
+      raise exception 'Passwords need at least 6 characters.' using errcode = '22023';
+    end if;
+
+    player_id := gen_random_uuid();
+
+    insert into auth.users (
+      instance_id, id, aud, role, email, encrypted_password, email_confirmed_at,
+      raw_app_meta_data, raw_user_meta_data, created_at, updated_at,
+      confirmation_token, recovery_token, email_change, email_change_token_new
+    )
+    values (
+      '00000000-0000-0000-0000-000000000000', player_id, 'authenticated', 'authenticated',
+      player_email, extensions.crypt(create_player.password, extensions.gen_salt('bf')), now(),
+      '{"provider": "email", "providers": ["email"]}'::jsonb, '{}'::jsonb, now(), now(),
+      '', '', '', ''
+    );
+
+    insert into auth.identities (
+      id, provider_id, user_id, identity_data, provider, last_sign_in_at, created_at, updated_at
+    )
+    values (
+      gen_random_uuid(), player_id::text, player_id,
+      jsonb_build_object('sub', player_id::text, 'email', player_email, 'email_verified', true),
+      'email', now(), now(), now()
+    );
+
+    insert into public.player_accounts (user_id, created_by_campaign)
+    values (player_id, create_player.campaign_id);
+  end if;
+
+  insert into public.campaign_members (campaign_id, user_id, role)
+  values (create_player.campaign_id, player_id, create_player.role)
+  on conflict (campaign_id, user_id) do update set role = excluded.role;
+
+  return jsonb_build_object(
+    'user_id', player_id,
+    'email', player_email,
+    'role', create_player.role,
+    'active', true
+  );
+end;
+$$;
+
+create or replace function public.reset_player_password(
+  campaign_id bigint,
+  player_id uuid,
+  password text
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  if not public.manages_player(
+    reset_player_password.campaign_id,
+    reset_player_password.player_id
+  ) then
+    raise exception 'You cannot manage that player.' using errcode = '42501';
+  end if;
+  if length(coalesce(reset_player_password.password, '')) < 6 then
+    raise exception 'Passwords need at least 6 characters.' using errcode = '22023';
+  end if;
+
+  update auth.users
+  set encrypted_password = extensions.crypt(
+        reset_player_password.password,
+        extensions.gen_salt('bf')
+      ),
+      updated_at = now()
+  where id = reset_player_password.player_id;
+end;
+$$;
+
+-- Deactivated accounts are banned in auth and signed out everywhere; reactivating lifts the ban.
+create or replace function public.set_player_active(
+  campaign_id bigint,
+  player_id uuid,
+  active boolean
+)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+#variable_conflict use_column
+begin
+  if not public.manages_player(set_player_active.campaign_id, set_player_active.player_id) then
+    raise exception 'You cannot manage that player.' using errcode = '42501';
+  end if;
+
+  update auth.users
+  set banned_until = case
+        when set_player_active.active then null
+        else now() + interval '100 years'
+      end,
+      updated_at = now()
+  where id = set_player_active.player_id;
+
+  if not set_player_active.active then
+    delete from auth.sessions s
+    where s.user_id = set_player_active.player_id;
+  end if;
+end;
+$$;
+
+revoke all on function public.manages_player(bigint, uuid) from public, anon;
+grant execute on function public.manages_player(bigint, uuid) to authenticated;
+
+revoke all on function public.list_players(bigint) from public, anon;
+grant execute on function public.list_players(bigint) to authenticated;
+
+revoke all on function public.create_player(bigint, text, text, text) from public, anon;
+grant execute on function public.create_player(bigint, text, text, text) to authenticated;
+
+revoke all on function public.reset_player_password(bigint, uuid, text) from public, anon;
+grant execute on function public.reset_player_password(bigint, uuid, text) to authenticated;
+
+revoke all on function public.set_player_active(bigint, uuid, boolean) from public, anon;
+grant execute on function public.set_player_active(bigint, uuid, boolean) to authenticated;